@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+// ============================================
+// WELLBEING-SIM CLI
+// ============================================
+// Batch experiments with the headless engine in src/simulation.js.
+// Run `wellbeing-sim --help` for usage.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+  runSimulation, runMeanField, randomSeed, replicationSeed, toCSV, exitOf, normalizeExitRules, compileModel, COEFFICIENT_KEYS, DEFAULT_TIMING, RANDOM_MODES,
+  INTEGRATION_METHODS,
+} from '../src/simulation.js';
+
+const USAGE = `Usage: wellbeing-sim run [options]
+
+Runs the entrepreneurial well-being model and writes the results as CSV or JSON.
+
+Options:
+  --scenario <file>         scenario JSON (command-line options override it)
+  --ambition <0-1>          default 0.5
+  --skill <0-1>             default 0.5
+  --self-regulation <0-1>   default 0.5
+  --dynamism <0-1>          default 0.2
+  --var1 … --var10 <n>      Var coefficients, default 1
+  --random-mode <paper|modern>  paper-faithful streams (default) or xoshiro128** with
+                            truncated normals and Poisson setback counts
+  --exit-wellbeing=<t>:<k>  stop a run once well-being stays below t for k periods
+                            (use = for negative thresholds, e.g. --exit-wellbeing=-20:20)
+  --exit-motivation <t>     stop a run once motivation falls to t
+  --runs <n>                number of runs, default 1
+  --seed <n>                base seed; run i uses seed + i × 7919 (random if omitted)
+  --mean-field              one deterministic run with every random input at its
+                            expected value (--runs and --seed do not apply)
+  --final-time <n>          periods per run, default 500
+  --dt <n>                  time step, default 1 (random inputs are drawn once per step)
+  --method <euler|heun|rk4> integrator, default euler
+  --substeps <n>            integrator sub-steps per time step, default 1
+  --record-every <n>        periods between trajectory points, default 5 (0 = every step)
+  --output <final|trajectory>  final state per run (default) or full trajectories
+  --format <csv|json>       default csv
+  --out <file>              write to a file instead of stdout
+  -h, --help                show this help
+
+Scenario file:
+  {
+    "name": "high ambition, low self-regulation",
+    "params": { "ambition": 0.7, "skill": 0.5, "selfRegulation": 0.3, "dynamism": 0.2,
+                "coefficients": { "var1": 1 }, "randomMode": "paper",
+                "exitRules": [{ "type": "wellbeing", "threshold": -20, "periods": 20 }],
+                "equations": { "Effort": "Var8 * Resources / (1 + EXP(Strain - Motivation))" } },
+    "runs": 1000, "seed": 42, "finalTime": 500, "dt": 1, "method": "euler", "substeps": 1, "recordEvery": 5,
+    "output": "final", "format": "csv"
+  }
+`;
+
+const DEFAULT_SCENARIO = {
+  name: 'default',
+  params: { ambition: 0.5, skill: 0.5, selfRegulation: 0.5, dynamism: 0.2, coefficients: {} },
+  runs: 1,
+  seed: null,
+  meanField: false,
+  ...DEFAULT_TIMING,
+  output: 'final',
+  format: 'csv',
+};
+
+const fail = (message) => {
+  process.stderr.write(`wellbeing-sim: ${message}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+const parseNumber = (name, value, { integer = false, min = -Infinity } = {}) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || (integer && !Number.isInteger(n)) || n < min) {
+    fail(`invalid value for --${name}: ${value}`);
+  }
+  return n;
+};
+
+const readScenario = (file) => {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    return fail(`cannot read scenario ${file}: ${err.message}`);
+  }
+};
+
+// Merge defaults, the scenario file and command-line overrides
+const resolveScenario = (values) => {
+  const fromFile = values.scenario ? readScenario(values.scenario) : {};
+  const scenario = {
+    ...DEFAULT_SCENARIO,
+    ...fromFile,
+    params: {
+      ...DEFAULT_SCENARIO.params,
+      ...fromFile.params,
+      coefficients: { ...fromFile.params?.coefficients },
+    },
+  };
+
+  const paramFlags = { ambition: 'ambition', skill: 'skill', 'self-regulation': 'selfRegulation', dynamism: 'dynamism' };
+  Object.entries(paramFlags).forEach(([flag, key]) => {
+    if (values[flag] !== undefined) scenario.params[key] = parseNumber(flag, values[flag], { min: 0 });
+  });
+  COEFFICIENT_KEYS.forEach(key => {
+    if (values[key] !== undefined) scenario.params.coefficients[key] = parseNumber(key, values[key], { min: 0 });
+  });
+  if (values['random-mode'] !== undefined) scenario.params.randomMode = values['random-mode'];
+  // Exit flags replace the scenario's rule of the same type
+  const exitFlags = { 'exit-wellbeing': 'wellbeing', 'exit-motivation': 'motivation' };
+  const overridden = Object.entries(exitFlags).filter(([flag]) => values[flag] !== undefined).map(([, type]) => type);
+  const exitRules = (scenario.params.exitRules ?? []).filter(rule => !overridden.includes(rule?.type));
+  if (values['exit-wellbeing'] !== undefined) {
+    const [threshold, periods] = values['exit-wellbeing'].split(':');
+    exitRules.push({
+      type: 'wellbeing',
+      threshold: parseNumber('exit-wellbeing', threshold),
+      periods: parseNumber('exit-wellbeing', periods, { min: 0 }),
+    });
+  }
+  if (values['exit-motivation'] !== undefined) {
+    exitRules.push({ type: 'motivation', threshold: parseNumber('exit-motivation', values['exit-motivation'], { min: 0 }) });
+  }
+  if (values.runs !== undefined) scenario.runs = parseNumber('runs', values.runs, { integer: true, min: 1 });
+  if (values['mean-field']) scenario.meanField = true;
+  if (values.seed !== undefined) scenario.seed = parseNumber('seed', values.seed, { integer: true, min: 0 });
+  if (values['final-time'] !== undefined) scenario.finalTime = parseNumber('final-time', values['final-time'], { integer: true, min: 1 });
+  if (values.dt !== undefined) scenario.dt = parseNumber('dt', values.dt, { min: Number.MIN_VALUE });
+  if (values.method !== undefined) scenario.method = values.method;
+  if (values.substeps !== undefined) scenario.substeps = parseNumber('substeps', values.substeps, { integer: true, min: 1 });
+  if (values['record-every'] !== undefined) scenario.recordEvery = parseNumber('record-every', values['record-every'], { min: 0 });
+  if (values.output !== undefined) scenario.output = values.output;
+  if (values.format !== undefined) scenario.format = values.format;
+
+  if (!['final', 'trajectory'].includes(scenario.output)) fail(`unknown output: ${scenario.output}`);
+  if (!['csv', 'json'].includes(scenario.format)) fail(`unknown format: ${scenario.format}`);
+  if (!INTEGRATION_METHODS.includes(scenario.method)) fail(`unknown integration method: ${scenario.method}`);
+  if (!Number.isInteger(scenario.substeps) || scenario.substeps < 1) fail(`invalid substeps in scenario: ${scenario.substeps}`);
+  if (scenario.params.randomMode !== undefined && !RANDOM_MODES.includes(scenario.params.randomMode)) {
+    fail(`unknown random mode: ${scenario.params.randomMode}`);
+  }
+  scenario.params.exitRules = normalizeExitRules(exitRules);
+  if (scenario.params.exitRules.length < exitRules.length) fail('invalid exit rule in scenario');
+  try {
+    compileModel(scenario.params.equations);
+  } catch (err) {
+    fail(`invalid equation in scenario: ${err.message}`);
+  }
+  if (scenario.meanField) {
+    scenario.runs = 1;
+    scenario.seed = null;
+  } else if (scenario.seed === null || scenario.seed === undefined) {
+    scenario.seed = randomSeed();
+  }
+  return scenario;
+};
+
+const runScenario = (scenario) => {
+  if (scenario.meanField) return [{ run: 0, seed: null, trajectory: runMeanField(scenario.params, scenario) }];
+  const runs = [];
+  for (let i = 0; i < scenario.runs; i++) {
+    const seed = replicationSeed(scenario.seed, i);
+    const trajectory = runSimulation(scenario.params, scenario, seed);
+    runs.push({ run: i, seed, trajectory });
+  }
+  return runs;
+};
+
+// With exit rules every row carries the exit columns, so CSV headers stay complete
+const formatResults = (scenario, runs) => {
+  const exits = scenario.params.exitRules.length > 0;
+  const rows = scenario.output === 'trajectory'
+    ? runs.flatMap(({ run, seed, trajectory }) => trajectory.map(({ exit, ...point }) => ({
+      run, seed, ...point, ...(exits && { exit: exit ?? null }),
+    })))
+    : runs.map(({ run, seed, trajectory }) => {
+      const { exit: _exit, ...final } = trajectory[trajectory.length - 1];
+      const exit = exitOf(trajectory);
+      return { run, seed, ...final, ...(exits && { exitTime: exit?.time ?? null, exitReason: exit?.reason ?? null }) };
+    });
+
+  if (scenario.format === 'csv') return `${toCSV(rows)}\n`;
+  return `${JSON.stringify({ scenario, results: rows }, null, 2)}\n`;
+};
+
+const main = () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        scenario: { type: 'string' },
+        ambition: { type: 'string' },
+        skill: { type: 'string' },
+        'self-regulation': { type: 'string' },
+        dynamism: { type: 'string' },
+        ...Object.fromEntries(COEFFICIENT_KEYS.map(key => [key, { type: 'string' }])),
+        'random-mode': { type: 'string' },
+        'exit-wellbeing': { type: 'string' },
+        'exit-motivation': { type: 'string' },
+        runs: { type: 'string' },
+        seed: { type: 'string' },
+        'mean-field': { type: 'boolean' },
+        'final-time': { type: 'string' },
+        dt: { type: 'string' },
+        method: { type: 'string' },
+        substeps: { type: 'string' },
+        'record-every': { type: 'string' },
+        output: { type: 'string' },
+        format: { type: 'string' },
+        out: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length === 0) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (positionals[0] !== 'run') fail(`unknown command: ${positionals[0]}`);
+
+  const scenario = resolveScenario(values);
+  const output = formatResults(scenario, runScenario(scenario));
+
+  if (values.out) writeFileSync(values.out, output);
+  else process.stdout.write(output);
+};
+
+main();
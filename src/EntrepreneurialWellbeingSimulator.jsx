@@ -1,292 +1,2343 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ScatterChart, Scatter, ReferenceLine } from 'recharts';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ScatterChart, Scatter, ReferenceLine, ReferenceArea, BarChart, Bar, Cell, ComposedChart, Area } from 'recharts';
+import { runSimulation, runMeanField, integrationDiagnostics, parametersAt, expectedDrift, MODEL_DEFINITION, modelDefinition, compileModel, normalizeEquations, normalizeExitRules, exitOf, MODEL_FACTORS, PARAMETER_KEYS, gridValues, summarizeRuns, SENSITIVITY_OUTPUTS, sensitivityRows, toCSV, randomSeed, createRunRecord, parseRunRecord, classifyOutcome, withParameter, getParameter, pairedTreatmentEffect, INTERVENTION_TYPES, normalizeInterventions, DEFAULT_TIMING, MAX_FINAL_TIME, DT_OPTIONS, SUBSTEP_OPTIONS, INTEGRATION_METHODS, resolveTiming, RANDOM_MODES, OUTCOME_TYPES, histogram, kernelDensity } from './simulation';
+import { createSimulationClient } from './simulationClient';
+import { parseObservations, CALIBRATION_OBJECTIVES } from './calibration';
+import { COHORT_TRAITS, TRAIT_DISTRIBUTIONS, defaultCohort, parseCohortTable } from './cohort';
+import { decodeScenarioQuery, encodeScenarioQuery, scenarioLink } from './shareLink';
+import { createScenario, loadScenarios, saveScenarios, scenariosToFile, scenariosFromFile } from './scenarioLibrary';
+import { modelToXmile, parseXmile } from './xmile';
+import { EWS_VARIABLES, EWS_INDICATORS } from './earlyWarning';
 
 // ============================================
-// SEEDED RANDOM NUMBER GENERATOR
+// OUTCOME INTERPRETATION
 // ============================================
-class SeededRandom {
-  constructor(seed) {
-    this.seed = seed;
-  }
-  
-  next() {
-    this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
-    return this.seed / 0x7fffffff;
+// Display text for each category returned by classifyOutcome
+const OUTCOMES = {
+  burnout: { type: 'burnout', color: '#ef4444', bg: 'rgba(239, 68, 68, 0.1)',
+    title: 'Burnout & Venture Abandonment',
+    text: 'Strain overwhelmed motivation. The entrepreneur entered burnout territory and the venture stalled.' },
+  struggling: { type: 'struggling', color: '#f59e0b', bg: 'rgba(245, 158, 11, 0.1)',
+    title: 'Struggling & At Risk',
+    text: 'Well-being is deteriorating. Without improving self-regulation or adjusting ambition, burnout risk is high.' },
+  resilient: { type: 'resilient', color: '#06b6d4', bg: 'rgba(6, 182, 212, 0.1)',
+    title: 'Resilient but Limited Progress',
+    text: 'Strong self-regulation maintained well-being despite limited performance. May need to develop skill.' },
+  thriving: { type: 'thriving', color: '#10b981', bg: 'rgba(16, 185, 129, 0.1)',
+    title: 'Thriving Entrepreneur',
+    text: 'Excellent alignment of ambition, skill, and self-regulation. Both venture and well-being flourishing.' },
+  strained: { type: 'strained', color: '#8b5cf6', bg: 'rgba(139, 92, 246, 0.1)',
+    title: 'Successful but Strained',
+    text: 'Performance achieved at personal cost. Negative well-being suggests sustainability concerns.' },
+  moderate: { type: 'moderate', color: '#3b82f6', bg: 'rgba(59, 130, 246, 0.1)',
+    title: 'Steady Progress',
+    text: 'The venture is developing with stable well-being. Explore parameter changes to improve outcomes.' },
+};
+
+// ============================================
+// SWEEP METRICS
+// ============================================
+const SWEEP_METRICS = [
+  { key: 'meanPerformance', label: 'Mean Performance', color: '#8b5cf6', format: (v) => v.toFixed(1) },
+  { key: 'meanWellbeing', label: 'Mean Well-being', color: '#10b981', diverging: true, format: (v) => v.toFixed(1) },
+  { key: 'successRate', label: 'Success (P>10)', color: '#3b82f6', format: (v) => `${(v * 100).toFixed(0)}%` },
+  { key: 'burnoutRate', label: 'Burnout (WB<-20)', color: '#ef4444', format: (v) => `${(v * 100).toFixed(0)}%` },
+];
+
+
+// Choices for the distribution run-count selector
+const RUN_COUNT_OPTIONS = [10, 25, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+// Scenarios that can be overlaid at once
+const MAX_COMPARED_SCENARIOS = 4;
+
+// Upper bound on points drawn in the distribution scatter
+const MAX_SCATTER_POINTS = 2000;
+
+// Recording intervals in periods; 0 records every integration step
+const RECORD_EVERY_OPTIONS = [
+  { value: 0, label: 'Every step (full resolution)' },
+  { value: 1, label: 'Every period' },
+  { value: 5, label: 'Every 5 periods' },
+  { value: 10, label: 'Every 10 periods' },
+];
+
+const INTEGRATION_METHOD_LABELS = {
+  euler: 'Euler (paper)',
+  heun: 'Heun (2nd order)',
+  rk4: 'Runge–Kutta 4',
+};
+
+const RANDOM_MODE_LABELS = {
+  paper: 'Paper-faithful (LCG, clipped normals, 0/1 setbacks)',
+  modern: 'Statistically sound (xoshiro128**, truncated normals, Poisson)',
+};
+
+// Dotted reference line of the deterministic mean-field run
+const MEAN_FIELD_LINE = { strokeWidth: 1.5, strokeDasharray: '2 3', strokeOpacity: 0.8, dot: false, isAnimationActive: false };
+
+// Playback time of a whole run at 1×, whatever its length or resolution
+const PLAYBACK_DURATION_MS = 2000;
+const PLAYBACK_SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+
+// ============================================
+// FILE EXPORT
+// ============================================
+const downloadFile = (filename, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const downloadJSON = (filename, data) => downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+
+// Row of small export buttons: actions = [{ label, onClick }]
+const ExportBar = ({ label, actions }) => (
+  <div style={{ display: 'flex', gap: '0.3rem', alignItems: 'center', flexWrap: 'wrap', marginTop: '0.4rem' }}>
+    <span style={{ fontSize: '0.75rem', color: '#64748b' }}>{label}</span>
+    {actions.map(a => (
+      <button key={a.label} onClick={a.onClick}
+        style={{ fontSize: '0.75rem', padding: '0.2rem 0.45rem', background: '#374151', border: '1px solid #4b5563', borderRadius: '4px', color: '#e2e8f0', cursor: 'pointer' }}>
+        {a.label}
+      </button>
+    ))}
+  </div>
+);
+
+// ============================================
+// SYSTEM DIAGRAM COMPONENT
+// ============================================
+// Display names and colours of every model variable; equations come from the model definition
+const DIAGRAM_VARIABLES = {
+  motivation: { label: 'Motivation', color: '#3b82f6' },
+  strain: { label: 'Strain', color: '#ef4444' },
+  cumulativeEffort: { label: 'Cum. effort', name: 'Cumulative effort', color: '#f59e0b' },
+  performance: { label: 'Performance', color: '#8b5cf6' },
+  motivationIncrease: { label: 'M↑', name: 'Motivation increase', color: '#3b82f6' },
+  motivationDecrease: { label: 'M↓', name: 'Motivation decrease', color: '#3b82f6' },
+  strainIncrease: { label: 'S↑', name: 'Strain increase', color: '#ef4444' },
+  strainDecrease: { label: 'S↓', name: 'Strain decrease', color: '#ef4444' },
+  effort: { label: 'Effort', color: '#f59e0b' },
+  advance: { label: 'Advance', color: '#8b5cf6' },
+  setback: { label: 'Setback', color: '#8b5cf6' },
+  challengeStressors: { label: 'Challenge', name: 'Challenge stressors', color: '#f59e0b' },
+  hindranceStressors: { label: 'Hindrance', name: 'Hindrance stressors', color: '#f59e0b' },
+  recovery: { label: 'Recovery', color: '#10b981' },
+  resources: { label: 'Resources', color: '#10b981' },
+  wellbeing: { label: 'Well-being', color: '#10b981' },
+  ambition: { label: 'Ambition', color: '#94a3b8', note: 'Parameter; interventions may change it during the run' },
+  skill: { label: 'Skill', color: '#94a3b8', note: 'Parameter; interventions may change it during the run' },
+  selfRegulation: { label: 'Self-regulation', color: '#94a3b8', note: 'Parameter; interventions may change it during the run' },
+  dynamism: { label: 'Dynamism', color: '#94a3b8', note: 'Parameter; interventions may change it during the run' },
+};
+
+// Defining equation of a variable, by trajectory key, in a model definition (see modelDefinition)
+const variableEquation = (definition, key) => {
+  const stock = definition.stocks.find(v => v.key === key);
+  if (stock) {
+    const net = [...stock.inflows, ...stock.outflows.map(flow => `− ${flow}`)].join(' ');
+    return `${stock.symbol}(t + DT) = ${stock.symbol} + (${net}) × DT${stock.nonNegative ? ', floored at 0' : ''};  ${stock.symbol}(0) = ${stock.initial}`;
   }
-  
-  // Box-Muller transform for normal distribution
-  nextNormal(mean = 0, std = 1) {
-    const u1 = this.next();
-    const u2 = this.next();
-    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return mean + z * std;
+  const input = definition.randomInputs.find(v => v.key === key);
+  if (input) return `${input.symbol} ~ ${input.distribution}`;
+  const variable = [...definition.auxiliaries, ...definition.flows, ...definition.outputs].find(v => v.key === key);
+  return variable ? `${variable.symbol} = ${variable.equation}${variable.edited ? '  (edited)' : ''}` : DIAGRAM_VARIABLES[key]?.note;
+};
+
+// Layout in a 560×410 viewBox. Flows are valves on left-to-right pipes spanning pipe
+// [x1, x2] at the valve's height, filling a stock (into) or draining one (outOf);
+// label offsets the valve's caption. Parameters appear as shadow copies next to each
+// variable they drive, so several nodes can share a key.
+const DIAGRAM_NODES = [
+  { id: 'motivation', kind: 'stock', x: 280, y: 60 },
+  { id: 'strain', kind: 'stock', x: 280, y: 190 },
+  { id: 'cumulativeEffort', kind: 'stock', x: 280, y: 270 },
+  { id: 'performance', kind: 'stock', x: 280, y: 350 },
+  { id: 'motivationIncrease', kind: 'flow', x: 160, y: 60, pipe: [40, 234], into: 'motivation', label: [-30, -12] },
+  { id: 'motivationDecrease', kind: 'flow', x: 400, y: 60, pipe: [326, 520], outOf: 'motivation', label: [-32, 20] },
+  { id: 'strainIncrease', kind: 'flow', x: 160, y: 190, pipe: [40, 234], into: 'strain' },
+  { id: 'strainDecrease', kind: 'flow', x: 400, y: 190, pipe: [326, 520], outOf: 'strain' },
+  { id: 'effort', kind: 'flow', x: 160, y: 270, pipe: [40, 234], into: 'cumulativeEffort', label: [-30, -12] },
+  { id: 'advance', kind: 'flow', x: 160, y: 350, pipe: [40, 234], into: 'performance' },
+  { id: 'setback', kind: 'flow', x: 400, y: 350, pipe: [326, 520], outOf: 'performance' },
+  { id: 'challengeStressors', kind: 'aux', x: 55, y: 125 },
+  { id: 'recovery', kind: 'aux', x: 160, y: 125 },
+  { id: 'wellbeing', kind: 'gauge', x: 280, y: 125 },
+  { id: 'hindranceStressors', kind: 'aux', x: 400, y: 125 },
+  { id: 'resources', kind: 'aux', x: 505, y: 125 },
+  { id: 'ambition-1', key: 'ambition', kind: 'param', x: 60, y: 160 },
+  { id: 'ambition-2', key: 'ambition', kind: 'param', x: 528, y: 162 },
+  { id: 'ambition-3', key: 'ambition', kind: 'param', x: 280, y: 392 },
+  { id: 'selfRegulation-1', key: 'selfRegulation', kind: 'param', x: 400, y: 18 },
+  { id: 'selfRegulation-2', key: 'selfRegulation', kind: 'param', x: 85, y: 228 },
+  { id: 'skill', kind: 'param', x: 90, y: 315 },
+  { id: 'dynamism', kind: 'param', x: 470, y: 315 },
+];
+
+// Causal links from the equations: [from node, to node, polarity, bend in px]
+const DIAGRAM_LINKS = [
+  ['challengeStressors', 'motivationIncrease', '+'],
+  ['resources', 'motivationIncrease', '+', 130],
+  ['recovery', 'motivationIncrease', '+'],
+  ['hindranceStressors', 'motivationDecrease', '+'],
+  ['selfRegulation-1', 'motivationDecrease', '−'],
+  ['motivation', 'motivationDecrease', '+', -20],
+  ['challengeStressors', 'strainIncrease', '+'],
+  ['hindranceStressors', 'strainIncrease', '+', 5],
+  ['selfRegulation-2', 'strainIncrease', '−', -10],
+  ['ambition-1', 'strainIncrease', '−'],
+  ['resources', 'strainDecrease', '+'],
+  ['recovery', 'strainDecrease', '+', -5],
+  ['strain', 'strainDecrease', '+', 20],
+  ['challengeStressors', 'recovery', '−'],
+  ['hindranceStressors', 'recovery', '−', 60],
+  ['selfRegulation-2', 'recovery', '+'],
+  ['ambition-1', 'recovery', '+'],
+  ['motivation', 'effort', '+', 15],
+  ['strain', 'effort', '−'],
+  ['effort', 'advance', '+'],
+  ['skill', 'advance', '+'],
+  ['ambition-3', 'advance', '+'],
+  ['dynamism', 'setback', '+'],
+  ['performance', 'setback', '+', -20],
+  ['ambition-3', 'setback', '+'],
+  ['performance', 'resources', '+', 20],
+  ['cumulativeEffort', 'resources', '−', -30],
+  ['ambition-2', 'resources', '+'],
+  ['motivation', 'wellbeing', '+'],
+  ['strain', 'wellbeing', '−'],
+  ['ambition-1', 'challengeStressors', '+'],
+  ['ambition-2', 'hindranceStressors', '+'],
+];
+
+const DIAGRAM_WIDTH = 560;
+const DIAGRAM_HEIGHT = 410;
+
+// Pipe dashes move at FLOW_SPEED px/s per unit of flow rate, capped so spikes stay legible
+const FLOW_SPEED = 40;
+const MAX_FLOW_SPEED = 160;
+const FLOW_DASH = [4, 6];
+
+const nodeKey = (node) => node.key ?? node.id;
+const nodeById = Object.fromEntries(DIAGRAM_NODES.map(n => [n.id, n]));
+
+// Half extents of a node's shape; ellipses for auxiliaries, gauges and valves
+const nodeExtent = (node) => {
+  switch (node.kind) {
+    case 'stock': return { hw: 46, hh: 18 };
+    case 'flow': return { hw: 10, hh: 10, round: true };
+    case 'param': return { hw: DIAGRAM_VARIABLES[nodeKey(node)].label.length * 3 + 8, hh: 8 };
+    default: return { hw: 40, hh: 16, round: true };
   }
-  
-  // Random Normal with truncation: mean, std, min, max
-  nextTruncatedNormal(mean, std, min, max) {
-    let value = this.nextNormal(mean, std);
-    return Math.max(min, Math.min(max, value));
+};
+
+// Point where the ray from a node's centre towards (x, y) leaves its shape
+const nodeBoundary = (node, x, y) => {
+  const { hw, hh, round } = nodeExtent(node);
+  const dx = x - node.x;
+  const dy = y - node.y;
+  if (dx === 0 && dy === 0) return [node.x, node.y];
+  const scale = round ? 1 / Math.hypot(dx / hw, dy / hh) : Math.min(hw / Math.abs(dx || 1e-9), hh / Math.abs(dy || 1e-9));
+  return [node.x + dx * scale, node.y + dy * scale];
+};
+
+// Quadratic curve of a causal link, trimmed to the node outlines, and its polarity label position
+const linkGeometry = ([fromId, toId, , bend = 0]) => {
+  const from = nodeById[fromId];
+  const to = nodeById[toId];
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const cx = (from.x + to.x) / 2 - (to.y - from.y) / length * bend;
+  const cy = (from.y + to.y) / 2 + (to.x - from.x) / length * bend;
+  const [sx, sy] = nodeBoundary(from, cx, cy);
+  const [ex, ey] = nodeBoundary(to, cx, cy);
+  const gap = 3 / Math.hypot(ex - cx, ey - cy);
+  const end = [ex + (cx - ex) * gap, ey + (cy - ey) * gap];
+  const at = (u) => [(1 - u) ** 2 * sx + 2 * u * (1 - u) * cx + u * u * end[0], (1 - u) ** 2 * sy + 2 * u * (1 - u) * cy + u * u * end[1]];
+  const [lx, ly] = at(0.75);
+  const [tx, ty] = [end[0] - at(0.7)[0], end[1] - at(0.7)[1]];
+  const norm = Math.hypot(tx, ty) || 1;
+  return {
+    d: `M ${sx.toFixed(1)} ${sy.toFixed(1)} Q ${cx.toFixed(1)} ${cy.toFixed(1)} ${end[0].toFixed(1)} ${end[1].toFixed(1)}`,
+    label: [lx - ty / norm * 8, ly + tx / norm * 8],
+  };
+};
+const DIAGRAM_LINK_PATHS = DIAGRAM_LINKS.map(link => ({ from: link[0], to: link[1], polarity: link[2], ...linkGeometry(link) }));
+
+const formatNodeValue = (value) => (value === undefined || value === null ? '—' : Math.abs(value) >= 10 ? value.toFixed(1) : value.toFixed(2));
+
+// Pop-up for a clicked variable: value at the playhead, defining equation and time series
+const DiagramNodeCard = ({ node, variableKey, definition, currentState, parameters, trajectory, onClose }) => {
+  const variable = DIAGRAM_VARIABLES[variableKey];
+  const isParameter = PARAMETER_KEYS.includes(variableKey);
+  const value = isParameter
+    ? (parameters && currentState ? parametersAt(parameters, currentState.period)[variableKey] : undefined)
+    : currentState?.[variableKey];
+  const placement = {
+    ...(node.x > DIAGRAM_WIDTH / 2 ? { right: `${(100 - (node.x + 20) / DIAGRAM_WIDTH * 100).toFixed(1)}%` } : { left: `${((node.x - 20) / DIAGRAM_WIDTH * 100).toFixed(1)}%` }),
+    ...(node.y > DIAGRAM_HEIGHT / 2 ? { bottom: `${(100 - (node.y - 22) / DIAGRAM_HEIGHT * 100).toFixed(1)}%` } : { top: `${((node.y + 22) / DIAGRAM_HEIGHT * 100).toFixed(1)}%` }),
+  };
+  return (
+    <div onClick={(e) => e.stopPropagation()}
+      style={{ position: 'absolute', ...placement, width: '270px', maxWidth: '90%', background: '#0f172a', border: `1px solid ${variable.color}`, borderRadius: '8px', padding: '0.5rem 0.6rem', boxShadow: '0 6px 20px rgba(0, 0, 0, 0.5)', zIndex: 2 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '0.4rem' }}>
+        <span style={{ fontSize: '0.85rem', fontWeight: 600, color: variable.color }}>{variable.name ?? variable.label}</span>
+        <button onClick={onClose} title="Close"
+          style={{ background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '0.9rem', lineHeight: 1 }}>×</button>
+      </div>
+      <div style={{ fontSize: '0.75rem', color: '#cbd5e1', margin: '0.15rem 0 0.3rem' }}>
+        {currentState ? <>Period {currentState.period}: <b>{formatNodeValue(value)}</b></> : 'Run a simulation to see values'}
+      </div>
+      <code style={{ display: 'block', fontSize: '0.7rem', color: '#94a3b8', lineHeight: 1.4, wordBreak: 'break-word' }}>{variableEquation(definition, variableKey)}</code>
+      {!isParameter && trajectory.length > 1 && (
+        <ResponsiveContainer width="100%" height={90}>
+          <LineChart data={trajectory} margin={{ top: 6, right: 4, bottom: 0, left: -20 }}>
+            <XAxis dataKey="period" type="number" domain={['dataMin', 'dataMax']} stroke="#64748b" tick={{ fontSize: 9 }} />
+            <YAxis stroke="#64748b" tick={{ fontSize: 9 }} />
+            <Line type="monotone" dataKey={variableKey} stroke={variable.color} strokeWidth={1.5} dot={false} isAnimationActive={false} />
+            {currentState && <ReferenceLine x={currentState.period} stroke="#e2e8f0" strokeOpacity={0.6} />}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Stock-and-flow diagram of the model at the playhead. Pipe dashes move at a speed
+ * proportional to the current flow rate; clicking a variable pops up its series and
+ * equation and highlights its causal links.
+ */
+const SystemDiagram = ({ currentState, isActive, trajectory, parameters }) => {
+  const [selected, setSelected] = useState(null);
+  const definition = useMemo(() => modelDefinition(parameters?.equations), [parameters?.equations]);
+  const pipeRefs = useRef({});
+  const ratesRef = useRef({});
+  ratesRef.current = Object.fromEntries(DIAGRAM_NODES.filter(n => n.pipe).map(n => [n.id, isActive ? Math.abs(currentState?.[n.id] ?? 0) : 0]));
+
+  // Dash offsets advance on each animation frame, outside React rendering
+  useEffect(() => {
+    if (!isActive) return undefined;
+    const offsets = {};
+    let last = null;
+    let frame;
+    const tick = (now) => {
+      const elapsed = last === null ? 0 : Math.min(now - last, 100) / 1000;
+      last = now;
+      Object.entries(pipeRefs.current).forEach(([id, path]) => {
+        if (!path) return;
+        const speed = Math.min(FLOW_SPEED * ratesRef.current[id], MAX_FLOW_SPEED);
+        offsets[id] = ((offsets[id] ?? 0) - speed * elapsed) % (FLOW_DASH[0] + FLOW_DASH[1]);
+        path.setAttribute('stroke-dashoffset', offsets[id].toFixed(2));
+      });
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isActive]);
+
+  const valueOf = (key) => (isActive ? currentState?.[key] : undefined);
+  const wb = valueOf('wellbeing');
+  const wbColor = wb === undefined ? '#475569' : wb > 0 ? '#10b981' : '#ef4444';
+  const isLinked = (link) => selected && (nodeKey(nodeById[link.from]) === selected || nodeKey(nodeById[link.to]) === selected);
+  const selectedNode = selected && DIAGRAM_NODES.find(n => nodeKey(n) === selected);
+  const toggle = (node) => (e) => {
+    e.stopPropagation();
+    setSelected(current => (current === nodeKey(node) ? null : nodeKey(node)));
+  };
+
+  const renderNode = (node) => {
+    const key = nodeKey(node);
+    const variable = DIAGRAM_VARIABLES[key];
+    const dimmed = selected && selected !== key && !DIAGRAM_LINK_PATHS.some(l => isLinked(l) && (l.from === node.id || l.to === node.id));
+    const common = { onClick: toggle(node), style: { cursor: 'pointer' }, opacity: dimmed ? 0.35 : 1 };
+    const strokeWidth = selected === key ? 3 : 2;
+    const title = <title>{`${variable.name ?? variable.label}: ${variableEquation(definition, key)}`}</title>;
+    const { hw, hh } = nodeExtent(node);
+
+    switch (node.kind) {
+      case 'stock':
+        return (
+          <g key={node.id} {...common}>
+            {title}
+            <rect x={node.x - hw} y={node.y - hh} width={hw * 2} height={hh * 2} rx="3" fill="#1e293b" stroke={variable.color} strokeWidth={strokeWidth} />
+            <text x={node.x} y={node.y - 3} textAnchor="middle" fill="#cbd5e1" fontSize="11" fontWeight="500">{variable.label}</text>
+            <text x={node.x} y={node.y + 12} textAnchor="middle" fill={variable.color} fontSize="12" fontWeight="700">{formatNodeValue(valueOf(key))}</text>
+          </g>
+        );
+      case 'flow': {
+        const [dx, dy] = node.label ?? [0, 20];
+        return (
+          <g key={node.id} {...common}>
+            {title}
+            <polygon points={`${node.x - 7},${node.y - 8} ${node.x + 7},${node.y - 8} ${node.x - 7},${node.y + 8} ${node.x + 7},${node.y + 8}`}
+              fill="#0f172a" stroke={variable.color} strokeWidth={strokeWidth - 0.5} strokeLinejoin="round" />
+            <text x={node.x + dx} y={node.y + dy} textAnchor="middle" fill="#cbd5e1" fontSize="10">
+              {variable.label} <tspan fill={variable.color} fontWeight="600">{formatNodeValue(valueOf(key))}</tspan>
+            </text>
+          </g>
+        );
+      }
+      case 'param':
+        return (
+          <g key={node.id} {...common}>
+            {title}
+            <rect x={node.x - hw} y={node.y - hh} width={hw * 2} height={hh * 2} rx="8" fill="#0f172a" stroke="#475569" strokeWidth={selected === key ? 2 : 1} strokeDasharray="3 2" />
+            <text x={node.x} y={node.y + 3.5} textAnchor="middle" fill="#94a3b8" fontSize="9.5" fontStyle="italic">{variable.label}</text>
+          </g>
+        );
+      default: {
+        const isGauge = node.kind === 'gauge';
+        const color = isGauge ? wbColor : variable.color;
+        return (
+          <g key={node.id} {...common}>
+            {title}
+            <ellipse cx={node.x} cy={node.y} rx={hw} ry={hh} fill={isGauge && wb !== undefined ? `${color}33` : '#1e293b'} stroke={color} strokeWidth={strokeWidth - 0.5} />
+            <text x={node.x} y={node.y - 2} textAnchor="middle" fill="#94a3b8" fontSize="9.5">{variable.label}</text>
+            <text x={node.x} y={node.y + 10} textAnchor="middle" fill={color} fontSize="11" fontWeight="600">{formatNodeValue(valueOf(key))}</text>
+          </g>
+        );
+      }
+    }
+  };
+
+  return (
+    <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' }}>
+      <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 }}>
+        Stock-and-Flow Diagram
+        {isActive && currentState && <span style={{ fontSize: '0.75rem', color: '#64748b' }}> — period {currentState.period}</span>}
+      </h3>
+
+      <div style={{ position: 'relative' }} onClick={() => setSelected(null)}>
+        <svg viewBox={`0 0 ${DIAGRAM_WIDTH} ${DIAGRAM_HEIGHT}`} style={{ width: '100%', height: 'auto', display: 'block' }}>
+          <defs>
+            <marker id="sfd-link" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+              <path d="M0,0 L10,5 L0,10 z" fill="#64748b" />
+            </marker>
+            <marker id="sfd-link-active" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+              <path d="M0,0 L10,5 L0,10 z" fill="#e2e8f0" />
+            </marker>
+          </defs>
+
+          {/* Pipes, with clouds at the model boundary */}
+          {DIAGRAM_NODES.filter(n => n.pipe).map(n => {
+            const [x1, x2] = n.pipe;
+            const cloudX = n.into ? x1 : x2;
+            const tip = n.into ? x2 : x2 - 11;
+            return (
+              <g key={`pipe-${n.id}`}>
+                <line x1={x1} y1={n.y} x2={tip - 6} y2={n.y} stroke="#475569" strokeWidth="7" />
+                <line x1={x1} y1={n.y} x2={tip - 6} y2={n.y} stroke="#0f172a" strokeWidth="4" />
+                <line ref={el => { pipeRefs.current[n.id] = el; }} x1={x1} y1={n.y} x2={tip - 6} y2={n.y}
+                  stroke={DIAGRAM_VARIABLES[n.id].color} strokeWidth="2" strokeDasharray={FLOW_DASH.join(' ')} opacity={isActive ? 0.9 : 0.3} />
+                <polygon points={`${tip - 8},${n.y - 7} ${tip},${n.y} ${tip - 8},${n.y + 7}`} fill="#475569" />
+                <path d={`M ${cloudX - 9} ${n.y + 5} a 4 4 0 0 1 1 -8 a 6 6 0 0 1 11 -2 a 4.5 4.5 0 0 1 6 5 a 3.5 3.5 0 0 1 -2 5 z`}
+                  fill="#1e293b" stroke="#64748b" strokeWidth="1" />
+              </g>
+            );
+          })}
+
+          {/* Causal links with polarities */}
+          {DIAGRAM_LINK_PATHS.map(link => {
+            const active = isLinked(link);
+            return (
+              <g key={`${link.from}-${link.to}`} opacity={selected && !active ? 0.15 : 1}>
+                <path d={link.d} fill="none" stroke={active ? '#e2e8f0' : '#64748b'} strokeWidth={active ? 1.6 : 1}
+                  markerEnd={`url(#${active ? 'sfd-link-active' : 'sfd-link'})`} />
+                <text x={link.label[0]} y={link.label[1] + 4} textAnchor="middle" fontSize="11" fontWeight="700"
+                  fill={link.polarity === '+' ? '#10b981' : '#ef4444'}>{link.polarity}</text>
+              </g>
+            );
+          })}
+
+          {DIAGRAM_NODES.map(renderNode)}
+        </svg>
+
+        {selectedNode && (
+          <DiagramNodeCard node={selectedNode} variableKey={selected} definition={definition} currentState={isActive ? currentState : null}
+            parameters={parameters} trajectory={trajectory} onClose={() => setSelected(null)} />
+        )}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.3rem 0.9rem', marginTop: '0.4rem', fontSize: '0.7rem', color: '#64748b' }}>
+        <span><span style={{ color: '#3b82f6' }}>▭</span> Stock</span>
+        <span><span style={{ color: '#f59e0b' }}>⧗</span> Flow (dash speed ∝ rate)</span>
+        <span><span style={{ color: '#10b981' }}>◯</span> Auxiliary</span>
+        <span><i>Parameter</i> (copy)</span>
+        <span><b style={{ color: '#10b981' }}>+</b>/<b style={{ color: '#ef4444' }}>−</b> link polarity</span>
+        <span>Click a variable for its series and equation</span>
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// SWEEP HEATMAP COMPONENT
+// ============================================
+const mixColor = (from, to, t) => {
+  const a = parseInt(from.slice(1), 16);
+  const b = parseInt(to.slice(1), 16);
+  const channel = (shift) => Math.round(((a >> shift) & 255) + (((b >> shift) & 255) - ((a >> shift) & 255)) * t);
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+};
+
+const SweepHeatmap = ({ sweep, metric, onCellClick }) => {
+  const values = sweep.cells.map(c => c[metric.key]);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const absMax = Math.max(Math.abs(minValue), Math.abs(maxValue)) || 1;
+
+  const cellColor = (value) => {
+    if (metric.diverging) {
+      return value >= 0
+        ? mixColor('#1e293b', '#10b981', value / absMax)
+        : mixColor('#1e293b', '#ef4444', -value / absMax);
+    }
+    const t = maxValue === minValue ? 0.5 : (value - minValue) / (maxValue - minValue);
+    return mixColor('#1e293b', metric.color, t);
+  };
+
+  const xLabel = MODEL_FACTORS.find(p => p.key === sweep.xKey)?.label;
+  const yLabel = MODEL_FACTORS.find(p => p.key === sweep.yKey)?.label;
+
+  const left = 44, top = 8, width = 300, height = 220;
+  const cw = width / sweep.xs.length;
+  const ch = height / sweep.ys.length;
+
+  return (
+    <svg viewBox="0 0 360 270" style={{ width: '100%', height: 'auto' }}>
+      {sweep.cells.map(c => (
+        <rect key={`${c.i}-${c.j}`}
+          x={left + c.i * cw} y={top + (sweep.ys.length - 1 - c.j) * ch} width={cw} height={ch}
+          fill={cellColor(c[metric.key])} stroke="#0f172a" strokeWidth="0.5"
+          style={{ cursor: 'pointer' }} onClick={() => onCellClick(c)}>
+          <title>{`${xLabel} ${c.x}, ${yLabel} ${c.y}: ${metric.format(c[metric.key])}`}</title>
+        </rect>
+      ))}
+      {sweep.cells.length <= 100 && sweep.cells.map(c => (
+        <text key={`t-${c.i}-${c.j}`} x={left + (c.i + 0.5) * cw} y={top + (sweep.ys.length - 0.5 - c.j) * ch + 3}
+          textAnchor="middle" fill="#e2e8f0" fontSize="8" pointerEvents="none">
+          {metric.format(c[metric.key])}
+        </text>
+      ))}
+
+      {/* Axes */}
+      {sweep.xs.map((x, i) => (
+        <text key={`x-${i}`} x={left + (i + 0.5) * cw} y={top + height + 11} textAnchor="middle" fill="#64748b" fontSize="8">{x}</text>
+      ))}
+      {sweep.ys.map((y, j) => (
+        <text key={`y-${j}`} x={left - 4} y={top + (sweep.ys.length - 0.5 - j) * ch + 3} textAnchor="end" fill="#64748b" fontSize="8">{y}</text>
+      ))}
+      <text x={left + width / 2} y={top + height + 24} textAnchor="middle" fill="#94a3b8" fontSize="10">{xLabel}</text>
+      <text x={10} y={top + height / 2} textAnchor="middle" fill="#94a3b8" fontSize="10"
+        transform={`rotate(-90, 10, ${top + height / 2})`}>{yLabel}</text>
+
+      {/* Scale */}
+      <text x={left} y={top + height + 38} fill="#64748b" fontSize="8">
+        {metric.label}: {metric.format(metric.diverging ? -absMax : minValue)}
+      </text>
+      <rect x={left + 130} y={top + height + 31} width="100" height="8"
+        fill={`url(#sweep-scale-${metric.key})`} stroke="#334155" strokeWidth="0.5" />
+      <text x={left + 236} y={top + height + 38} fill="#64748b" fontSize="8">
+        {metric.format(metric.diverging ? absMax : maxValue)}
+      </text>
+      <defs>
+        <linearGradient id={`sweep-scale-${metric.key}`}>
+          {metric.diverging ? (
+            <>
+              <stop offset="0%" stopColor="#ef4444" />
+              <stop offset="50%" stopColor="#1e293b" />
+              <stop offset="100%" stopColor="#10b981" />
+            </>
+          ) : (
+            <>
+              <stop offset="0%" stopColor="#1e293b" />
+              <stop offset="100%" stopColor={metric.color} />
+            </>
+          )}
+        </linearGradient>
+      </defs>
+    </svg>
+  );
+};
+
+// ============================================
+// PHASE PORTRAIT COMPONENT
+// ============================================
+// Effort iso-lines as fractions of Var8, the effort ceiling
+const EFFORT_LEVELS = [0.1, 0.25, 0.5, 0.75, 0.9];
+// Drift arrows per axis
+const DRIFT_GRID = 12;
+const MAX_PHASE_SEGMENTS = 600;
+const PHASE_EARLY = '#6366f1';
+const PHASE_LATE = '#facc15';
+
+// Axis from 0 to a rounded maximum of at least 1, with ticks at 1/2/5 steps
+const axisScale = (value) => {
+  const target = Math.max(value, 1);
+  const magnitude = 10 ** Math.floor(Math.log10(target / 5));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= target / 5);
+  const max = Math.ceil(target / step) * step;
+  return { max, ticks: Array.from({ length: Math.round(max / step) + 1 }, (_, i) => +(i * step).toPrecision(6)) };
+};
+
+/**
+ * Trajectory in the (motivation, strain) plane coloured by period, with effort
+ * iso-lines, the well-being = 0 line and the expected drift at the playhead.
+ * Axes are fixed by the full run so they hold still during playback.
+ */
+const PhasePortrait = ({ trajectory, fullTrajectory, params, dt, currentState }) => {
+  const [showDrift, setShowDrift] = useState(true);
+  const mAxis = axisScale(Math.max(...fullTrajectory.map(p => p.motivation)) * 1.05);
+  const sAxis = axisScale(Math.max(...fullTrajectory.map(p => p.strain)) * 1.05);
+  const finalPeriod = fullTrajectory[fullTrajectory.length - 1].period || 1;
+  const state = currentState ?? trajectory[trajectory.length - 1];
+  const current = parametersAt(params, state.period);
+  const coefficient = (key) => current.coefficients?.[key] ?? 1;
+
+  const left = 44, top = 10, width = 380, height = 230;
+  const x = (m) => left + m / mAxis.max * width;
+  const y = (s) => top + height - s / sAxis.max * height;
+
+  // The iso-lines and the zero line follow the paper's equations, so edited ones hide them
+  const paperEffort = !params.equations?.Effort;
+  const paperWellbeing = !params.equations?.Well_being;
+
+  // Effort = Var8 / (1 + e^(S − M)) is constant along S = M + ln(1/f − 1)
+  const isolines = !paperEffort ? [] : EFFORT_LEVELS.map(f => {
+    const offset = Math.log(1 / f - 1);
+    const m0 = Math.max(0, -offset);
+    const m1 = Math.min(mAxis.max, sAxis.max - offset);
+    return m1 > m0 ? { f, from: [m0, m0 + offset], to: [m1, m1 + offset] } : null;
+  }).filter(Boolean);
+
+  // Well-being = Var9·M − Var10·S is zero along S = (Var9 / Var10)·M and negative above it
+  const slope = paperWellbeing && coefficient('var10') > 0 ? coefficient('var9') / coefficient('var10') : null;
+  const zeroEnd = slope === null ? null : slope === 0 ? mAxis.max : Math.min(mAxis.max, sAxis.max / slope);
+  const negativeRegion = zeroEnd === null ? null : [
+    [0, 0], [zeroEnd, slope * zeroEnd],
+    ...(slope * zeroEnd < sAxis.max - 1e-9 ? [[mAxis.max, sAxis.max]] : []),
+    [0, sAxis.max],
+  ];
+
+  const drift = useMemo(() => {
+    if (!showDrift) return [];
+    const cells = [];
+    for (let i = 0; i < DRIFT_GRID; i++) {
+      for (let j = 0; j < DRIFT_GRID; j++) {
+        const motivation = (i + 0.5) / DRIFT_GRID * mAxis.max;
+        const strain = (j + 0.5) / DRIFT_GRID * sAxis.max;
+        const rate = expectedDrift(params, { motivation, strain, resources: state.resources, period: state.period }, dt);
+        // Direction in screen space, so arrows follow the plotted geometry
+        const px = rate.motivation / mAxis.max * width;
+        const py = -rate.strain / sAxis.max * height;
+        cells.push({ motivation, strain, px, py, speed: Math.hypot(px, py), rate });
+      }
+    }
+    const fastest = Math.max(...cells.map(c => c.speed)) || 1;
+    return cells.map(c => ({ ...c, relative: c.speed / fastest }));
+  }, [showDrift, params, state.resources, state.period, dt, mAxis.max, sAxis.max]);
+  const cell = Math.min(width, height) / DRIFT_GRID;
+
+  const stride = Math.max(1, Math.ceil(trajectory.length / MAX_PHASE_SEGMENTS));
+  const path = trajectory.filter((_, i) => i % stride === 0 || i === trajectory.length - 1);
+
+  return (
+    <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '0.4rem' }}>
+        <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', fontWeight: 500 }}>Phase Portrait: Motivation × Strain</h3>
+        <label style={{ fontSize: '0.75rem', color: '#94a3b8', cursor: 'pointer' }}>
+          <input type="checkbox" checked={showDrift} onChange={(e) => setShowDrift(e.target.checked)} style={{ marginRight: '0.3rem', accentColor: '#8b5cf6' }} />
+          Expected drift
+        </label>
+      </div>
+
+      <svg viewBox="0 0 440 290" style={{ width: '100%', height: 'auto' }}>
+        <defs>
+          <clipPath id="phase-plot">
+            <rect x={left} y={top} width={width} height={height} />
+          </clipPath>
+          <marker id="phase-drift" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+            <path d="M0,0 L10,5 L0,10 z" fill="#94a3b8" />
+          </marker>
+          <linearGradient id="phase-periods">
+            <stop offset="0%" stopColor={PHASE_EARLY} />
+            <stop offset="100%" stopColor={PHASE_LATE} />
+          </linearGradient>
+        </defs>
+
+        {/* Grid and axes */}
+        {mAxis.ticks.map(t => (
+          <g key={`x-${t}`}>
+            <line x1={x(t)} y1={top} x2={x(t)} y2={top + height} stroke="#374151" strokeDasharray="3 3" />
+            <text x={x(t)} y={top + height + 11} textAnchor="middle" fill="#64748b" fontSize="9">{t}</text>
+          </g>
+        ))}
+        {sAxis.ticks.map(t => (
+          <g key={`y-${t}`}>
+            <line x1={left} y1={y(t)} x2={left + width} y2={y(t)} stroke="#374151" strokeDasharray="3 3" />
+            <text x={left - 4} y={y(t) + 3} textAnchor="end" fill="#64748b" fontSize="9">{t}</text>
+          </g>
+        ))}
+        <text x={left + width / 2} y={top + height + 25} textAnchor="middle" fill="#3b82f6" fontSize="10">Motivation</text>
+        <text x={10} y={top + height / 2} textAnchor="middle" fill="#ef4444" fontSize="10"
+          transform={`rotate(-90, 10, ${top + height / 2})`}>Strain</text>
+
+        <g clipPath="url(#phase-plot)">
+          {negativeRegion && (
+            <polygon points={negativeRegion.map(([m, s]) => `${x(m)},${y(s)}`).join(' ')} fill="rgba(239, 68, 68, 0.07)" />
+          )}
+
+          {drift.map(c => {
+            const length = cell * (0.3 + 0.55 * Math.sqrt(c.relative)) / 2;
+            if (c.speed === 0) return null;
+            const ux = c.px / c.speed * length;
+            const uy = c.py / c.speed * length;
+            return (
+              <line key={`d-${c.motivation}-${c.strain}`} x1={x(c.motivation) - ux} y1={y(c.strain) - uy} x2={x(c.motivation) + ux} y2={y(c.strain) + uy}
+                stroke="#94a3b8" strokeWidth="1" opacity={0.25 + 0.5 * c.relative} markerEnd="url(#phase-drift)">
+                <title>{`M ${c.motivation.toFixed(1)}, S ${c.strain.toFixed(1)}: dM/dt ${c.rate.motivation.toFixed(3)}, dS/dt ${c.rate.strain.toFixed(3)}`}</title>
+              </line>
+            );
+          })}
+
+          {isolines.map(l => (
+            <g key={`e-${l.f}`}>
+              <line x1={x(l.from[0])} y1={y(l.from[1])} x2={x(l.to[0])} y2={y(l.to[1])} stroke="#f59e0b" strokeWidth="1" strokeDasharray="2 3" opacity="0.7" />
+              <text x={x(l.to[0]) - 3} y={y(l.to[1]) + (l.to[1] >= sAxis.max - 1e-9 ? 10 : -3)} textAnchor="end" fill="#f59e0b" fontSize="8" opacity="0.8">
+                {(coefficient('var8') * l.f).toFixed(2)}
+              </text>
+            </g>
+          ))}
+
+          {zeroEnd !== null && (
+            <line x1={x(0)} y1={y(0)} x2={x(zeroEnd)} y2={y(slope * zeroEnd)} stroke="#10b981" strokeWidth="1.5" strokeDasharray="6 3" />
+          )}
+
+          {path.slice(1).map((p, i) => (
+            <line key={`p-${i}`} x1={x(path[i].motivation)} y1={y(path[i].strain)} x2={x(p.motivation)} y2={y(p.strain)}
+              stroke={mixColor(PHASE_EARLY, PHASE_LATE, p.period / finalPeriod)} strokeWidth="2" strokeLinecap="round" />
+          ))}
+          <circle cx={x(state.motivation)} cy={y(state.strain)} r="4.5" fill={mixColor(PHASE_EARLY, PHASE_LATE, state.period / finalPeriod)} stroke="#e2e8f0" strokeWidth="1.5">
+            <title>{`Period ${state.period}: motivation ${state.motivation.toFixed(2)}, strain ${state.strain.toFixed(2)}`}</title>
+          </circle>
+        </g>
+
+        {/* Legend */}
+        <text x={left} y={top + height + 45} fill="#64748b" fontSize="9">Period 0</text>
+        <rect x={left + 40} y={top + height + 38} width="50" height="8" fill="url(#phase-periods)" stroke="#334155" strokeWidth="0.5" />
+        <text x={left + 94} y={top + height + 45} fill="#64748b" fontSize="9">{finalPeriod}</text>
+        {paperEffort && (
+          <>
+            <line x1={left + 125} y1={top + height + 42} x2={left + 145} y2={top + height + 42} stroke="#f59e0b" strokeDasharray="2 3" />
+            <text x={left + 149} y={top + height + 45} fill="#64748b" fontSize="9">effort</text>
+          </>
+        )}
+        {paperWellbeing && (
+          <>
+            <line x1={left + 180} y1={top + height + 42} x2={left + 200} y2={top + height + 42} stroke="#10b981" strokeDasharray="6 3" strokeWidth="1.5" />
+            <text x={left + 204} y={top + height + 45} fill="#64748b" fontSize="9">well-being = 0 (negative shaded)</text>
+          </>
+        )}
+      </svg>
+
+      {showDrift && (
+        <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.2rem' }}>
+          Arrows show the expected change per period, averaged over the stressors, with resources held at {state.resources.toFixed(2)} (period {state.period})
+        </p>
+      )}
+    </div>
+  );
+};
+
+// ============================================
+// SENSITIVITY VIEW COMPONENT
+// ============================================
+const SensitivityView = ({ results, output, onOutputChange }) => {
+  const { oat, sobol } = results;
+  const outputMeta = SENSITIVITY_OUTPUTS.find(o => o.key === output);
+  const base = oat.base[output];
+
+  // Tornado: each bar spans the output change from the low to the high perturbation
+  const tornado = oat.factors
+    .map(f => {
+      const lowDev = f[output].low - base;
+      const highDev = f[output].high - base;
+      return {
+        label: f.label,
+        range: [Math.min(lowDev, highDev), Math.max(lowDev, highDev)],
+        positive: highDev >= lowDev,
+        elasticity: f[output].elasticity,
+        width: Math.abs(highDev - lowDev),
+      };
+    })
+    .sort((a, b) => b.width - a.width);
+
+  const sobolData = [...sobol.indices[output]].sort((a, b) => b.totalOrder - a.totalOrder);
+
+  const exportJSON = () => {
+    downloadJSON('sensitivity-analysis.json', results);
+  };
+  const exportCSV = () => {
+    downloadFile('sensitivity-analysis.csv', toCSV(sensitivityRows(oat, sobol)), 'text/csv');
+  };
+
+  const buttonStyle = { fontSize: '0.75rem', padding: '0.2rem 0.45rem', background: '#374151', border: '1px solid #4b5563', borderRadius: '4px', color: '#e2e8f0', cursor: 'pointer' };
+  const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' };
+
+  return (
+    <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155', flex: 1 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.4rem', gap: '0.3rem' }}>
+        <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', fontWeight: 500 }}>Sensitivity Analysis</h3>
+        <div style={{ display: 'flex', gap: '0.3rem' }}>
+          <select value={output} onChange={(e) => onOutputChange(e.target.value)}
+            style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.2rem', borderRadius: '4px', fontSize: '0.75rem', cursor: 'pointer' }}>
+            {SENSITIVITY_OUTPUTS.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+          </select>
+          <button onClick={exportCSV} style={buttonStyle}>CSV</button>
+          <button onClick={exportJSON} style={buttonStyle}>JSON</button>
+        </div>
+      </div>
+
+      <div style={{ fontSize: '0.8rem', color: '#94a3b8', marginBottom: '0.2rem' }}>
+        One-at-a-time (±{(oat.relativeStep * 100).toFixed(0)}%, {oat.replications} runs each) — change in {outputMeta.label.toLowerCase()} from baseline {base.toFixed(1)}
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart data={tornado} layout="vertical" margin={{ left: 10, right: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis type="number" stroke="#64748b" tick={{ fontSize: 11 }} />
+          <YAxis type="category" dataKey="label" stroke="#64748b" tick={{ fontSize: 10 }} width={80} />
+          <Tooltip contentStyle={tooltipStyle}
+            formatter={(value, name, item) => [
+              `${value[0].toFixed(2)} to ${value[1].toFixed(2)} (elasticity ${item.payload.elasticity === null ? '—' : item.payload.elasticity.toFixed(2)})`,
+              'Δ output'
+            ]} />
+          <ReferenceLine x={0} stroke="#94a3b8" />
+          <Bar dataKey="range">
+            {tornado.map((d, i) => <Cell key={i} fill={d.positive ? outputMeta.color : '#ef4444'} />)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+
+      <div style={{ fontSize: '0.8rem', color: '#94a3b8', margin: '0.4rem 0 0.2rem' }}>
+        Sobol indices ({sobol.samples} samples, {sobol.evaluations} runs) — share of {outputMeta.label.toLowerCase()} variance
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart data={sobolData} layout="vertical" margin={{ left: 10, right: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis type="number" stroke="#64748b" tick={{ fontSize: 11 }} domain={[0, 'auto']} />
+          <YAxis type="category" dataKey="label" stroke="#64748b" tick={{ fontSize: 10 }} width={80} />
+          <Tooltip contentStyle={tooltipStyle} formatter={(value) => value.toFixed(3)} />
+          <Legend wrapperStyle={{ fontSize: '0.8rem' }} />
+          <Bar dataKey="firstOrder" name="First-order (S1)" fill={outputMeta.color} />
+          <Bar dataKey="totalOrder" name="Total (ST)" fill="#f59e0b" />
+        </BarChart>
+      </ResponsiveContainer>
+      <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.3rem', lineHeight: 1.3 }}>
+        Factors are sampled uniformly over their slider range. A large gap between ST and S1 indicates interactions with other factors.
+      </p>
+    </div>
+  );
+};
+
+// ============================================
+// DISTRIBUTION ANALYTICS
+// ============================================
+const MARGINAL_BINS = 30;
+
+// Plot-area insets of the distribution scatter, shared with its marginals so the axes line up
+const SCATTER_MARGIN = { top: 5, right: 5, bottom: 20, left: 5 };
+const SCATTER_Y_AXIS_WIDTH = 45;
+const SCATTER_X_AXIS_HEIGHT = 30;
+const SCATTER_LEGEND_HEIGHT = 20;
+
+// Histogram bars with a density curve, drawn along the x axis or up the y axis
+const MarginalHistogram = ({ bins, vertical, color }) => {
+  const maxDensity = Math.max(...bins.map(b => Math.max(b.density, b.kde)), 1e-9);
+  const n = bins.length;
+  // Coordinates in a 100 × 100 box: u runs along the variable, v is the density
+  const point = (u, v) => (vertical ? `${v},${100 - u}` : `${u},${100 - v}`);
+  const curve = bins.map((b, i) => point((i + 0.5) * 100 / n, b.kde / maxDensity * 95)).join(' ');
+  return (
+    <svg viewBox="0 0 100 100" preserveAspectRatio="none" style={{ width: '100%', height: '100%', display: 'block' }}>
+      {bins.map((b, i) => {
+        const length = b.density / maxDensity * 95;
+        return vertical
+          ? <rect key={i} x={0} y={100 - (i + 1) * 100 / n} width={length} height={100 / n} fill={color} fillOpacity={0.35} />
+          : <rect key={i} x={i * 100 / n} y={100 - length} width={100 / n} height={length} fill={color} fillOpacity={0.35} />;
+      })}
+      <polyline points={curve} fill="none" stroke={color} strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+// Final states coloured by outcome category, with marginal histograms and densities
+const DistributionScatter = ({ results, points }) => {
+  const [performanceBins, wellbeingBins] = useMemo(() => ['performance', 'wellbeing'].map(key => {
+    const values = results.map(r => r[key]);
+    const bins = histogram(values, MARGINAL_BINS);
+    const density = kernelDensity(values, bins.map(b => b.mid));
+    return bins.map((b, i) => ({ ...b, kde: density[i] }));
+  }), [results]);
+  const byOutcome = useMemo(() => OUTCOME_TYPES.map(type => ({
+    type, points: points.filter(p => classifyOutcome(p) === type),
+  })).filter(group => group.points.length > 0), [points]);
+  if (performanceBins.length === 0) return null;
+
+  const domain = (bins) => [bins[0].x0, bins[bins.length - 1].x1];
+  const tickFormatter = (v) => (Math.abs(v) >= 100 ? v.toFixed(0) : +v.toFixed(1));
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 70px', gridTemplateRows: '60px 260px' }}>
+      <div style={{ padding: `0 ${SCATTER_MARGIN.right}px 0 ${SCATTER_MARGIN.left + SCATTER_Y_AXIS_WIDTH}px` }}>
+        <MarginalHistogram bins={performanceBins} color="#8b5cf6" />
+      </div>
+      <div />
+      <ResponsiveContainer width="100%" height={260}>
+        <ScatterChart margin={SCATTER_MARGIN}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis type="number" dataKey="performance" domain={domain(performanceBins)} allowDataOverflow height={SCATTER_X_AXIS_HEIGHT}
+            stroke="#64748b" tick={{ fontSize: 11 }} tickFormatter={tickFormatter}
+            label={{ value: 'Performance', position: 'insideBottom', offset: -10, fill: '#64748b', fontSize: 9 }} />
+          <YAxis type="number" dataKey="wellbeing" domain={domain(wellbeingBins)} allowDataOverflow width={SCATTER_Y_AXIS_WIDTH}
+            stroke="#64748b" tick={{ fontSize: 11 }} tickFormatter={tickFormatter}
+            label={{ value: 'Well-being', angle: -90, position: 'insideLeft', fill: '#64748b', fontSize: 9 }} />
+          <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' }}
+            formatter={(value) => value.toFixed(1)} />
+          <Legend wrapperStyle={{ fontSize: '0.7rem' }} verticalAlign="top" height={SCATTER_LEGEND_HEIGHT} />
+          <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="4 4" strokeOpacity={0.5} />
+          {byOutcome.map(({ type, points: group }) => (
+            <Scatter key={type} data={group} fill={OUTCOMES[type].color} fillOpacity={0.7} isAnimationActive={false}
+              name={OUTCOMES[type].title} legendType="circle" />
+          ))}
+        </ScatterChart>
+      </ResponsiveContainer>
+      <div style={{ padding: `${SCATTER_MARGIN.top + SCATTER_LEGEND_HEIGHT}px 0 ${SCATTER_MARGIN.bottom + SCATTER_X_AXIS_HEIGHT}px 0` }}>
+        <MarginalHistogram bins={wellbeingBins} vertical color="#10b981" />
+      </div>
+    </div>
+  );
+};
+
+// Every distribution statistic with its bootstrap confidence interval
+const DistributionStatsTable = ({ statistics }) => {
+  const groups = [...new Set(statistics.rows.map(r => r.group))];
+  const isShare = (row) => row.group === 'Rates' || row.group === 'Outcomes';
+  const format = (row, v) => (isShare(row) ? `${(v * 100).toFixed(1)}%` : v.toFixed(2));
+  const cellStyle = { padding: '0.15rem 0.3rem', textAlign: 'right' };
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(230px, 1fr))', gap: '0.5rem', marginTop: '0.5rem' }}>
+      {groups.map(group => (
+        <table key={group} style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem', color: '#cbd5e1' }}>
+          <thead>
+            <tr style={{ color: '#94a3b8' }}>
+              <th style={{ textAlign: 'left', fontWeight: 600, padding: '0.15rem 0.3rem' }}>{group}</th>
+              <th style={{ ...cellStyle, fontWeight: 500 }}>Value</th>
+              <th style={{ ...cellStyle, fontWeight: 500 }}>{Math.round(statistics.level * 100)}% CI</th>
+            </tr>
+          </thead>
+          <tbody>
+            {statistics.rows.filter(r => r.group === group).map(row => {
+              const type = row.group === 'Outcomes' ? row.key.split('.')[1] : null;
+              return (
+                <tr key={row.key} style={{ borderTop: '1px solid #334155' }}>
+                  <td style={{ padding: '0.15rem 0.3rem' }}>
+                    {type ? (
+                      <span style={{ color: OUTCOMES[type].color }}>● {OUTCOMES[type].title} ({statistics.counts[type]})</span>
+                    ) : row.label}
+                  </td>
+                  <td style={cellStyle}>{format(row, row.value)}</td>
+                  <td style={{ ...cellStyle, color: '#64748b' }}>{format(row, row.low)} – {format(row, row.high)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      ))}
+    </div>
+  );
+};
+
+// ============================================
+// INTEGRATION DIAGNOSTICS
+// ============================================
+// The single run re-run with each integrator at the same sub-steps and seed. The
+// non-negativity floor is counted per stock: a clamp means a sub-step would have
+// driven the stock below 0, so results there depend on the step size.
+const IntegrationDiagnostics = ({ run }) => {
+  const { timing, params, seed } = run;
+  const rows = useMemo(() => INTEGRATION_METHODS.map(method => integrationDiagnostics(params, { ...timing, method }, seed)),
+    [params, timing, seed]);
+  const { dt, method: current, substeps } = resolveTiming(timing);
+  const symbols = rows[0].stocks.map(stock => stock.symbol);
+  const cellStyle = { padding: '0.15rem 0.3rem', textAlign: 'right' };
+  const anyClamps = rows.some(row => row.firstPeriod !== null);
+
+  return (
+    <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' }}>
+      <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 }}>
+        Integration diagnostics — dt = {dt}, {substeps} sub-step{substeps === 1 ? '' : 's'} of {+(dt / substeps).toFixed(4)}
+      </h3>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem', color: '#cbd5e1' }}>
+        <thead>
+          <tr style={{ color: '#94a3b8' }}>
+            <th style={{ textAlign: 'left', fontWeight: 600, padding: '0.15rem 0.3rem' }}>Method</th>
+            {symbols.map(symbol => (
+              <th key={symbol} style={{ ...cellStyle, fontWeight: 500 }}>{symbol.replace(/_/g, ' ')} clamps</th>
+            ))}
+            <th style={{ ...cellStyle, fontWeight: 500 }}>First clamp</th>
+            <th style={{ ...cellStyle, fontWeight: 500 }}>Performance</th>
+            <th style={{ ...cellStyle, fontWeight: 500 }}>Well-being</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.method} style={{ borderTop: '1px solid #334155', color: row.method === current ? '#e2e8f0' : '#94a3b8', fontWeight: row.method === current ? 600 : 400 }}>
+              <td style={{ padding: '0.15rem 0.3rem' }}>{INTEGRATION_METHOD_LABELS[row.method]}{row.method === current && ' ●'}</td>
+              {row.stocks.map(stock => (
+                <td key={stock.symbol} style={{ ...cellStyle, color: stock.clamps > 0 ? '#f59e0b' : undefined }}
+                  title={`${stock.clamps} of ${row.substepCount} sub-steps, ${stock.amount.toFixed(3)} added back`}>
+                  {stock.clamps} ({(stock.share * 100).toFixed(1)}%)
+                </td>
+              ))}
+              <td style={cellStyle}>{row.firstPeriod ?? '—'}</td>
+              <td style={cellStyle}>{row.final.performance.toFixed(2)}</td>
+              <td style={cellStyle}>{row.final.wellbeing.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.3rem', lineHeight: 1.3 }}>
+        {anyClamps
+          ? 'A clamp sets a stock back to 0 when a sub-step would make it negative. Frequent clamps, or final values that differ between methods, mean the step is too coarse for these settings; try more sub-steps or a smaller dt.'
+          : 'No stock was clamped at 0. Differences between the methods show the discretization error at this step size.'}
+        {' '}Random inputs are drawn once per time step and held across its sub-steps.
+      </p>
+    </div>
+  );
+};
+
+// ============================================
+// ENSEMBLE FAN CHART
+// ============================================
+const FAN_OUTPUTS = [
+  { key: 'performance', label: 'Performance', color: '#8b5cf6' },
+  { key: 'wellbeing', label: 'Well-being', color: '#10b981' },
+  { key: 'motivation', label: 'Motivation', color: '#3b82f6' },
+  { key: 'strain', label: 'Strain', color: '#ef4444' },
+];
+
+// Percentile bands of one output over time, with a few sample runs overlaid
+// The mean-field run, with every random input at its expected value, is drawn dotted
+const FanChart = ({ ensemble, output, onOutputChange, interventions, onExport, baseline, showBaseline, onShowBaselineChange }) => {
+  const meta = FAN_OUTPUTS.find(o => o.key === output);
+  const chartData = ensemble.bands[output].map((band, p) => ({
+    period: band.period,
+    outer: [band.p5, band.p95],
+    inner: [band.p25, band.p75],
+    median: band.p50,
+    ...Object.fromEntries(ensemble.samples.map(sample => [`run${sample.run}`, sample.trajectory[p]?.[output]])),
+  }));
+  const finalTime = chartData.length > 0 ? chartData[chartData.length - 1].period : 0;
+  const formatValue = (value) => (Array.isArray(value) ? value.map(v => v.toFixed(1)).join(' – ') : value.toFixed(1));
+
+  return (
+    <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.4rem', gap: '0.3rem' }}>
+        <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', fontWeight: 500 }}>
+          {meta.label} over time — median, 25–75% and 5–95% of {ensemble.numRuns} runs
+        </h3>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <label style={{ fontSize: '0.75rem', color: '#94a3b8', cursor: 'pointer', whiteSpace: 'nowrap' }}>
+            <input type="checkbox" checked={showBaseline} onChange={(e) => onShowBaselineChange(e.target.checked)} style={{ marginRight: '0.3rem', accentColor: '#8b5cf6' }} />
+            Mean field
+          </label>
+          <select value={output} onChange={(e) => onOutputChange(e.target.value)}
+            style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.2rem', borderRadius: '4px', fontSize: '0.75rem', cursor: 'pointer' }}>
+            {FAN_OUTPUTS.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+          </select>
+        </div>
+      </div>
+      <ResponsiveContainer width="100%" height={230}>
+        <ComposedChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis dataKey="period" type="number" domain={[0, finalTime]} stroke="#64748b" tick={{ fontSize: 11 }} />
+          <YAxis stroke="#64748b" tick={{ fontSize: 11 }} />
+          <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' }}
+            formatter={formatValue} />
+          {interventionAreas(interventions, finalTime)}
+          {output === 'wellbeing' && <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="4 4" strokeOpacity={0.5} />}
+          <Area dataKey="outer" stroke="none" fill={meta.color} fillOpacity={0.15} isAnimationActive={false} name="5–95%" />
+          <Area dataKey="inner" stroke="none" fill={meta.color} fillOpacity={0.3} isAnimationActive={false} name="25–75%" />
+          {ensemble.samples.map(sample => (
+            <Line key={sample.run} dataKey={`run${sample.run}`} stroke="#cbd5e1" strokeOpacity={0.45} strokeWidth={1} dot={false}
+              isAnimationActive={false} name={`Run ${sample.run} (seed ${sample.seed})`} />
+          ))}
+          <Line dataKey="median" stroke={meta.color} strokeWidth={2.5} dot={false} isAnimationActive={false} name="Median" />
+          {baseline && <Line data={baseline} dataKey={output} stroke="#e2e8f0" {...MEAN_FIELD_LINE} name="Mean field" />}
+        </ComposedChart>
+      </ResponsiveContainer>
+      <ExportBar label="Export bands" actions={[{ label: 'CSV', onClick: onExport }]} />
+    </div>
+  );
+};
+
+// ============================================
+// SURVIVAL VIEW
+// ============================================
+const EXIT_REASON_LABELS = { wellbeing: 'well-being collapse', motivation: 'motivation exhausted' };
+
+// Hazard intervals as a step series ending at the horizon
+const hazardSteps = (hazard) => [
+  ...hazard.map(h => ({ time: h.start, hazard: h.hazard })),
+  ...(hazard.length > 0 ? [{ time: hazard[hazard.length - 1].end, hazard: hazard[hazard.length - 1].hazard }] : []),
+];
+
+// Kaplan–Meier survival and hazard of time to exit; pinned curves from earlier
+// runs are overlaid so scenarios can be compared
+const SurvivalView = ({ survival, pinned, onPin, onClearPinned, onExport }) => {
+  const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' };
+  const headingStyle = { fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 };
+  const currentColor = '#ef4444';
+  const band = survival.curve.map(point => ({ time: point.time, band: [point.low, point.high] }));
+  const horizon = survival.curve[survival.curve.length - 1].time;
+  const reasons = Object.entries(survival.reasons).map(([reason, count]) => `${EXIT_REASON_LABELS[reason] ?? reason} ${count}`).join(', ');
+
+  return (
+    <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' }}>
+      <h3 style={headingStyle}>Survival — time to exit (Kaplan–Meier)</h3>
+      <p style={{ fontSize: '0.8rem', color: '#cbd5e1', marginBottom: '0.3rem' }}>
+        {survival.exits} of {survival.n} ventures exited ({percent(survival.exits / survival.n)})
+        {reasons && <span style={{ color: '#64748b' }}> — {reasons}</span>}
+        {'. '}Median time to exit: {survival.median !== null ? survival.median : `beyond period ${horizon}`}
+      </p>
+      <ResponsiveContainer width="100%" height={200}>
+        <ComposedChart margin={{ bottom: 20, left: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis dataKey="time" type="number" domain={[0, horizon]} stroke="#64748b" tick={{ fontSize: 11 }}
+            label={{ value: 'Period', position: 'insideBottom', offset: -10, fill: '#64748b', fontSize: 9 }} />
+          <YAxis domain={[0, 1]} stroke="#64748b" tick={{ fontSize: 11 }} tickFormatter={percent}
+            label={{ value: 'Still active', angle: -90, position: 'insideLeft', fill: '#64748b', fontSize: 9 }} />
+          <Tooltip contentStyle={tooltipStyle}
+            formatter={(v) => (Array.isArray(v) ? v.map(x => percent(x)).join(' – ') : percent(v))} />
+          <Legend wrapperStyle={{ fontSize: '0.75rem' }} verticalAlign="top" />
+          <ReferenceLine y={0.5} stroke="#64748b" strokeDasharray="4 4" />
+          <Area data={band} dataKey="band" type="stepAfter" stroke="none" fill={currentColor} fillOpacity={0.15} isAnimationActive={false} name="95% CI" legendType="none" />
+          {pinned.map((pin, i) => (
+            <Line key={i} data={pin.survival.curve} dataKey="survival" type="stepAfter" stroke={SCENARIO_COLORS[i % SCENARIO_COLORS.length]}
+              strokeWidth={1.5} strokeDasharray="5 3" dot={false} isAnimationActive={false} name={pin.label} />
+          ))}
+          <Line data={survival.curve} dataKey="survival" type="stepAfter" stroke={currentColor} strokeWidth={2.5} dot={false} isAnimationActive={false} name="Current" />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <h3 style={{ ...headingStyle, marginTop: '0.4rem' }}>Hazard — exits per founder-period at risk</h3>
+      <ResponsiveContainer width="100%" height={150}>
+        <LineChart margin={{ bottom: 20, left: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis dataKey="time" type="number" domain={[0, horizon]} stroke="#64748b" tick={{ fontSize: 11 }}
+            label={{ value: 'Period', position: 'insideBottom', offset: -10, fill: '#64748b', fontSize: 9 }} />
+          <YAxis stroke="#64748b" tick={{ fontSize: 11 }} tickFormatter={(v) => v.toFixed(3)} />
+          <Tooltip contentStyle={tooltipStyle} formatter={(v) => v.toFixed(4)} />
+          {pinned.map((pin, i) => (
+            <Line key={i} data={hazardSteps(pin.survival.hazard)} dataKey="hazard" type="stepAfter" stroke={SCENARIO_COLORS[i % SCENARIO_COLORS.length]}
+              strokeWidth={1.5} strokeDasharray="5 3" dot={false} isAnimationActive={false} name={pin.label} />
+          ))}
+          <Line data={hazardSteps(survival.hazard)} dataKey="hazard" type="stepAfter" stroke={currentColor} strokeWidth={2.5} dot={false} isAnimationActive={false} name="Current" />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <ExportBar label="Compare" actions={[
+        { label: 'Pin curve', onClick: onPin },
+        ...(pinned.length > 0 ? [{ label: 'Clear pinned', onClick: onClearPinned }] : []),
+        { label: 'Export CSV', onClick: onExport },
+      ]} />
+    </div>
+  );
+};
+
+// ============================================
+// BURNOUT THRESHOLD VIEWS
+// ============================================
+const THRESHOLD_LEVELS = [0.05, 0.1, 0.2, 0.5];
+
+const percent = (p) => `${Math.round(p * 100)}%`;
+
+// Sentence describing a threshold result, e.g. "Burnout probability stays below 10% when Self-Regulation > 0.27"
+const thresholdSummary = ({ critical, side, direction, level, foundBatches, batches }, factorLabel) => {
+  if (!critical) {
+    return `Burnout probability stays ${side ?? 'on both sides of'} ${percent(level)} across the whole ${factorLabel} range`;
   }
-  
-  // Poisson-like: returns 1 with probability = mean, else 0 (truncated to [min, max])
-  nextPoisson(mean, min, max) {
-    const value = this.next() < mean ? 1 : 0;
-    return Math.max(min, Math.min(max, value));
+  const comparison = direction === 'decreasing' ? '>' : '<';
+  return `Burnout probability stays below ${percent(level)} when ${factorLabel} ${comparison} ${critical.mean.toFixed(3)}`
+    + ` (95% CI ${critical.low.toFixed(3)}–${critical.high.toFixed(3)}, ${foundBatches}/${batches} seed batches)`;
+};
+
+// Burnout probability at every bisection point, with the critical value and its interval
+const ThresholdView = ({ result }) => {
+  const factor = MODEL_FACTORS.find(f => f.key === result.factor);
+  const panelStyle = { background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' };
+  return (
+    <div style={panelStyle}>
+      <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 }}>
+        Burnout threshold — {factor.label} ({result.replications} runs per point)
+      </h3>
+      <ResponsiveContainer width="100%" height={260}>
+        <ScatterChart margin={{ bottom: 20, left: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis type="number" dataKey="value" domain={[result.range.min, result.range.max]} stroke="#64748b" tick={{ fontSize: 11 }}
+            label={{ value: factor.label, position: 'insideBottom', offset: -10, fill: '#64748b', fontSize: 9 }} />
+          <YAxis type="number" dataKey="probability" domain={[0, 1]} stroke="#64748b" tick={{ fontSize: 11 }} tickFormatter={percent}
+            label={{ value: 'Burnout probability', angle: -90, position: 'insideLeft', fill: '#64748b', fontSize: 9 }} />
+          <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' }}
+            formatter={(value, name) => (name === 'probability' ? percent(value) : value.toFixed(3))} />
+          {result.critical && (
+            <ReferenceArea x1={result.critical.low} x2={result.critical.high} fill="#f59e0b" fillOpacity={0.2} />
+          )}
+          {result.critical && <ReferenceLine x={result.critical.mean} stroke="#f59e0b" strokeWidth={2} />}
+          <ReferenceLine y={result.level} stroke="#ef4444" strokeDasharray="4 4" />
+          <Scatter data={result.evaluations} fill="#8b5cf6" fillOpacity={0.6} isAnimationActive={false} />
+        </ScatterChart>
+      </ResponsiveContainer>
+      {result.foundBatches !== undefined && (
+        <p style={{ fontSize: '0.85rem', color: '#cbd5e1', marginTop: '0.3rem' }}>{thresholdSummary(result, factor.label)}</p>
+      )}
+      <ExportBar label="Export" actions={[{ label: 'JSON', onClick: () => downloadJSON(`threshold-${result.factor}.json`, result) }]} />
+    </div>
+  );
+};
+
+// Critical value of the factor across another parameter, with its confidence band
+const PhaseBoundaryView = ({ result }) => {
+  const factor = MODEL_FACTORS.find(f => f.key === result.factor);
+  const across = MODEL_FACTORS.find(f => f.key === result.across);
+  const found = result.points.filter(p => p.critical);
+  const chartData = found.map(p => ({ x: p.x, critical: p.critical.mean, band: [p.critical.low, p.critical.high] }));
+  const unresolved = result.points.filter(p => !p.critical);
+  const direction = found[0]?.direction;
+  const exportCSV = () => {
+    const rows = result.points.map(p => ({
+      [result.across]: p.x,
+      [`critical_${result.factor}`]: p.critical?.mean ?? '',
+      low: p.critical?.low ?? '',
+      high: p.critical?.high ?? '',
+      seedBatches: p.foundBatches,
+      side: p.side ?? '',
+    }));
+    downloadFile(`phase-boundary-${result.factor}-vs-${result.across}.csv`, toCSV(rows), 'text/csv');
+  };
+  return (
+    <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' }}>
+      <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 }}>
+        Phase boundary — critical {factor.label} for {percent(result.level)} burnout probability
+      </h3>
+      <ResponsiveContainer width="100%" height={280}>
+        <ComposedChart data={chartData} margin={{ bottom: 20, left: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis type="number" dataKey="x" domain={[across.min, across.max]} stroke="#64748b" tick={{ fontSize: 11 }}
+            label={{ value: across.label, position: 'insideBottom', offset: -10, fill: '#64748b', fontSize: 9 }} />
+          <YAxis type="number" domain={[factor.min, factor.max]} stroke="#64748b" tick={{ fontSize: 11 }}
+            label={{ value: `Critical ${factor.label}`, angle: -90, position: 'insideLeft', fill: '#64748b', fontSize: 9 }} />
+          <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' }}
+            formatter={(value) => (Array.isArray(value) ? value.map(v => v.toFixed(3)).join(' – ') : value.toFixed(3))} />
+          <Area dataKey="band" stroke="none" fill="#f59e0b" fillOpacity={0.25} isAnimationActive={false} name="95% CI" />
+          <Line dataKey="critical" stroke="#f59e0b" strokeWidth={2} dot={{ r: 3 }} isAnimationActive={false} name={`Critical ${factor.label}`} />
+        </ComposedChart>
+      </ResponsiveContainer>
+      {direction && (
+        <p style={{ fontSize: '0.8rem', color: '#cbd5e1', marginTop: '0.3rem' }}>
+          Burnout probability exceeds {percent(result.level)} {direction === 'decreasing' ? 'below' : 'above'} the curve.
+        </p>
+      )}
+      {unresolved.length > 0 && (
+        <p style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.2rem' }}>
+          No crossing at {across.label} {unresolved.map(p => `${+p.x.toFixed(2)} (${p.side ?? 'mixed'})`).join(', ')}
+        </p>
+      )}
+      <ExportBar label="Export" actions={[{ label: 'CSV', onClick: exportCSV }, { label: 'JSON', onClick: () => downloadJSON(`phase-boundary-${result.factor}-vs-${result.across}.json`, result) }]} />
+    </div>
+  );
+};
+
+// ============================================
+// CALIBRATION
+// ============================================
+const CALIBRATION_OUTPUT_META = {
+  wellbeing: { label: 'Well-being', color: '#10b981' },
+  performance: { label: 'Performance', color: '#8b5cf6' },
+};
+
+const OBJECTIVE_LABELS = {
+  trajectory: 'Trajectory distance (mean path)',
+  moments: 'Simulated moments (mean and SD)',
+};
+
+// Observed data file, factors to fit and optimiser settings
+const CalibrationPanel = ({ data, settings, onSettingsChange, onLoadFile, onFit, status, disabled }) => {
+  const fileRef = useRef(null);
+  const smallButton = { fontSize: '0.7rem', padding: '0.15rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: '#94a3b8', cursor: 'pointer' };
+  const selectStyle = { background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.7rem' };
+  const toggleFactor = (key) => onSettingsChange({
+    ...settings,
+    factors: settings.factors.includes(key) ? settings.factors.filter(k => k !== key) : [...settings.factors, key],
+  });
+  const canFit = data && settings.factors.length > 0 && !disabled;
+
+  return (
+    <div style={{ padding: '0.5rem', background: 'rgba(15, 23, 42, 0.3)', display: 'flex', flexDirection: 'column', gap: '0.35rem' }}>
+      <p style={{ fontSize: '0.7rem', color: '#64748b', lineHeight: 1.3 }}>
+        CSV with a period column and wellbeing and/or performance columns; rows sharing a period are pooled.
+      </p>
+      <button onClick={() => fileRef.current.click()} style={smallButton}>Load observations (CSV)…</button>
+      <input ref={fileRef} type="file" accept=".csv,text/csv" style={{ display: 'none' }}
+        onChange={(e) => { const file = e.target.files[0]; e.target.value = ''; if (file) onLoadFile(file); }} />
+      {data && (
+        <p style={{ fontSize: '0.7rem', color: '#94a3b8' }}>
+          {data.fileName}: {data.observations.points.length} periods of {data.observations.outputs.map(o => CALIBRATION_OUTPUT_META[o].label).join(' & ')}
+        </p>
+      )}
+
+      <div style={{ fontSize: '0.7rem', color: '#94a3b8' }}>Fit</div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.1rem 0.3rem' }}>
+        {MODEL_FACTORS.map(f => (
+          <label key={f.key} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', fontSize: '0.7rem', color: '#cbd5e1', cursor: 'pointer' }}>
+            <input type="checkbox" checked={settings.factors.includes(f.key)} onChange={() => toggleFactor(f.key)}
+              style={{ accentColor: '#8b5cf6', width: '11px', height: '11px' }} />
+            {f.label}
+          </label>
+        ))}
+      </div>
+      <select value={settings.objective} onChange={(e) => onSettingsChange({ ...settings, objective: e.target.value })} style={selectStyle}>
+        {CALIBRATION_OBJECTIVES.map(o => <option key={o} value={o}>{OBJECTIVE_LABELS[o]}</option>)}
+      </select>
+      <div style={{ display: 'flex', gap: '0.3rem', alignItems: 'center', fontSize: '0.7rem', color: '#94a3b8' }}>
+        <select value={settings.replications} onChange={(e) => onSettingsChange({ ...settings, replications: parseInt(e.target.value) })}
+          title="Replications per evaluation" style={{ ...selectStyle, flex: 1 }}>
+          {[10, 20, 50].map(n => <option key={n} value={n}>{n} runs each</option>)}
+        </select>
+        <select value={settings.maxIterations} onChange={(e) => onSettingsChange({ ...settings, maxIterations: parseInt(e.target.value) })}
+          title="Nelder–Mead iterations" style={{ ...selectStyle, flex: 1 }}>
+          {[50, 100, 200].map(n => <option key={n} value={n}>{n} iterations</option>)}
+        </select>
+      </div>
+      <button onClick={onFit} disabled={!canFit}
+        style={{ width: '100%', padding: '0.3rem', background: '#374151', border: '1px solid #4b5563', borderRadius: '4px', color: '#e2e8f0', fontSize: '0.8rem', cursor: canFit ? 'pointer' : 'not-allowed', opacity: canFit ? 1 : 0.5 }}>
+        ⟲ Fit with Nelder–Mead
+      </button>
+      <p style={{ fontSize: '0.7rem', color: '#64748b' }}>Starts from the current sliders; other factors stay fixed</p>
+      {status && (
+        <p style={{ fontSize: '0.7rem', color: status.error ? '#ef4444' : '#10b981' }}>{status.message}</p>
+      )}
+    </div>
+  );
+};
+
+// Fitted values, goodness of fit and observed-vs-simulated overlays
+const CalibrationView = ({ result, onApply }) => {
+  const panelStyle = { background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' };
+  const headingStyle = { fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 };
+  const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' };
+  const formatValue = (value) => (Array.isArray(value) ? value.map(v => v.toFixed(2)).join(' – ') : value.toFixed(2));
+  const finished = result.fitted !== undefined;
+
+  const exportCSV = () => {
+    const rows = result.comparison.map(({ period, ...values }) => ({
+      period,
+      ...Object.fromEntries(Object.entries(values).flatMap(([key, v]) => (Array.isArray(v)
+        ? [[`${key}_p5`, v[0]], [`${key}_p95`, v[1]]]
+        : [[key, v ?? '']]))),
+    }));
+    downloadFile('calibration-fit.csv', toCSV(rows), 'text/csv');
+  };
+
+  return (
+    <>
+      <div style={panelStyle}>
+        <h3 style={headingStyle}>
+          Calibration — {finished ? `${result.converged ? 'converged' : 'stopped'} after ${result.iterations} iterations (${result.evaluations} evaluations)` : `iteration ${result.history.length}`}
+        </h3>
+        {result.history.length > 0 && (
+          <ResponsiveContainer width="100%" height={110}>
+            <LineChart data={result.history}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="iteration" stroke="#64748b" tick={{ fontSize: 11 }} />
+              <YAxis stroke="#64748b" tick={{ fontSize: 11 }} scale="log" domain={['auto', 'auto']} allowDataOverflow />
+              <Tooltip contentStyle={tooltipStyle} formatter={(v) => v.toFixed(4)} />
+              <Line dataKey="loss" stroke="#f59e0b" strokeWidth={2} dot={false} isAnimationActive={false} name="Loss" />
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+        {finished && (
+          <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', marginTop: '0.4rem', fontSize: '0.8rem', color: '#cbd5e1' }}>
+            <table style={{ borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ color: '#94a3b8' }}>
+                  {['Factor', 'Start', 'Fitted'].map(h => <th key={h} style={{ fontWeight: 500, padding: '0.15rem 0.4rem', textAlign: h === 'Factor' ? 'left' : 'right' }}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {result.factors.map(key => (
+                  <tr key={key} style={{ borderTop: '1px solid #334155' }}>
+                    <td style={{ padding: '0.15rem 0.4rem' }}>{MODEL_FACTORS.find(f => f.key === key).label}</td>
+                    <td style={{ padding: '0.15rem 0.4rem', textAlign: 'right', color: '#64748b' }}>{result.start[key].toFixed(3)}</td>
+                    <td style={{ padding: '0.15rem 0.4rem', textAlign: 'right', color: '#f59e0b', fontWeight: 600 }}>{result.fitted[key].toFixed(3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.2rem' }}>
+              <span>Loss {result.startLoss.toFixed(4)} → <strong>{result.loss.toFixed(4)}</strong> ({OBJECTIVE_LABELS[result.objective].toLowerCase()})</span>
+              {Object.entries(result.fit).map(([key, { rmse, r2, n }]) => (
+                <span key={key} style={{ color: CALIBRATION_OUTPUT_META[key].color }}>
+                  {CALIBRATION_OUTPUT_META[key].label}: RMSE {rmse.toFixed(2)}, R² {Number.isFinite(r2) ? r2.toFixed(3) : '—'} over {n} periods
+                </span>
+              ))}
+              {result.ignoredPoints > 0 && (
+                <span style={{ color: '#64748b' }}>{result.ignoredPoints} observations beyond the horizon were ignored</span>
+              )}
+            </div>
+          </div>
+        )}
+        {finished && (
+          <ExportBar label="Export" actions={[
+            { label: 'Apply fitted values', onClick: onApply },
+            { label: 'CSV', onClick: exportCSV },
+            { label: 'JSON', onClick: () => downloadJSON('calibration.json', result) },
+          ]} />
+        )}
+      </div>
+
+      {finished && Object.keys(result.fit).map(key => (
+        <div key={key} style={panelStyle}>
+          <h3 style={headingStyle}>{CALIBRATION_OUTPUT_META[key].label}: observed vs simulated (mean of {result.replications} runs)</h3>
+          <ResponsiveContainer width="100%" height={200}>
+            <ComposedChart data={result.comparison}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="period" type="number" stroke="#64748b" tick={{ fontSize: 11 }} />
+              <YAxis stroke="#64748b" tick={{ fontSize: 11 }} />
+              <Tooltip contentStyle={tooltipStyle} formatter={formatValue} />
+              <Legend wrapperStyle={{ fontSize: '0.75rem' }} />
+              <Area dataKey={`fitted_${key}Band`} stroke="none" fill={CALIBRATION_OUTPUT_META[key].color} fillOpacity={0.15} isAnimationActive={false} name="Fitted 5–95%" />
+              <Line dataKey={`start_${key}`} stroke="#64748b" strokeDasharray="5 3" dot={false} isAnimationActive={false} name="Start" />
+              <Line dataKey={`fitted_${key}`} stroke={CALIBRATION_OUTPUT_META[key].color} strokeWidth={2} dot={false} isAnimationActive={false} name="Fitted" />
+              <Scatter dataKey={`observed_${key}`} fill="#f8fafc" isAnimationActive={false} name="Observed" />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      ))}
+    </>
+  );
+};
+
+// ============================================
+// COHORT
+// ============================================
+const TRAIT_LABELS = { ambition: 'Ambition', skill: 'Skill', selfRegulation: 'Self-Reg.', dynamism: 'Dynamism' };
+
+// Parameters shown for each trait distribution, with their defaults and (for the Beta
+// shapes, which must be positive) a floor
+const DISTRIBUTION_FIELDS = {
+  fixed: [],
+  uniform: [{ key: 'min', label: 'min', value: (f) => f.min }, { key: 'max', label: 'max', value: (f) => f.max }],
+  normal: [{ key: 'mean', label: 'μ', value: (f, current) => current }, { key: 'sd', label: 'σ', value: () => 0.15 }],
+  beta: [{ key: 'alpha', label: 'α', value: () => 2, min: 0.05 }, { key: 'beta', label: 'β', value: () => 2, min: 0.05 }],
+};
+
+// Cohort size and per-trait distributions, or an uploaded table of individuals
+const CohortPanel = ({ spec, onSpecChange, table, onLoadTable, onClearTable, current, onRun, status, disabled }) => {
+  const fileRef = useRef(null);
+  const smallButton = { fontSize: '0.7rem', padding: '0.15rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: '#94a3b8', cursor: 'pointer' };
+  const selectStyle = { background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.1rem', borderRadius: '4px', fontSize: '0.7rem' };
+  const inputStyle = { width: '3.2rem', background: '#1e293b', color: '#e2e8f0', border: '1px solid #4b5563', borderRadius: '3px', fontSize: '0.7rem', padding: '0.05rem 0.2rem' };
+
+  const setTrait = (key, trait) => onSpecChange({ ...spec, traits: { ...spec.traits, [key]: trait } });
+  const setType = (key, type) => {
+    const factor = MODEL_FACTORS.find(f => f.key === key);
+    setTrait(key, { type, ...Object.fromEntries(DISTRIBUTION_FIELDS[type].map(field => [field.key, field.value(factor, current[key])])) });
+  };
+
+  return (
+    <div style={{ padding: '0.5rem', background: 'rgba(15, 23, 42, 0.3)', display: 'flex', flexDirection: 'column', gap: '0.35rem' }}>
+      {table ? (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.7rem', color: '#94a3b8' }}>
+          <span>{table.fileName}: {table.individuals.length} founders ({table.traits.map(k => TRAIT_LABELS[k]).join(', ')})</span>
+          <button onClick={onClearTable} style={smallButton}>Use distributions</button>
+        </div>
+      ) : (
+        <>
+          <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.7rem', color: '#94a3b8' }}>
+            Founders
+            <select value={spec.size} onChange={(e) => onSpecChange({ ...spec, size: parseInt(e.target.value) })} style={selectStyle}>
+              {[100, 300, 500, 1000].map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          {COHORT_TRAITS.map(key => {
+            const trait = spec.traits[key] ?? { type: 'fixed' };
+            return (
+              <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', fontSize: '0.7rem', color: '#cbd5e1' }}>
+                <span style={{ width: '4.2rem' }}>{TRAIT_LABELS[key]}</span>
+                <select value={trait.type} onChange={(e) => setType(key, e.target.value)} style={selectStyle}>
+                  {TRAIT_DISTRIBUTIONS.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+                {trait.type === 'fixed' && <span style={{ color: '#64748b' }}>{current[key].toFixed(2)} (slider)</span>}
+                {DISTRIBUTION_FIELDS[trait.type].map(field => (
+                  <label key={field.key} style={{ display: 'flex', alignItems: 'center', gap: '0.1rem', color: '#64748b' }}>
+                    {field.label}
+                    <input type="number" step="0.05" min={field.min ?? 0} value={trait[field.key]} style={inputStyle}
+                      onChange={(e) => setTrait(key, { ...trait, [field.key]: Math.max(field.min ?? -Infinity, parseFloat(e.target.value) || 0) })} />
+                  </label>
+                ))}
+              </div>
+            );
+          })}
+        </>
+      )}
+      <button onClick={() => fileRef.current.click()} style={smallButton}>Load individuals (CSV)…</button>
+      <input ref={fileRef} type="file" accept=".csv,text/csv" style={{ display: 'none' }}
+        onChange={(e) => { const file = e.target.files[0]; e.target.value = ''; if (file) onLoadTable(file); }} />
+      <button onClick={onRun} disabled={disabled}
+        style={{ width: '100%', padding: '0.3rem', background: '#374151', border: '1px solid #4b5563', borderRadius: '4px', color: '#e2e8f0', fontSize: '0.8rem', cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.5 : 1 }}>
+        👥 Simulate cohort
+      </button>
+      {status && (
+        <p style={{ fontSize: '0.7rem', color: status.error ? '#ef4444' : '#10b981' }}>{status.message}</p>
+      )}
+    </div>
+  );
+};
+
+// Population outcomes, outcome by trait and trait profiles of burnout cases
+const CohortView = ({ result }) => {
+  const traits = result.traitEffects ? Object.keys(result.traitEffects) : [];
+  const [trait, setTrait] = useState(traits[0]);
+  const activeTrait = traits.includes(trait) ? trait : traits[0];
+  const byOutcome = useMemo(() => OUTCOME_TYPES.map(type => ({
+    type, members: result.members.filter(m => m.outcome === type),
+  })).filter(group => group.members.length > 0), [result.members]);
+
+  const panelStyle = { background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' };
+  const headingStyle = { fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 };
+  const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' };
+  const cellStyle = { padding: '0.15rem 0.4rem', textAlign: 'right' };
+  const liftColor = (lift) => (lift > 1.5 ? '#ef4444' : lift > 1 ? '#f59e0b' : '#64748b');
+  const finished = result.summary !== undefined;
+
+  if (!finished) {
+    return (
+      <div style={panelStyle}>
+        <h3 style={headingStyle}>Cohort — {result.members.length} founders simulated</h3>
+      </div>
+    );
   }
-}
+
+  const effect = result.traitEffects[activeTrait];
+  const outcomeRows = OUTCOME_TYPES.map(type => ({ type, title: OUTCOMES[type].title, share: result.outcomes[type] }));
+  return (
+    <>
+      <div style={panelStyle}>
+        <h3 style={headingStyle}>
+          Cohort of {result.members.length} founders — {percent(result.outcomes.thriving)} thriving, {percent(result.outcomes.burnout)} burnt out
+        </h3>
+        <ResponsiveContainer width="100%" height={170}>
+          <BarChart data={outcomeRows} layout="vertical" margin={{ left: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis type="number" domain={[0, 1]} stroke="#64748b" tick={{ fontSize: 11 }} tickFormatter={percent} />
+            <YAxis type="category" dataKey="title" width={170} stroke="#64748b" tick={{ fontSize: 10 }} />
+            <Tooltip contentStyle={tooltipStyle} formatter={(v) => percent(v)} />
+            <Bar dataKey="share" isAnimationActive={false} name="Share of cohort">
+              {outcomeRows.map(row => <Cell key={row.type} fill={OUTCOMES[row.type].color} />)}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+        <ExportBar label="Export" actions={[
+          { label: 'Founders CSV', onClick: () => downloadFile('cohort.csv', toCSV(result.members), 'text/csv') },
+          { label: 'JSON', onClick: () => downloadJSON('cohort.json', result) },
+        ]} />
+      </div>
+
+      {effect && (
+        <div style={panelStyle}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.4rem' }}>
+            <h3 style={{ ...headingStyle, marginBottom: 0 }}>Outcomes by {TRAIT_LABELS[activeTrait].toLowerCase()}</h3>
+            <div style={{ display: 'flex', gap: '0.25rem' }}>
+              {traits.map(key => (
+                <button key={key} onClick={() => setTrait(key)}
+                  style={{ fontSize: '0.75rem', padding: '0.15rem 0.4rem', borderRadius: '4px', cursor: 'pointer', border: '1px solid #4b5563', background: key === activeTrait ? '#8b5cf6' : '#374151', color: '#e2e8f0' }}>
+                  {TRAIT_LABELS[key]}
+                </button>
+              ))}
+            </div>
+          </div>
+          <p style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.3rem' }}>
+            Correlation with well-being {effect.correlation.wellbeing.toFixed(2)}, with performance {effect.correlation.performance.toFixed(2)}
+          </p>
+          <ResponsiveContainer width="100%" height={220}>
+            <ScatterChart margin={{ bottom: 20, left: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis type="number" dataKey={activeTrait} domain={['auto', 'auto']} stroke="#64748b" tick={{ fontSize: 11 }}
+                label={{ value: TRAIT_LABELS[activeTrait], position: 'insideBottom', offset: -10, fill: '#64748b', fontSize: 9 }} />
+              <YAxis type="number" dataKey="wellbeing" stroke="#64748b" tick={{ fontSize: 11 }}
+                label={{ value: 'Well-being', angle: -90, position: 'insideLeft', fill: '#64748b', fontSize: 9 }} />
+              <Tooltip contentStyle={tooltipStyle} formatter={(v) => (typeof v === 'number' ? v.toFixed(2) : v)} />
+              <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="4 4" strokeOpacity={0.5} />
+              {byOutcome.map(({ type, members }) => (
+                <Scatter key={type} data={members} fill={OUTCOMES[type].color} fillOpacity={0.7} isAnimationActive={false} name={OUTCOMES[type].title} />
+              ))}
+            </ScatterChart>
+          </ResponsiveContainer>
+          <ResponsiveContainer width="100%" height={150}>
+            <LineChart data={effect.bins} margin={{ bottom: 20, left: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis type="number" dataKey="mid" domain={['auto', 'auto']} stroke="#64748b" tick={{ fontSize: 11 }} tickFormatter={(v) => v.toFixed(2)}
+                label={{ value: `${TRAIT_LABELS[activeTrait]} (quintile mean)`, position: 'insideBottom', offset: -10, fill: '#64748b', fontSize: 9 }} />
+              <YAxis domain={[0, 1]} stroke="#64748b" tick={{ fontSize: 11 }} tickFormatter={percent} />
+              <Tooltip contentStyle={tooltipStyle} formatter={(v) => percent(v)} labelFormatter={(v) => v.toFixed(3)} />
+              <Legend wrapperStyle={{ fontSize: '0.75rem' }} verticalAlign="top" />
+              <Line dataKey="burnoutShare" stroke={OUTCOMES.burnout.color} strokeWidth={2} isAnimationActive={false} name="Burnout" />
+              <Line dataKey="thrivingShare" stroke={OUTCOMES.thriving.color} strokeWidth={2} isAnimationActive={false} name="Thriving" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div style={panelStyle}>
+        <h3 style={headingStyle}>Burnout profiles ({result.profiles.burnouts} burnout cases)</h3>
+        {result.profiles.burnouts === 0 ? (
+          <p style={{ fontSize: '0.8rem', color: '#64748b' }}>No founder in this cohort burnt out.</p>
+        ) : (
+          <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', fontSize: '0.75rem', color: '#cbd5e1' }}>
+            <table style={{ borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ color: '#94a3b8' }}>
+                  {['Trait tercile', 'Range', 'Cohort', 'Burnouts', 'Lift'].map(h => <th key={h} style={{ ...cellStyle, fontWeight: 500, textAlign: h === 'Trait tercile' ? 'left' : 'right' }}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {result.profiles.levels.map(row => (
+                  <tr key={`${row.trait}-${row.level}`} style={{ borderTop: '1px solid #334155' }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{TRAIT_LABELS[row.trait]} {row.level}</td>
+                    <td style={{ ...cellStyle, color: '#64748b' }}>{row.low.toFixed(2)}–{row.high.toFixed(2)}</td>
+                    <td style={cellStyle}>{percent(row.cohortShare)}</td>
+                    <td style={cellStyle}>{percent(row.burnoutShare)}</td>
+                    <td style={{ ...cellStyle, color: liftColor(row.lift), fontWeight: 600 }}>{Number.isFinite(row.lift) ? row.lift.toFixed(2) : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table style={{ borderCollapse: 'collapse', flex: 1 }}>
+              <thead>
+                <tr style={{ color: '#94a3b8' }}>
+                  {['Profile', 'Founders', 'Burnouts', 'Lift'].map(h => <th key={h} style={{ ...cellStyle, fontWeight: 500, textAlign: h === 'Profile' ? 'left' : 'right' }}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {result.profiles.profiles.slice(0, 10).map(row => (
+                  <tr key={row.profile} style={{ borderTop: '1px solid #334155' }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>
+                      {Object.entries(row.levels).map(([key, level]) => `${TRAIT_LABELS[key]} ${level}`).join(' · ')}
+                    </td>
+                    <td style={cellStyle}>{row.n}</td>
+                    <td style={cellStyle}>{row.burnouts}</td>
+                    <td style={{ ...cellStyle, color: liftColor(row.lift), fontWeight: 600 }}>{row.lift.toFixed(1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.4rem' }}>
+          Lift is a group's share of burnout cases over its share of the cohort; above 1 means over-represented.
+        </p>
+      </div>
+    </>
+  );
+};
 
 // ============================================
-// SIMULATION ENGINE - EXACT PAPER EQUATIONS
+// EARLY-WARNING SIGNALS
 // ============================================
-const runSimulation = (params, finalTime = 500, seed = null) => {
-  const { ambition, skill, selfRegulation, dynamism, coefficients = {} } = params;
-  
-  // Coefficients (default to 1 if not provided)
-  const Var1 = coefficients.var1 ?? 1;
-  const Var2 = coefficients.var2 ?? 1;
-  const Var3 = coefficients.var3 ?? 1;
-  const Var4 = coefficients.var4 ?? 1;
-  const Var5 = coefficients.var5 ?? 1;
-  const Var6 = coefficients.var6 ?? 1;
-  const Var7 = coefficients.var7 ?? 1;
-  const Var8 = coefficients.var8 ?? 1;
-  const Var9 = coefficients.var9 ?? 1;
-  const Var10 = coefficients.var10 ?? 1;
-  
-  // Initialize separate random streams with different seeds
-  const baseSeed = seed || Math.floor(Math.random() * 1000000);
-  const rng0_advance = new SeededRandom(baseSeed);
-  const rng1_setback = new SeededRandom(baseSeed + 1000);
-  const rng1_setbackPoisson = new SeededRandom(baseSeed + 1500);
-  const rng2_challenge = new SeededRandom(baseSeed + 2000);
-  const rng3_hindrance = new SeededRandom(baseSeed + 3000);
-  
-  // Stock variables (initial value = 0)
-  let motivation = 0;
-  let strain = 0;
-  let cumulativeEffort = 0;
-  let progress = 0;
-  
-  const trajectory = [];
-  
-  for (let time = 0; time <= finalTime; time++) {
-    
-    // ========== AUXILIARY VARIABLES ==========
-    
-    // Progress sensitivity = Time / Final_time
-    const progressSensitivity = time / finalTime;
-    
-    // Relative progress = Progress / Cumulative_effort (or 0 if no effort)
-    const relativeProgress = cumulativeEffort === 0 ? 0 : progress / cumulativeEffort;
-    
-    // Resources = Ambition × (1 - Progress_sensitivity) + Relative_progress × Progress_sensitivity
-    const resources = ambition * (1 - progressSensitivity) + relativeProgress * progressSensitivity;
-    
-    // Challenge stressors: Random_Normal(mean=0, std=Ambition, min=0, max=Ambition)
-    const challengeStressors = ambition === 0 ? 0 : 
-      rng2_challenge.nextTruncatedNormal(0, ambition, 0, ambition);
-    
-    // Hindrance stressors: Random_Normal(mean=0, std=Ambition, min=0, max=Ambition)
-    const hindranceStressors = ambition === 0 ? 0 : 
-      rng3_hindrance.nextTruncatedNormal(0, ambition, 0, ambition);
-    
-    // Recovery = 1 - (1 - Self_regulation) × (Var2×Challenge + Var3×Hindrance) / (2×Ambition)
-    const recovery = ambition === 0 ? 1 : 
-      1 - (1 - selfRegulation) * (Var2 * challengeStressors + Var3 * hindranceStressors) / (2 * ambition);
-    
-    // ========== FLOW VARIABLES ==========
-    
-    // Motivation increase = max(Challenge_stressors, Resources) × Recovery × Var1
-    const motivationIncrease = Math.max(challengeStressors, resources) * recovery * Var1;
-    
-    // Motivation decrease = min(Motivation_t, (1 - Self_regulation) × Hindrance_stressors × Var7)
-    const motivationDecrease = Math.min(motivation, (1 - selfRegulation) * hindranceStressors * Var7);
-    
-    // Strain increase = (1 - Self_regulation) × (Var4×Challenge + Var5×Hindrance) / (2×Ambition)
-    const strainIncrease = ambition === 0 ? 0 : 
-      (1 - selfRegulation) * (Var4 * challengeStressors + Var5 * hindranceStressors) / (2 * ambition);
-    
-    // Strain decrease = min(Strain_t, Resources × Recovery × Var6)
-    const strainDecrease = Math.min(strain, resources * recovery * Var6);
-    
-    // Effort = Var8 × (1 / (1 + e^(Strain - Motivation))) when Motivation > 0, else 0
-    const effort = motivation === 0 ? 0 : 
-      Var8 * (1 / (1 + Math.exp(strain - motivation)));
-    
-    // Advance = Effort × Skill × Random_Normal(mean=0, std=Ambition, min=0, max=Ambition)
-    const advanceRandom = rng0_advance.nextTruncatedNormal(0, ambition, 0, ambition);
-    const advance = skill === 0 ? 0 : effort * skill * advanceRandom;
-    
-    // Setback = Poisson(Dynamism) × min(Progress, Random_Normal(mean=0, std=Ambition, min=0, max=Ambition))
-    const setbackPoisson = rng1_setbackPoisson.nextPoisson(dynamism, 0, 1);
-    const setbackRandom = rng1_setback.nextTruncatedNormal(0, ambition, 0, ambition);
-    const setback = setbackPoisson * Math.min(progress, setbackRandom);
-    
-    // ========== UPDATE STOCKS ==========
-    
-    motivation = motivation + motivationIncrease - motivationDecrease;
-    strain = strain + strainIncrease - strainDecrease;
-    cumulativeEffort = cumulativeEffort + effort;
-    progress = progress + advance - setback;
-    
-    // Ensure non-negative (should be handled by MIN constraints, but safety check)
-    motivation = Math.max(0, motivation);
-    strain = Math.max(0, strain);
-    progress = Math.max(0, progress);
-    
-    // ========== OUTPUT VARIABLES ==========
-    
-    // Well-being = Var9 × Motivation - Var10 × Strain
-    const wellbeing = Var9 * motivation - Var10 * strain;
-    
-    // Record trajectory (sample every 5 periods for display performance)
-    if (time % 5 === 0) {
-      trajectory.push({
-        period: time,
-        motivation: +motivation.toFixed(3),
-        strain: +strain.toFixed(3),
-        effort: +effort.toFixed(3),
-        performance: +progress.toFixed(3),
-        wellbeing: +wellbeing.toFixed(3),
-        resources: +resources.toFixed(3),
-        recovery: +recovery.toFixed(3),
-        cumulativeEffort: +cumulativeEffort.toFixed(3),
-        challengeStressors: +challengeStressors.toFixed(3),
-        hindranceStressors: +hindranceStressors.toFixed(3),
-        advance: +advance.toFixed(3),
-        setback: +setback.toFixed(3)
-      });
-    }
-  }
-  
-  return trajectory;
-};
-
-// Run multiple simulations for distribution analysis
-const runMultipleSimulations = (params, numRuns = 50, finalTime = 500) => {
-  const results = [];
-  for (let i = 0; i < numRuns; i++) {
-    const trajectory = runSimulation(params, finalTime);
-    const final = trajectory[trajectory.length - 1];
-    results.push({
-      run: i,
-      performance: final.performance,
-      wellbeing: final.wellbeing,
-      finalEffort: final.effort
-    });
+const EWS_VARIABLE_LABELS = { wellbeing: 'Well-being', motivation: 'Motivation', strain: 'Strain' };
+const EWS_INDICATOR_META = {
+  variance: { label: 'Variance', color: '#8b5cf6' },
+  autocorrelation: { label: 'Lag-1 autocorrelation', color: '#3b82f6' },
+  skewness: { label: 'Skewness', color: '#f59e0b' },
+};
+
+const EarlyWarningPanel = ({ settings, onSettingsChange, onRun, disabled }) => {
+  const selectStyle = { background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.1rem', borderRadius: '4px', fontSize: '0.7rem' };
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.7rem', color: '#94a3b8' };
+  const fields = [
+    { key: 'runs', label: 'Runs', options: [100, 200, 500].map(n => [n, n]) },
+    { key: 'until', label: 'Observe until', options: [0.25, 0.5, 0.75].map(f => [f, `${f * 100}% of horizon`]) },
+    { key: 'window', label: 'Rolling window', options: [0.25, 0.5, 0.75].map(f => [f, `${f * 100}% of observed`]) },
+    { key: 'bandwidth', label: 'Detrending', options: [[0, 'None'], ...[10, 25, 50].map(b => [b, `Gaussian, ${b} periods`])] },
+  ];
+  return (
+    <div style={{ padding: '0.5rem', background: 'rgba(15, 23, 42, 0.3)', display: 'flex', flexDirection: 'column', gap: '0.35rem' }}>
+      <p style={{ fontSize: '0.7rem', color: '#64748b', lineHeight: 1.3 }}>
+        Variance, lag-1 autocorrelation and skewness in a rolling window over each run, recorded every step up to the cut-off.
+        Their Kendall's τ trends are scored as predictors of burnout at the horizon.
+      </p>
+      {fields.map(field => (
+        <label key={field.key} style={rowStyle}>
+          {field.label}
+          <select value={settings[field.key]} onChange={(e) => onSettingsChange({ ...settings, [field.key]: parseFloat(e.target.value) })} style={selectStyle}>
+            {field.options.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+      ))}
+      <button onClick={onRun} disabled={disabled}
+        style={{ width: '100%', padding: '0.3rem', background: '#374151', border: '1px solid #4b5563', borderRadius: '4px', color: '#e2e8f0', fontSize: '0.8rem', cursor: disabled ? 'not-allowed' : 'pointer', opacity: disabled ? 0.5 : 1 }}>
+        📉 Test early warnings
+      </button>
+    </div>
+  );
+};
+
+// AUC per variable and indicator, ROC curves and the indicators of two example runs
+const EarlyWarningView = ({ result }) => {
+  const [variable, setVariable] = useState(EWS_VARIABLES[0]);
+  const panelStyle = { background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' };
+  const headingStyle = { fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 };
+  const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' };
+  const cellStyle = { padding: '0.15rem 0.4rem', textAlign: 'right' };
+  const selectStyle = { background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.2rem', borderRadius: '4px', fontSize: '0.75rem', cursor: 'pointer' };
+  const finished = result.roc !== undefined;
+
+  if (!finished) {
+    return (
+      <div style={panelStyle}>
+        <h3 style={headingStyle}>Early-warning signals — {result.runs.length} runs analysed</h3>
+      </div>
+    );
   }
-  return results;
+
+  const format = (v) => (v === null ? '—' : v.toFixed(2));
+  const aucColor = (auc) => (auc === null ? '#64748b' : auc >= 0.7 ? '#10b981' : auc <= 0.3 ? '#f59e0b' : '#cbd5e1');
+  const tauColumns = EWS_VARIABLES.flatMap(v => EWS_INDICATORS.map(i => [`${v}_${i}_tau`, v, i]));
+  const exportCSV = () => downloadFile('early-warning-runs.csv', toCSV(result.runs.map(run => ({
+    run: run.run, seed: run.seed, outcome: run.outcome, burnout: run.burnout,
+    ...Object.fromEntries(tauColumns.map(([column, v, i]) => [column, run.tau[v][i]])),
+  }))), 'text/csv');
+  const example = (kind, indicator) => (result.examples[kind]
+    ? result.examples[kind].periods.map((period, k) => ({ period, value: result.examples[kind].series[variable][indicator][k] }))
+    : []);
+  const examplesShown = ['burnout', 'other'].filter(kind => result.examples[kind]);
+
+  return (
+    <>
+      <div style={panelStyle}>
+        <h3 style={headingStyle}>
+          Early-warning signals — {result.runs.length} runs, {result.burnouts} burnout ({percent(result.burnouts / result.runs.length)}), observed to period {result.cutoff}
+        </h3>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem', color: '#cbd5e1' }}>
+          <thead>
+            <tr style={{ color: '#94a3b8' }}>
+              <th style={{ textAlign: 'left', fontWeight: 600, padding: '0.15rem 0.4rem' }}>Indicator</th>
+              <th style={{ ...cellStyle, fontWeight: 500 }}>Mean τ, burnout</th>
+              <th style={{ ...cellStyle, fontWeight: 500 }}>Mean τ, other</th>
+              <th style={{ ...cellStyle, fontWeight: 500 }}>AUC</th>
+            </tr>
+          </thead>
+          <tbody>
+            {EWS_VARIABLES.flatMap(v => EWS_INDICATORS.map(i => (
+              <tr key={`${v}-${i}`} style={{ borderTop: '1px solid #334155' }}>
+                <td style={{ padding: '0.15rem 0.4rem' }}>{EWS_VARIABLE_LABELS[v]} · {EWS_INDICATOR_META[i].label.toLowerCase()}</td>
+                <td style={cellStyle}>{format(result.meanTau[v][i].burnout)}</td>
+                <td style={cellStyle}>{format(result.meanTau[v][i].other)}</td>
+                <td style={{ ...cellStyle, color: aucColor(result.roc[v][i].auc), fontWeight: 600 }}>{format(result.roc[v][i].auc)}</td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+        <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.4rem', lineHeight: 1.3 }}>
+          {result.roc.wellbeing.variance.auc === null
+            ? 'ROC curves need both burnout and other runs; change the parameters or the horizon to get a mix.'
+            : 'AUC is the chance that a burnout run has a higher τ for the indicator than another run: 0.5 is no better than chance, and below 0.5 the indicator falls ahead of burnout.'}
+        </p>
+        <ExportBar label="Export" actions={[
+          { label: 'Runs CSV', onClick: exportCSV },
+          { label: 'JSON', onClick: () => downloadJSON('early-warning.json', result) },
+        ]} />
+      </div>
+
+      <div style={panelStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.4rem' }}>
+          <h3 style={{ ...headingStyle, marginBottom: 0 }}>ROC of the τ trends as burnout predictors</h3>
+          <select value={variable} onChange={(e) => setVariable(e.target.value)} style={selectStyle}>
+            {EWS_VARIABLES.map(v => <option key={v} value={v}>{EWS_VARIABLE_LABELS[v]}</option>)}
+          </select>
+        </div>
+        <ResponsiveContainer width="100%" height={230}>
+          <LineChart>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis dataKey="fpr" type="number" domain={[0, 1]} stroke="#64748b" tick={{ fontSize: 11 }}
+              label={{ value: 'False positive rate', position: 'insideBottom', offset: -2, fill: '#64748b', fontSize: 9 }} />
+            <YAxis type="number" domain={[0, 1]} stroke="#64748b" tick={{ fontSize: 11 }}
+              label={{ value: 'True positive rate', angle: -90, position: 'insideLeft', fill: '#64748b', fontSize: 9 }} />
+            <Tooltip contentStyle={tooltipStyle} formatter={(v) => v.toFixed(2)} labelFormatter={(v) => `FPR ${Number(v).toFixed(2)}`} />
+            <Legend wrapperStyle={{ fontSize: '0.75rem' }} />
+            <ReferenceLine segment={[{ x: 0, y: 0 }, { x: 1, y: 1 }]} stroke="#64748b" strokeDasharray="4 4" />
+            {EWS_INDICATORS.map(i => (
+              <Line key={i} data={result.roc[variable][i].points} dataKey="tpr" type="linear" stroke={EWS_INDICATOR_META[i].color} strokeWidth={2}
+                dot={false} isAnimationActive={false} name={`${EWS_INDICATOR_META[i].label} (AUC ${format(result.roc[variable][i].auc)})`} />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {examplesShown.length > 0 && (
+        <div style={panelStyle}>
+          <h3 style={headingStyle}>
+            {EWS_VARIABLE_LABELS[variable]} indicators up to period {result.cutoff} — {examplesShown.map(kind => `${kind === 'burnout' ? 'a burnout run' : 'another run'} (seed ${result.examples[kind].seed})`).join(' vs ')}
+          </h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '0.5rem' }}>
+            {EWS_INDICATORS.map(i => (
+              <div key={i}>
+                <span style={{ fontSize: '0.75rem', color: EWS_INDICATOR_META[i].color }}>{EWS_INDICATOR_META[i].label}</span>
+                <ResponsiveContainer width="100%" height={130}>
+                  <LineChart>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis dataKey="period" type="number" domain={['dataMin', 'dataMax']} stroke="#64748b" tick={{ fontSize: 10 }} />
+                    <YAxis stroke="#64748b" tick={{ fontSize: 10 }} width={40} tickFormatter={(v) => +v.toFixed(2)} />
+                    <Tooltip contentStyle={tooltipStyle} formatter={(v) => v.toFixed(3)} />
+                    {examplesShown.map(kind => (
+                      <Line key={kind} data={example(kind, i)} dataKey="value" stroke={kind === 'burnout' ? '#ef4444' : '#10b981'} strokeWidth={1.5}
+                        dot={false} isAnimationActive={false} connectNulls name={kind === 'burnout' ? 'Burnout run' : 'Other run'} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+          </div>
+          <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.3rem' }}>
+            Each value is computed over the window ending at that period. Red: burnout run; green: another run.
+          </p>
+        </div>
+      )}
+    </>
+  );
 };
 
 // ============================================
-// SYSTEM DIAGRAM COMPONENT
+// SCENARIO LIBRARY PANEL
+// ============================================
+const ScenarioPanel = ({ scenarios, selectedIds, onToggle, onSave, onLoad, onDelete, onCompare, onImport, onExport, status, disabled }) => {
+  const [name, setName] = useState('');
+  const importRef = useRef(null);
+  const canCompare = selectedIds.length >= 2 && selectedIds.length <= MAX_COMPARED_SCENARIOS && !disabled;
+  const smallButton = { fontSize: '0.7rem', padding: '0.15rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: '#94a3b8', cursor: 'pointer' };
+
+  const save = () => {
+    onSave(name);
+    setName('');
+  };
+
+  return (
+    <div style={{ padding: '0.5rem', background: 'rgba(15, 23, 42, 0.3)' }}>
+      <div style={{ display: 'flex', gap: '0.3rem', marginBottom: '0.4rem' }}>
+        <input type="text" value={name} placeholder="Scenario name" onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') save(); }}
+          style={{ flex: 1, minWidth: 0, background: '#1e293b', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.2rem 0.35rem', borderRadius: '4px', fontSize: '0.75rem' }} />
+        <button onClick={save} style={smallButton}>Save current</button>
+      </div>
+
+      {scenarios.length === 0 && (
+        <p style={{ fontSize: '0.7rem', color: '#64748b', marginBottom: '0.4rem' }}>No saved scenarios yet.</p>
+      )}
+      {scenarios.map(s => (
+        <div key={s.id} style={{ display: 'flex', gap: '0.3rem', alignItems: 'center', marginBottom: '0.2rem' }}>
+          <input type="checkbox" checked={selectedIds.includes(s.id)} onChange={() => onToggle(s.id)}
+            style={{ accentColor: '#8b5cf6', width: '11px', height: '11px' }} />
+          <span title={`A ${s.params.ambition} · Sk ${s.params.skill} · SR ${s.params.selfRegulation} · D ${s.params.dynamism} · seed ${s.seed}`}
+            style={{ flex: 1, fontSize: '0.75rem', color: '#cbd5e1', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {s.name}
+          </span>
+          <button onClick={() => onLoad(s)} style={smallButton}>Load</button>
+          <button onClick={() => onDelete(s.id)} style={smallButton} title="Delete">✕</button>
+        </div>
+      ))}
+
+      <button onClick={onCompare} disabled={!canCompare}
+        style={{ width: '100%', marginTop: '0.3rem', padding: '0.3rem', background: '#374151', border: '1px solid #4b5563', borderRadius: '4px', color: '#e2e8f0', fontSize: '0.8rem', cursor: canCompare ? 'pointer' : 'not-allowed', opacity: canCompare ? 1 : 0.5 }}>
+        Compare selected ({selectedIds.length})
+      </button>
+      <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.2rem' }}>Tick 2–{MAX_COMPARED_SCENARIOS} scenarios to overlay them</p>
+
+      <div style={{ display: 'flex', gap: '0.3rem', marginTop: '0.3rem' }}>
+        <button onClick={() => importRef.current.click()} style={{ ...smallButton, flex: 1 }}>Import file…</button>
+        <button onClick={onExport} disabled={scenarios.length === 0} style={{ ...smallButton, flex: 1 }}>Export file</button>
+      </div>
+      <input ref={importRef} type="file" accept=".json,application/json" style={{ display: 'none' }}
+        onChange={(e) => { const file = e.target.files[0]; e.target.value = ''; if (file) onImport(file); }} />
+      {status && (
+        <p style={{ fontSize: '0.7rem', color: status.error ? '#ef4444' : '#10b981', marginTop: '0.25rem' }}>{status.message}</p>
+      )}
+    </div>
+  );
+};
+
+// ============================================
+// SCENARIO COMPARISON VIEW
+// ============================================
+const SCENARIO_COLORS = ['#8b5cf6', '#10b981', '#f59e0b', '#06b6d4'];
+
+const ScenarioComparison = ({ results }) => {
+  // One row per recorded period with a column per scenario and variable, e.g. s0_performance.
+  // Scenarios keep their own timing, so a row may hold only some of them; scenarios that
+  // exited early simply end
+  const rows = new Map();
+  results.forEach((r, i) => r.trajectory.forEach(p => {
+    const period = +p.period.toFixed(4);
+    if (!rows.has(period)) rows.set(period, { period });
+    ['performance', 'wellbeing', 'motivation', 'strain'].forEach(key => { rows.get(period)[`s${i}_${key}`] = p[key]; });
+  }));
+  const chartData = [...rows.values()].sort((a, b) => a.period - b.period);
+
+  const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' };
+  const panelStyle = { background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' };
+  const lines = (solidKey, dashedKey, solidName, dashedName) => results.flatMap((r, i) => [
+    <Line key={`${i}-${solidKey}`} type="monotone" dataKey={`s${i}_${solidKey}`} stroke={SCENARIO_COLORS[i]} strokeWidth={2} dot={false} connectNulls name={`${r.scenario.name}: ${solidName}`} />,
+    <Line key={`${i}-${dashedKey}`} type="monotone" dataKey={`s${i}_${dashedKey}`} stroke={SCENARIO_COLORS[i]} strokeWidth={1.5} strokeDasharray="4 2" dot={false} connectNulls name={`${r.scenario.name}: ${dashedName}`} />,
+  ]);
+
+  return (
+    <>
+      <div style={panelStyle}>
+        <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 }}>
+          Performance (solid) & Well-being (dashed)
+        </h3>
+        <ResponsiveContainer width="100%" height={190}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis dataKey="period" stroke="#64748b" tick={{ fontSize: 11 }} />
+            <YAxis stroke="#64748b" tick={{ fontSize: 11 }} />
+            <Tooltip contentStyle={tooltipStyle} />
+            <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="4 4" strokeOpacity={0.5} />
+            {lines('performance', 'wellbeing', 'Performance', 'Well-being')}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={panelStyle}>
+        <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 }}>
+          Motivation (solid) & Strain (dashed)
+        </h3>
+        <ResponsiveContainer width="100%" height={160}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis dataKey="period" stroke="#64748b" tick={{ fontSize: 11 }} />
+            <YAxis stroke="#64748b" tick={{ fontSize: 11 }} />
+            <Tooltip contentStyle={tooltipStyle} />
+            {lines('motivation', 'strain', 'Motivation', 'Strain')}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={{ ...panelStyle, overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+          <thead>
+            <tr style={{ color: '#94a3b8', textAlign: 'right' }}>
+              <th style={{ textAlign: 'left', fontWeight: 500, padding: '0.2rem' }}>Scenario</th>
+              {['Perf.', 'WB', 'Motiv.', 'Strain', 'Effort'].map(h => <th key={h} style={{ fontWeight: 500, padding: '0.2rem' }}>{h}</th>)}
+              <th style={{ textAlign: 'left', fontWeight: 500, padding: '0.2rem' }}>Outcome</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((r, i) => {
+              const outcomeInfo = OUTCOMES[r.outcomeType];
+              return (
+                <tr key={r.scenario.id} style={{ borderTop: '1px solid #334155', textAlign: 'right' }}>
+                  <td style={{ textAlign: 'left', padding: '0.25rem 0.2rem', color: SCENARIO_COLORS[i], fontWeight: 600 }}>
+                    {r.scenario.name}
+                    <span style={{ display: 'block', fontSize: '0.65rem', color: '#64748b', fontWeight: 400 }}>seed {r.scenario.seed} · {r.scenario.timing.finalTime} periods, dt {r.scenario.timing.dt}</span>
+                  </td>
+                  <td style={{ padding: '0.2rem' }}>{r.final.performance.toFixed(1)}</td>
+                  <td style={{ padding: '0.2rem', color: r.final.wellbeing > 0 ? '#10b981' : '#ef4444' }}>{r.final.wellbeing.toFixed(1)}</td>
+                  <td style={{ padding: '0.2rem' }}>{r.final.motivation.toFixed(1)}</td>
+                  <td style={{ padding: '0.2rem' }}>{r.final.strain.toFixed(1)}</td>
+                  <td style={{ padding: '0.2rem' }}>{r.final.effort.toFixed(2)}</td>
+                  <td style={{ textAlign: 'left', padding: '0.2rem', color: outcomeInfo.color }}>
+                    {outcomeInfo.title}
+                    {r.final.exit && <span style={{ display: 'block', fontSize: '0.65rem', color: '#ef4444' }}>exited at {r.final.period}</span>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
 // ============================================
-const SystemDiagram = ({ currentState, isActive }) => {
-  const m = currentState?.motivation || 0;
-  const s = currentState?.strain || 0;
-  const e = currentState?.effort || 0;
-  const p = currentState?.performance || 0;
-  const r = currentState?.resources || 0;
-  const rec = currentState?.recovery || 0;
-  const wb = currentState?.wellbeing || 0;
+// A/B COMPARISON VIEW
+// ============================================
+const ABComparison = ({ ab }) => {
+  const labelA = `A: ${ab.factorLabel} ${ab.baselineValue}`;
+  const labelB = `B: ${ab.factorLabel} ${ab.variantValue}`;
+  const tooltipStyle = { backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' };
+  const panelStyle = { background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' };
+  const headingStyle = { fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 };
+
+  if (ab.kind === 'single') {
+    // Either arm may stop early at an exit; its lines and the differences end there
+    const longest = ab.variant.length > ab.baseline.length ? ab.variant : ab.baseline;
+    const chartData = longest.map((point, t) => {
+      const a = ab.baseline[t];
+      const b = ab.variant[t];
+      const row = { period: point.period };
+      if (a) Object.assign(row, { aPerformance: a.performance, aWellbeing: a.wellbeing });
+      if (b) Object.assign(row, { bPerformance: b.performance, bWellbeing: b.wellbeing });
+      if (a && b) {
+        row.dPerformance = +(b.performance - a.performance).toFixed(3);
+        row.dWellbeing = +(b.wellbeing - a.wellbeing).toFixed(3);
+      }
+      return row;
+    });
+    const finalA = ab.baseline[ab.baseline.length - 1];
+    const finalB = ab.variant[ab.variant.length - 1];
+    const exits = [['A', exitOf(ab.baseline)], ['B', exitOf(ab.variant)]].filter(([, exit]) => exit);
+    const outcomeValue = (final, exit) => `${OUTCOMES[classifyOutcome(final)].title}${exit ? ` (exited at ${exit.time})` : ''}`;
+
+    return (
+      <>
+        <div style={panelStyle}>
+          <h3 style={headingStyle}>Performance & Well-being — same market draws (seed {ab.seed})</h3>
+          <ResponsiveContainer width="100%" height={180}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="period" type="number" domain={[0, 'dataMax']} stroke="#64748b" tick={{ fontSize: 11 }} />
+              {interventionAreas(ab.interventions, chartData[chartData.length - 1].period)}
+              <YAxis stroke="#64748b" tick={{ fontSize: 11 }} />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Legend wrapperStyle={{ fontSize: '0.75rem' }} />
+              <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="4 4" strokeOpacity={0.5} />
+              {exits.map(([arm, exit]) => (
+                <ReferenceLine key={arm} x={exit.time} stroke="#ef4444" strokeWidth={1.5}
+                  label={{ value: `${arm} exits`, position: 'insideTopRight', fill: '#ef4444', fontSize: 9 }} />
+              ))}
+              <Line type="monotone" dataKey="aPerformance" stroke="#8b5cf6" strokeWidth={2} dot={false} name={`${labelA} — Performance`} />
+              <Line type="monotone" dataKey="bPerformance" stroke="#8b5cf6" strokeWidth={2} strokeDasharray="5 3" dot={false} name={`${labelB} — Performance`} />
+              <Line type="monotone" dataKey="aWellbeing" stroke="#10b981" strokeWidth={2} dot={false} name={`${labelA} — Well-being`} />
+              <Line type="monotone" dataKey="bWellbeing" stroke="#10b981" strokeWidth={2} strokeDasharray="5 3" dot={false} name={`${labelB} — Well-being`} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div style={panelStyle}>
+          <h3 style={headingStyle}>Difference over time (B − A)</h3>
+          <ResponsiveContainer width="100%" height={150}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis dataKey="period" stroke="#64748b" tick={{ fontSize: 11 }} />
+              <YAxis stroke="#64748b" tick={{ fontSize: 11 }} />
+              <Tooltip contentStyle={tooltipStyle} />
+              <Legend wrapperStyle={{ fontSize: '0.8rem' }} />
+              <ReferenceLine y={0} stroke="#94a3b8" />
+              <Line type="monotone" dataKey="dPerformance" stroke="#8b5cf6" strokeWidth={2} dot={false} name="Δ Performance" />
+              <Line type="monotone" dataKey="dWellbeing" stroke="#10b981" strokeWidth={2} dot={false} name="Δ Well-being" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="metrics-grid">
+          {[
+            { label: 'Performance A → B', value: `${finalA.performance.toFixed(1)} → ${finalB.performance.toFixed(1)}`, color: '#8b5cf6' },
+            { label: 'Well-being A → B', value: `${finalA.wellbeing.toFixed(1)} → ${finalB.wellbeing.toFixed(1)}`, color: '#10b981' },
+            { label: 'Outcome A', value: outcomeValue(finalA, exitOf(ab.baseline)), color: OUTCOMES[classifyOutcome(finalA)].color },
+            { label: 'Outcome B', value: outcomeValue(finalB, exitOf(ab.variant)), color: OUTCOMES[classifyOutcome(finalB)].color },
+          ].map((m, i) => (
+            <div key={i} style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '5px', padding: '0.45rem', border: '1px solid #334155' }}>
+              <span style={{ fontSize: '0.7rem', color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '0.04em' }}>{m.label}</span>
+              <span style={{ display: 'block', fontSize: '0.9rem', fontWeight: 700, color: m.color }}>{m.value}</span>
+            </div>
+          ))}
+        </div>
+      </>
+    );
+  }
 
-  const getOpacity = (value, max = 1) => isActive ? Math.min(1, Math.max(0.2, Math.abs(value) / max)) : 0.15;
+  const effect = pairedTreatmentEffect(ab.results);
+  const formatCI = (e) => `${e.mean >= 0 ? '+' : ''}${e.mean.toFixed(2)} [${e.low.toFixed(2)}, ${e.high.toFixed(2)}]`;
+  const percent = (v) => `${(v * 100).toFixed(0)}%`;
 
   return (
-    <div style={{ background: 'rgba(15, 23, 42, 0.9)', borderRadius: '12px', padding: '1.25rem', border: '1px solid #334155' }}>
-      <h3 style={{ fontSize: '1.1rem', color: '#94a3b8', marginBottom: '1rem', fontWeight: 500 }}>
-        System State
+    <div style={{ ...panelStyle, flex: 1 }}>
+      <h3 style={headingStyle}>
+        Paired A/B ({ab.results.length} runs, base seed {ab.seed}) — {labelA} vs {labelB}
       </h3>
-      
-      <svg viewBox="0 0 320 280" style={{ width: '100%', height: 'auto' }}>
-        {/* STOCK: Motivation */}
-        <rect x="15" y="60" width="70" height="35" rx="3" fill="#1e3a5f" stroke="#3b82f6" strokeWidth="2" />
-        <text x="50" y="75" textAnchor="middle" fill="#93c5fd" fontSize="13" fontWeight="500">Motivation</text>
-        <text x="50" y="88" textAnchor="middle" fill="#3b82f6" fontSize="13" fontWeight="700">
-          {isActive ? m.toFixed(1) : '—'}
-        </text>
+      <ResponsiveContainer width="100%" height={240}>
+        <ScatterChart margin={{ bottom: 20, left: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis type="number" dataKey="diffPerformance" stroke="#64748b" tick={{ fontSize: 11 }}
+            label={{ value: 'Δ Performance (B − A)', position: 'insideBottom', offset: -10, fill: '#64748b', fontSize: 9 }} />
+          <YAxis type="number" dataKey="diffWellbeing" stroke="#64748b" tick={{ fontSize: 11 }}
+            label={{ value: 'Δ Well-being', angle: -90, position: 'insideLeft', fill: '#64748b', fontSize: 9 }} />
+          <Tooltip contentStyle={tooltipStyle} formatter={(value) => value.toFixed(2)} />
+          <ReferenceLine x={0} stroke="#94a3b8" strokeDasharray="4 4" />
+          <ReferenceLine y={0} stroke="#94a3b8" strokeDasharray="4 4" />
+          <Scatter data={ab.results.slice(0, MAX_SCATTER_POINTS)} fill="#06b6d4" fillOpacity={0.7} isAnimationActive={false} />
+        </ScatterChart>
+      </ResponsiveContainer>
 
-        {/* STOCK: Strain */}
-        <rect x="15" y="140" width="70" height="35" rx="3" fill="#3f1f1f" stroke="#ef4444" strokeWidth="2" />
-        <text x="50" y="155" textAnchor="middle" fill="#fca5a5" fontSize="13" fontWeight="500">Strain</text>
-        <text x="50" y="168" textAnchor="middle" fill="#ef4444" fontSize="13" fontWeight="700">
-          {isActive ? s.toFixed(1) : '—'}
-        </text>
+      <div className="stats-grid">
+        {[
+          { label: 'Δ Performance (95% CI)', value: formatCI(effect.performance) },
+          { label: 'Δ Well-being (95% CI)', value: formatCI(effect.wellbeing) },
+          { label: 'Success A → B', value: `${percent(effect.baseline.successRate)} → ${percent(effect.variant.successRate)}` },
+          { label: 'Burnout A → B', value: `${percent(effect.baseline.burnoutRate)} → ${percent(effect.variant.burnoutRate)}` },
+        ].map((s, i) => (
+          <div key={i} style={{ textAlign: 'center' }}>
+            <span style={{ display: 'block', fontSize: '0.7rem', color: '#94a3b8' }}>{s.label}</span>
+            <span style={{ fontSize: '0.95rem', fontWeight: 600, color: '#06b6d4' }}>{s.value}</span>
+          </div>
+        ))}
+      </div>
+      <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.4rem', lineHeight: 1.3 }}>
+        Each pair shares one seed, so A and B face identical challenge, hindrance, advance and setback draws.
+      </p>
+    </div>
+  );
+};
 
-        {/* GAUGE: Well-being */}
-        <rect x="100" y="100" width="60" height="35" rx="17" 
-          fill={isActive && wb > 0 ? 'rgba(16, 185, 129, 0.2)' : isActive ? 'rgba(239, 68, 68, 0.2)' : '#1e293b'} 
-          stroke={isActive && wb > 0 ? '#10b981' : isActive ? '#ef4444' : '#475569'} strokeWidth="2" />
-        <text x="130" y="113" textAnchor="middle" fill="#94a3b8" fontSize="10">Well-being</text>
-        <text x="130" y="127" textAnchor="middle" 
-          fill={isActive && wb > 0 ? '#10b981' : isActive ? '#ef4444' : '#64748b'} fontSize="14" fontWeight="700">
-          {isActive ? wb.toFixed(1) : '—'}
-        </text>
+// ============================================
+// INTERVENTION TIMELINE EDITOR
+// ============================================
+const NEW_INTERVENTION = { key: 'selfRegulation', type: 'step', start: 200, end: null, value: 0.8, operation: 'set' };
 
-        {/* FLOW: Effort */}
-        <rect x="175" y="100" width="55" height="35" rx="3" fill="#1e293b" stroke="#f59e0b" strokeWidth="2" />
-        <text x="202" y="113" textAnchor="middle" fill="#fcd34d" fontSize="13" fontWeight="500">Effort</text>
-        <text x="202" y="127" textAnchor="middle" fill="#f59e0b" fontSize="13" fontWeight="700">
-          {isActive ? e.toFixed(2) : '—'}
-        </text>
+const InterventionEditor = ({ interventions, onChange }) => {
+  const update = (index, changes) => onChange(interventions.map((iv, i) => (i === index ? { ...iv, ...changes } : iv)));
+  const remove = (index) => onChange(interventions.filter((_, i) => i !== index));
+  const inputStyle = { background: '#1e293b', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.7rem', minWidth: 0 };
 
-        {/* STOCK: Performance (Progress) */}
-        <rect x="245" y="60" width="65" height="35" rx="3" fill="#2e1f4d" stroke="#8b5cf6" strokeWidth="2" />
-        <text x="277" y="75" textAnchor="middle" fill="#c4b5fd" fontSize="13" fontWeight="500">Performance</text>
-        <text x="277" y="88" textAnchor="middle" fill="#8b5cf6" fontSize="13" fontWeight="700">
-          {isActive ? p.toFixed(1) : '—'}
-        </text>
+  return (
+    <div style={{ padding: '0.5rem', background: 'rgba(15, 23, 42, 0.3)' }}>
+      <p style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.4rem', lineHeight: 1.3 }}>
+        Step: from start on. Pulse: start to end only. Ramp: gradual from start to end.
+      </p>
+      {interventions.map((iv, i) => {
+        const invalid = iv.type !== 'step' && !(iv.end > iv.start);
+        return (
+          <div key={i} style={{ marginBottom: '0.4rem', paddingBottom: '0.4rem', borderBottom: '1px solid #334155' }}>
+            <div style={{ display: 'flex', gap: '0.2rem', marginBottom: '0.2rem' }}>
+              <select value={iv.key} onChange={(e) => update(i, { key: e.target.value })} style={{ ...inputStyle, flex: 1 }}>
+                {MODEL_FACTORS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+              <select value={iv.type} onChange={(e) => update(i, { type: e.target.value, end: e.target.value === 'step' ? null : iv.end ?? iv.start + 50 })} style={inputStyle}>
+                {INTERVENTION_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+              <button onClick={() => remove(i)} title="Remove"
+                style={{ fontSize: '0.7rem', padding: '0.1rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: '#94a3b8', cursor: 'pointer' }}>✕</button>
+            </div>
+            <div style={{ display: 'flex', gap: '0.2rem', alignItems: 'center' }}>
+              <input type="number" min={0} step={10} value={iv.start} title="Start period"
+                onChange={(e) => update(i, { start: parseInt(e.target.value) || 0 })} style={{ ...inputStyle, width: '3rem' }} />
+              <span style={{ fontSize: '0.7rem', color: '#64748b' }}>→</span>
+              <input type="number" min={0} step={10} value={iv.end ?? ''} title="End period" disabled={iv.type === 'step'}
+                placeholder="end" onChange={(e) => update(i, { end: parseInt(e.target.value) || 0 })}
+                style={{ ...inputStyle, width: '3rem', opacity: iv.type === 'step' ? 0.4 : 1 }} />
+              <select value={iv.operation} onChange={(e) => update(i, { operation: e.target.value })} style={inputStyle} title="Set to value or multiply by it">
+                <option value="set">=</option>
+                <option value="multiply">×</option>
+              </select>
+              <input type="number" min={0} step={0.1} value={iv.value} title="Value"
+                onChange={(e) => update(i, { value: parseFloat(e.target.value) || 0 })} style={{ ...inputStyle, width: '3rem' }} />
+            </div>
+            {invalid && <p style={{ fontSize: '0.65rem', color: '#ef4444', marginTop: '0.15rem' }}>End must be after start — ignored</p>}
+          </div>
+        );
+      })}
+      <button onClick={() => onChange([...interventions, NEW_INTERVENTION])}
+        style={{ width: '100%', padding: '0.3rem', background: '#374151', border: 'none', borderRadius: '4px', color: '#94a3b8', fontSize: '0.75rem', cursor: 'pointer' }}>
+        + Add intervention
+      </button>
+    </div>
+  );
+};
 
-        {/* AUX: Resources */}
-        <ellipse cx="160" cy="40" rx="35" ry="15" fill="#1e293b" stroke="#10b981" strokeWidth="1.5" />
-        <text x="160" y="37" textAnchor="middle" fill="#6ee7b7" fontSize="10">Resources</text>
-        <text x="160" y="48" textAnchor="middle" fill="#10b981" fontSize="13" fontWeight="600">
-          {isActive ? r.toFixed(2) : '—'}
-        </text>
+// Default settings of each exit rule when it is switched on
+const NEW_EXIT_RULES = {
+  wellbeing: { type: 'wellbeing', threshold: -20, periods: 20 },
+  motivation: { type: 'motivation', threshold: 0 },
+};
 
-        {/* AUX: Recovery */}
-        <ellipse cx="100" cy="210" rx="32" ry="14" fill="#1e293b" stroke="#10b981" strokeWidth="1.5" />
-        <text x="100" y="207" textAnchor="middle" fill="#6ee7b7" fontSize="10">Recovery</text>
-        <text x="100" y="218" textAnchor="middle" fill="#10b981" fontSize="13" fontWeight="600">
-          {isActive ? rec.toFixed(2) : '—'}
-        </text>
+const ExitRulesEditor = ({ exitRules, onChange }) => {
+  const ruleOf = (type) => exitRules.find(rule => rule.type === type);
+  const toggle = (type) => onChange(ruleOf(type) ? exitRules.filter(rule => rule.type !== type) : [...exitRules, NEW_EXIT_RULES[type]]);
+  const update = (type, changes) => onChange(exitRules.map(rule => (rule.type === type ? { ...rule, ...changes } : rule)));
+  const inputStyle = { background: '#1e293b', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.7rem', width: '3rem' };
+  const rowStyle = { display: 'flex', gap: '0.25rem', alignItems: 'center', flexWrap: 'wrap', fontSize: '0.7rem', color: '#cbd5e1', marginBottom: '0.3rem' };
+  const wellbeing = ruleOf('wellbeing');
+  const motivation = ruleOf('motivation');
 
-        {/* Stressors */}
-        <text x="50" y="215" textAnchor="middle" fill="#64748b" fontSize="9">Stressors</text>
-        <text x="50" y="227" textAnchor="middle" fill="#f59e0b" fontSize="10">
-          C: {isActive ? currentState?.challengeStressors?.toFixed(2) : '—'}
-        </text>
-        <text x="50" y="239" textAnchor="middle" fill="#f59e0b" fontSize="10">
-          H: {isActive ? currentState?.hindranceStressors?.toFixed(2) : '—'}
-        </text>
+  return (
+    <div style={{ padding: '0.5rem', background: 'rgba(15, 23, 42, 0.3)' }}>
+      <p style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.4rem', lineHeight: 1.3 }}>
+        The venture is abandoned and the run stops when a rule fires.
+      </p>
+      <div style={rowStyle}>
+        <input type="checkbox" checked={!!wellbeing} onChange={() => toggle('wellbeing')} style={{ accentColor: '#ef4444' }} />
+        <span>Well-being below</span>
+        <input type="number" step={5} value={(wellbeing ?? NEW_EXIT_RULES.wellbeing).threshold} disabled={!wellbeing}
+          onChange={(e) => update('wellbeing', { threshold: parseFloat(e.target.value) || 0 })} style={inputStyle} />
+        <span>for</span>
+        <input type="number" min={0} step={5} value={(wellbeing ?? NEW_EXIT_RULES.wellbeing).periods} disabled={!wellbeing}
+          onChange={(e) => update('wellbeing', { periods: Math.max(0, parseFloat(e.target.value) || 0) })} style={inputStyle} />
+        <span>periods</span>
+      </div>
+      <div style={rowStyle}>
+        <input type="checkbox" checked={!!motivation} onChange={() => toggle('motivation')} style={{ accentColor: '#ef4444' }} />
+        <span>Motivation falls to</span>
+        <input type="number" min={0} step={0.5} value={(motivation ?? NEW_EXIT_RULES.motivation).threshold} disabled={!motivation}
+          onChange={(e) => update('motivation', { threshold: Math.max(0, parseFloat(e.target.value) || 0) })} style={inputStyle} />
+      </div>
+    </div>
+  );
+};
 
-        {/* Connections - simplified visual */}
-        <path d="M 130 55 Q 90 55 85 60" fill="none" stroke="#10b981" strokeWidth="1.5" opacity={getOpacity(r)} />
-        <line x1="85" y1="95" x2="100" y2="105" stroke="#3b82f6" strokeWidth="1.5" opacity={getOpacity(m, 50)} />
-        <line x1="85" y1="140" x2="100" y2="130" stroke="#ef4444" strokeWidth="1.5" opacity={getOpacity(s, 50)} />
-        <line x1="160" y1="117" x2="173" y2="117" stroke="#f59e0b" strokeWidth="1.5" opacity={getOpacity(e)} />
-        <path d="M 230 112 Q 250 95 250 95" fill="none" stroke="#8b5cf6" strokeWidth="1.5" opacity={getOpacity(e)} />
-        <path d="M 277 95 Q 277 30 195 38" fill="none" stroke="#8b5cf6" strokeWidth="1" strokeDasharray="3,2" opacity={getOpacity(p, 50)} />
-        <path d="M 100 196 Q 70 180 60 175" fill="none" stroke="#10b981" strokeWidth="1" opacity={getOpacity(rec)} />
+// Shaded chart regions for each intervention window
+const interventionAreas = (interventions, finalTime) => interventions.map((iv, i) => (
+  <ReferenceArea key={`iv-${i}`} x1={iv.start} x2={iv.type === 'step' ? finalTime : iv.end}
+    fill={iv.type === 'ramp' ? '#06b6d4' : '#f59e0b'} fillOpacity={iv.type === 'step' ? 0.06 : 0.12}
+    ifOverflow="hidden"
+    label={{ value: MODEL_FACTORS.find(f => f.key === iv.key)?.label, position: 'insideTopLeft', fill: '#94a3b8', fontSize: 9 }} />
+));
 
-        {/* Legend */}
-        <g transform="translate(200, 155)">
-          <text x="0" y="0" fill="#475569" fontSize="9" fontWeight="500">LEGEND</text>
-          <rect x="0" y="6" width="22" height="9" rx="2" fill="#1e3a5f" stroke="#3b82f6" strokeWidth="1" />
-          <text x="26" y="13" fill="#64748b" fontSize="8">Stock</text>
-          <ellipse cx="11" cy="26" rx="11" ry="5" fill="#1e293b" stroke="#10b981" strokeWidth="1" />
-          <text x="26" y="28" fill="#64748b" fontSize="8">Auxiliary</text>
-          <rect x="0" y="35" width="22" height="9" rx="4" fill="rgba(16, 185, 129, 0.2)" stroke="#10b981" strokeWidth="1" />
-          <text x="26" y="42" fill="#64748b" fontSize="8">Gauge</text>
-        </g>
-      </svg>
+// ============================================
+// MODEL EQUATIONS EDITOR
+// ============================================
+// The model definition as a list of equations. Auxiliaries, flows and outputs can be
+// edited; an edit is checked by compiling the whole model, so unknown names and
+// circular definitions are caught before it is applied.
+const EQUATION_GROUPS = [
+  { group: 'auxiliaries', title: 'Auxiliaries' },
+  { group: 'flows', title: 'Flows' },
+  { group: 'outputs', title: 'Outputs (after the update)' },
+];
+
+const EquationEditor = ({ equations, onChange, disabled }) => {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+  const definition = useMemo(() => modelDefinition(equations), [equations]);
+  const draftError = useMemo(() => {
+    if (!editing) return null;
+    try {
+      compileModel({ ...equations, [editing]: draft.trim() });
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }, [editing, draft, equations]);
+
+  const startEditing = (v) => {
+    setEditing(v.symbol);
+    setDraft(v.equation);
+  };
+  const apply = () => {
+    const defaultEquation = MODEL_DEFINITION[EQUATION_GROUPS.find(g => definition[g.group].some(v => v.symbol === editing)).group]
+      .find(v => v.symbol === editing).equation;
+    const { [editing]: _, ...others } = equations;
+    onChange(draft.trim() === defaultEquation ? others : { ...others, [editing]: draft.trim() });
+    setEditing(null);
+  };
+  const reset = (symbol) => {
+    const { [symbol]: _, ...others } = equations;
+    onChange(others);
+  };
 
-      {isActive && (
-        <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#64748b', lineHeight: 1.4 }}>
-          <p>● Effort = 1/(1+e^(Strain-Motivation))</p>
-          <p>● Performance feeds back to Resources</p>
+  const headingStyle = { color: '#8b5cf6', fontWeight: 600, marginTop: '0.4rem' };
+  const codeStyle = { display: 'block', color: '#94a3b8', whiteSpace: 'pre-wrap', wordBreak: 'break-word' };
+  const buttonStyle = { fontSize: '0.7rem', padding: '0.1rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: '#94a3b8', cursor: disabled ? 'not-allowed' : 'pointer' };
+  const editedCount = Object.keys(equations).length;
+
+  return (
+    <div style={{ padding: '0 0.65rem 0.65rem', fontSize: '0.75rem', fontFamily: 'monospace', lineHeight: 1.5 }}>
+      {editedCount > 0 && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', color: '#f59e0b', fontFamily: 'inherit' }}>
+          <span>{editedCount} edited equation{editedCount === 1 ? '' : 's'}</span>
+          <button onClick={() => onChange({})} disabled={disabled} style={buttonStyle}>Restore paper</button>
         </div>
       )}
+      <div style={headingStyle}>Stocks</div>
+      {definition.stocks.map(stock => (
+        <code key={stock.symbol} style={codeStyle}>
+          {`Δ${stock.symbol} = (${[...stock.inflows, ...stock.outflows.map(flow => `− ${flow}`)].join(' ')}) × DT`}
+        </code>
+      ))}
+      <div style={headingStyle}>Random inputs</div>
+      {definition.randomInputs.map(input => <code key={input.symbol} style={codeStyle}>{`${input.symbol} ~ ${input.distribution}`}</code>)}
+      {EQUATION_GROUPS.map(({ group, title }) => (
+        <div key={group}>
+          <div style={headingStyle}>{title}</div>
+          {definition[group].map(v => (
+            <div key={v.symbol} style={{ marginBottom: '0.25rem' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.25rem' }}>
+                <span style={{ color: v.edited ? '#f59e0b' : '#cbd5e1' }}>{v.symbol}{v.edited ? ' (edited)' : ''}</span>
+                {editing !== v.symbol && (
+                  <span style={{ display: 'flex', gap: '0.2rem' }}>
+                    {v.edited && <button onClick={() => reset(v.symbol)} disabled={disabled} title="Restore the paper's equation" style={buttonStyle}>Reset</button>}
+                    <button onClick={() => startEditing(v)} disabled={disabled} style={buttonStyle}>Edit</button>
+                  </span>
+                )}
+              </div>
+              {editing === v.symbol ? (
+                <div>
+                  <textarea value={draft} onChange={(e) => setDraft(e.target.value)} rows={3} spellCheck={false}
+                    style={{ width: '100%', boxSizing: 'border-box', background: '#1e293b', color: '#e2e8f0', border: `1px solid ${draftError ? '#ef4444' : '#4b5563'}`, borderRadius: '4px', fontFamily: 'monospace', fontSize: '0.7rem', padding: '0.2rem' }} />
+                  {draftError && <p style={{ fontSize: '0.65rem', color: '#ef4444', margin: '0.1rem 0' }}>{draftError}</p>}
+                  <div style={{ display: 'flex', gap: '0.2rem', justifyContent: 'flex-end' }}>
+                    <button onClick={() => setEditing(null)} style={buttonStyle}>Cancel</button>
+                    <button onClick={apply} disabled={disabled || !!draftError} style={{ ...buttonStyle, color: draftError ? '#64748b' : '#10b981' }}>Apply</button>
+                  </div>
+                </div>
+              ) : (
+                <code style={codeStyle}>= {v.equation}</code>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+      <div style={headingStyle}>Coefficients</div>
+      {definition.coefficients.map(c => <code key={c.symbol} style={codeStyle}>{`${c.symbol}: ${c.role}`}</code>)}
+      <p style={{ fontSize: '0.65rem', color: '#64748b', marginTop: '0.4rem', lineHeight: 1.4 }}>
+        Names: the symbols above, parameters (Ambition, Skill, Self_regulation, Dynamism), TIME, DT and Final_time.
+        Operators + − * / ^, comparisons, AND, OR, NOT, IF … THEN … ELSE; functions MIN, MAX, EXP, LN, LOG10, ABS, SQRT.
+        Edits apply to the next run.
+      </p>
+    </div>
+  );
+};
+
+// ============================================
+// PLAYBACK CONTROLS
+// ============================================
+// Pause/resume, single steps, a timeline scrubber and speed presets for the
+// animated single run
+const PlaybackControls = ({ trajectory, playhead, isPlaying, speed, onTogglePlay, onSeek, onStep, onSpeedChange }) => {
+  const last = trajectory.length - 1;
+  const buttonStyle = (enabled) => ({
+    background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', borderRadius: '4px', padding: '0.2rem 0.45rem',
+    fontSize: '0.85rem', cursor: enabled ? 'pointer' : 'not-allowed', opacity: enabled ? 1 : 0.4,
+  });
+  return (
+    <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.5rem 0.85rem', border: '1px solid #334155', display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
+      <button onClick={() => onSeek(0)} disabled={playhead === 0} title="Start" style={buttonStyle(playhead > 0)}>⏮</button>
+      <button onClick={() => onStep(-1)} disabled={playhead === 0} title="Step back" style={buttonStyle(playhead > 0)}>◀</button>
+      <button onClick={onTogglePlay} title={isPlaying ? 'Pause' : 'Play'} style={{ ...buttonStyle(true), width: '2.2rem' }}>{isPlaying ? '⏸' : '▶'}</button>
+      <button onClick={() => onStep(1)} disabled={playhead === last} title="Step forward" style={buttonStyle(playhead < last)}>▶|</button>
+      <button onClick={() => onSeek(last)} disabled={playhead === last} title="End" style={buttonStyle(playhead < last)}>⏭</button>
+      <input type="range" min={0} max={last} step={1} value={playhead} onChange={(e) => onSeek(parseInt(e.target.value))}
+        style={{ flex: 1, accentColor: '#8b5cf6' }} aria-label="Timeline" />
+      <span style={{ fontSize: '0.8rem', color: '#94a3b8', minWidth: '6.5rem', textAlign: 'right', fontVariantNumeric: 'tabular-nums' }}>
+        Period {trajectory[playhead].period}/{trajectory[last].period}
+      </span>
+      <select value={speed} onChange={(e) => onSpeedChange(parseFloat(e.target.value))} title="Playback speed"
+        style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.75rem', cursor: 'pointer' }}>
+        {PLAYBACK_SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+      </select>
     </div>
   );
 };
@@ -315,14 +2366,17 @@ const ParameterSlider = ({ label, value, onChange, description, color, min = 0,
 // MAIN APPLICATION
 // ============================================
 export default function EntrepreneurialWellbeingSimulator() {
+  // Scenario shared through the URL (see shareLink.js), read once on load
+  const [linkedScenario] = useState(() => decodeScenarioQuery(window.location.search));
+  
   // Parameters (defaults from paper)
-  const [ambition, setAmbition] = useState(0.5);
-  const [skill, setSkill] = useState(0.5);
-  const [selfRegulation, setSelfRegulation] = useState(0.5);
-  const [dynamism, setDynamism] = useState(0.2);
+  const [ambition, setAmbition] = useState(linkedScenario.params?.ambition ?? 0.5);
+  const [skill, setSkill] = useState(linkedScenario.params?.skill ?? 0.5);
+  const [selfRegulation, setSelfRegulation] = useState(linkedScenario.params?.selfRegulation ?? 0.5);
+  const [dynamism, setDynamism] = useState(linkedScenario.params?.dynamism ?? 0.2);
   
   // Coefficient weights (Var1-Var10, all default to 1)
-  const [coefficients, setCoefficients] = useState({
+  const [coefficients, setCoefficients] = useState(() => ({
     var1: 1,  // Motivation increase
     var2: 1,  // Challenge stressors → Recovery
     var3: 1,  // Hindrance stressors → Recovery
@@ -333,68 +2387,656 @@ export default function EntrepreneurialWellbeingSimulator() {
     var8: 1,  // Effort
     var9: 1,  // Motivation → Well-being
     var10: 1, // Strain → Well-being
-  });
+    ...linkedScenario.coefficients,
+  }));
+  
+  // Scheduled interventions; invalid entries stay editable but are not applied
+  const [interventions, setInterventions] = useState(linkedScenario.interventions ?? []);
+  const [showInterventions, setShowInterventions] = useState(false);
+  const activeInterventions = useMemo(() => normalizeInterventions(interventions), [interventions]);
+  
+  // Absorbing exit rules (venture abandonment); invalid entries are not applied
+  const [exitRules, setExitRules] = useState(linkedScenario.exitRules ?? []);
+  const [showExitRules, setShowExitRules] = useState(false);
+  const activeExitRules = useMemo(() => normalizeExitRules(exitRules), [exitRules]);
   
-  const [trajectory, setTrajectory] = useState([]);
+  // Horizon, integration step and recording interval
+  const [timing, setTiming] = useState(() => resolveTiming(linkedScenario.timing));
+  const [showTiming, setShowTiming] = useState(false);
+  const updateTiming = (key, value) => setTiming(prev => resolveTiming({ ...prev, [key]: value }));
+  const [randomMode, setRandomMode] = useState(linkedScenario.randomMode ?? 'paper');
+  
+  // Edited model equations (symbol → equation); the paper's equations otherwise
+  const [equations, setEquations] = useState(linkedScenario.equations ?? {});
+  const activeEquations = useMemo(() => normalizeEquations(equations), [equations]);
+  
+  // Single-run playback: playhead is the index of the displayed point, revealed the
+  // number of points drawn so far (scrubbing back leaves them drawn)
+  const [fullTrajectory, setFullTrajectory] = useState([]);
   const [isRunning, setIsRunning] = useState(false);
-  const [currentIndex, setCurrentIndex] = useState(0);
+  const [playhead, setPlayhead] = useState(0);
+  const [revealed, setRevealed] = useState(0);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const trajectory = useMemo(() => fullTrajectory.slice(0, revealed), [fullTrajectory, revealed]);
   const [multiRunResults, setMultiRunResults] = useState([]);
+  const [ensemble, setEnsemble] = useState(null);
+  const [distributionStats, setDistributionStats] = useState(null);
+  const [survival, setSurvival] = useState(null);
+  const [pinnedSurvival, setPinnedSurvival] = useState([]);
+  const [fanOutput, setFanOutput] = useState('wellbeing');
+  const [showMeanField, setShowMeanField] = useState(true);
   const [viewMode, setViewMode] = useState('single');
   const [showEquations, setShowEquations] = useState(false);
   const [showAdvanced, setShowAdvanced] = useState(false);
-  const [numSimulations, setNumSimulations] = useState(50);
+  const [numSimulations, setNumSimulations] = useState(
+    RUN_COUNT_OPTIONS.includes(linkedScenario.numRuns) ? linkedScenario.numRuns : 50);
+  
+  // Parameter sweep
+  const [sweepX, setSweepX] = useState({ key: 'ambition', min: 0.1, max: 1, steps: 6 });
+  const [sweepY, setSweepY] = useState({ key: 'selfRegulation', min: 0, max: 1, steps: 6 });
+  const [sweepReplications, setSweepReplications] = useState(20);
+  const [sweepResults, setSweepResults] = useState(null);
+  const [sweepMetric, setSweepMetric] = useState('burnoutRate');
+  
+  // Sensitivity analysis
+  const [sobolSamples, setSobolSamples] = useState(128);
+  const [sensitivityResults, setSensitivityResults] = useState(null);
+  const [sensitivityOutput, setSensitivityOutput] = useState('wellbeing');
+  
+  // Burnout threshold finder
+  const [thresholdFactor, setThresholdFactor] = useState('selfRegulation');
+  const [thresholdLevel, setThresholdLevel] = useState(0.1);
+  const [thresholdResults, setThresholdResults] = useState(null);
+  const [boundaryResults, setBoundaryResults] = useState(null);
   
   // Seed management
-  const [currentSeed, setCurrentSeed] = useState(null);
-  const [lockSeed, setLockSeed] = useState(false);
+  const [currentSeed, setCurrentSeed] = useState(linkedScenario.seed ?? null);
+  const [lockSeed, setLockSeed] = useState(linkedScenario.seed !== undefined);
+  const [linkCopied, setLinkCopied] = useState(false);
+  
+  // Parameters and seed behind the displayed single run / distribution (for export)
+  const [singleRun, setSingleRun] = useState(null);
+  const [distributionRun, setDistributionRun] = useState(null);
+  const [importStatus, setImportStatus] = useState(null);
+  
+  // Counterfactual A/B: baseline is the current sliders, B changes one factor
+  const [abFactor, setAbFactor] = useState('selfRegulation');
+  const [abValue, setAbValue] = useState(0.6);
+  const [abResults, setAbResults] = useState(null);
+  
+  // Scenario library
+  const [scenarios, setScenarios] = useState(loadScenarios);
+  const [selectedScenarioIds, setSelectedScenarioIds] = useState([]);
+  const [comparisonResults, setComparisonResults] = useState(null);
+  const [showScenarios, setShowScenarios] = useState(false);
+  const [scenarioStatus, setScenarioStatus] = useState(null);
+  
+  // Calibration against observed series
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [calibrationData, setCalibrationData] = useState(null);
+  const [calibrationSettings, setCalibrationSettings] = useState({ factors: ['ambition', 'selfRegulation'], objective: 'trajectory', replications: 20, maxIterations: 100 });
+  const [calibrationResults, setCalibrationResults] = useState(null);
+  const [calibrationStatus, setCalibrationStatus] = useState(null);
+  
+  // Heterogeneous cohort: trait distributions or an uploaded table of founders
+  const [showCohort, setShowCohort] = useState(false);
+  const [cohortSpec, setCohortSpec] = useState(() => defaultCohort({ ambition, skill, selfRegulation, dynamism }));
+  const [cohortTable, setCohortTable] = useState(null);
+  const [cohortResults, setCohortResults] = useState(null);
+  const [cohortStatus, setCohortStatus] = useState(null);
+
+  // Early-warning signals of burnout across a batch of full-resolution runs
+  const [showEarlyWarning, setShowEarlyWarning] = useState(false);
+  const [earlyWarningSettings, setEarlyWarningSettings] = useState({ runs: 200, until: 0.5, window: 0.5, bandwidth: 25 });
+  const [earlyWarningResults, setEarlyWarningResults] = useState(null);
+  
+  // Background batch job (distribution, sweep, sensitivity); jobError is the message of
+  // the last job that failed without its own error handling
+  const [jobProgress, setJobProgress] = useState(null);
+  const [jobError, setJobError] = useState(null);
+  const isBusy = isRunning || jobProgress !== null;
   
   const animationRef = useRef(null);
-  const fullTrajectoryRef = useRef([]);
+  const playbackPositionRef = useRef(0);
+  const simulationClientRef = useRef(null);
+  const activeJobRef = useRef(null);
+  const importInputRef = useRef(null);
+  const xmileInputRef = useRef(null);
+
+  useEffect(() => {
+    const client = createSimulationClient();
+    simulationClientRef.current = client;
+    return () => client.terminate();
+  }, []);
+
+  // Submit a job to the simulation worker; onDone receives the result unless cancelled
+  const startJob = (kind, label, payload, { onPartial, onDone, onError }) => {
+    const job = simulationClientRef.current.submit(kind, payload, {
+      onPartial,
+      onProgress: (done, total) => setJobProgress({ label, done, total }),
+    });
+    activeJobRef.current = job;
+    setJobProgress({ label, done: 0, total: 1 });
+    setJobError(null);
+    job.promise
+      .then(({ result, cancelled }) => { if (!cancelled) onDone(result); })
+      .catch(err => (onError ? onError(err) : setJobError(`${label} failed: ${err.message}`)))
+      .finally(() => {
+        if (activeJobRef.current === job) {
+          activeJobRef.current = null;
+          setJobProgress(null);
+        }
+      });
+  };
+
+  const cancelJob = () => {
+    if (activeJobRef.current) activeJobRef.current.cancel();
+  };
+
+  const runAnimatedSimulation = useCallback(() => {
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    const seed = lockSeed && currentSeed !== null ? currentSeed : randomSeed();
+    if (!lockSeed) setCurrentSeed(seed);
+    
+    setFullTrajectory(runSimulation(params, timing, seed));
+    setSingleRun({ params, seed, timing });
+    playbackPositionRef.current = 0;
+    setPlayhead(0);
+    setRevealed(1);
+    setIsRunning(true);
+    setViewMode('single');
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, timing, lockSeed, currentSeed]);
+
+  // Advance the playhead by elapsed time on each animation frame; the fractional
+  // position lives in a ref so slow speeds still move
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const last = fullTrajectory.length - 1;
+    const pointsPerMs = fullTrajectory.length * playbackSpeed / PLAYBACK_DURATION_MS;
+    let previous = null;
+    const frame = (now) => {
+      if (previous !== null) {
+        playbackPositionRef.current = Math.min(last, playbackPositionRef.current + (now - previous) * pointsPerMs);
+        const index = Math.floor(playbackPositionRef.current);
+        setPlayhead(index);
+        setRevealed(prev => Math.max(prev, index + 1));
+        if (index >= last) {
+          setIsRunning(false);
+          return;
+        }
+      }
+      previous = now;
+      animationRef.current = requestAnimationFrame(frame);
+    };
+    animationRef.current = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(animationRef.current);
+  }, [isRunning, playbackSpeed, fullTrajectory]);
+
+  const seek = (index) => {
+    const clamped = Math.max(0, Math.min(fullTrajectory.length - 1, index));
+    playbackPositionRef.current = clamped;
+    setPlayhead(clamped);
+    setRevealed(prev => Math.max(prev, clamped + 1));
+  };
+
+  const stepPlayback = (delta) => {
+    setIsRunning(false);
+    seek(playhead + delta);
+  };
+
+  const togglePlayback = () => {
+    if (isRunning) {
+      setIsRunning(false);
+      return;
+    }
+    if (playhead >= fullTrajectory.length - 1) seek(0);
+    setIsRunning(true);
+  };
+
+  // Distribution runs derive their seeds from one base seed so the batch can be replayed
+  const startDistribution = (run) => {
+    setDistributionRun(run);
+    setMultiRunResults([]);
+    setEnsemble(null);
+    setDistributionStats(null);
+    setSurvival(null);
+    setViewMode('distribution');
+    startJob('distribution', `Running ${run.numRuns} simulations`, run, {
+      onPartial: (results) => setMultiRunResults(prev => prev.concat(results)),
+      onDone: ({ results, ensemble: bands, statistics, survival: exits }) => {
+        setMultiRunResults(results);
+        setEnsemble(bands);
+        setDistributionStats(statistics);
+        setSurvival(exits ?? null);
+      },
+    });
+  };
+
+  const runDistributionAnalysis = useCallback(() => {
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    const seed = lockSeed && currentSeed !== null ? currentSeed : randomSeed();
+    if (!lockSeed) setCurrentSeed(seed);
+    startDistribution({ params, seed, timing, numRuns: numSimulations });
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, timing, numSimulations, lockSeed, currentSeed]);
+
+  const runSweepAnalysis = useCallback(() => {
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    setSweepResults({
+      xKey: sweepX.key, yKey: sweepY.key,
+      xs: gridValues(sweepX.min, sweepX.max, sweepX.steps),
+      ys: gridValues(sweepY.min, sweepY.max, sweepY.steps),
+      replications: sweepReplications,
+      cells: [],
+    });
+    setViewMode('sweep');
+    startJob('sweep', 'Running parameter sweep', { params, xAxis: sweepX, yAxis: sweepY, replications: sweepReplications, timing, seed: currentSeed ?? 1 }, {
+      onPartial: (cells) => setSweepResults(prev => ({ ...prev, cells: prev.cells.concat(cells) })),
+      onDone: setSweepResults,
+    });
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, timing, currentSeed, sweepX, sweepY, sweepReplications]);
+
+  const runSensitivityAnalysis = useCallback(() => {
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    const seed = currentSeed ?? 1;
+    setSensitivityResults(null);
+    setViewMode('sensitivity');
+    startJob('sensitivity', 'Running sensitivity analysis', { params, options: { replications: 20, samples: sobolSamples, finalTime: timing, seed } }, {
+      onDone: setSensitivityResults,
+    });
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, timing, currentSeed, sobolSamples]);
+
+  const runThresholdAnalysis = useCallback(() => {
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    const options = { factor: thresholdFactor, level: thresholdLevel, replications: 100, finalTime: timing, seed: currentSeed ?? 1 };
+    const { min, max } = MODEL_FACTORS.find(f => f.key === thresholdFactor);
+    setThresholdResults({ ...options, range: { min, max }, evaluations: [] });
+    setViewMode('threshold');
+    startJob('threshold', 'Searching for the burnout threshold', { params, options }, {
+      onPartial: (evaluations) => setThresholdResults(prev => ({ ...prev, evaluations: prev.evaluations.concat(evaluations) })),
+      onDone: setThresholdResults,
+    });
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, timing, currentSeed, thresholdFactor, thresholdLevel]);
+
+  const runPhaseBoundaryAnalysis = useCallback(() => {
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    const options = { factor: thresholdFactor, level: thresholdLevel, across: 'ambition', finalTime: timing, seed: currentSeed ?? 1 };
+    setBoundaryResults({ ...options, points: [] });
+    setViewMode('boundary');
+    startJob('phaseBoundary', 'Tracing the phase boundary across ambition', { params, options }, {
+      onPartial: (points) => setBoundaryResults(prev => ({ ...prev, points: prev.points.concat(points) })),
+      onDone: setBoundaryResults,
+    });
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, timing, currentSeed, thresholdFactor, thresholdLevel]);
+
+  const loadObservations = (file) => {
+    file.text().then(text => {
+      const observations = parseObservations(text);
+      setCalibrationData({ fileName: file.name, observations });
+      setCalibrationStatus({ message: `Loaded ${observations.points.length} periods` });
+    }).catch(err => setCalibrationStatus({ error: true, message: `Could not read ${file.name}: ${err.message}` }));
+  };
 
-  const runAnimatedSimulation = useCallback(() => {
-    const params = { ambition, skill, selfRegulation, dynamism, coefficients };
-    const seed = lockSeed && currentSeed ? currentSeed : Math.floor(Math.random() * 1000000);
+  const runCalibration = useCallback(() => {
+    if (!calibrationData) return;
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    const { maxIterations, ...rest } = calibrationSettings;
+    const options = { ...rest, maxIterations, finalTime: timing, seed: currentSeed ?? 1 };
+    setCalibrationResults({ ...options, history: [] });
+    setCalibrationStatus(null);
+    setViewMode('calibration');
+    startJob('calibration', 'Calibrating against observations', { params, observations: calibrationData.observations, options }, {
+      onPartial: (history) => setCalibrationResults(prev => ({ ...prev, history: prev.history.concat(history) })),
+      onDone: setCalibrationResults,
+      onError: (err) => {
+        setCalibrationResults(null);
+        setCalibrationStatus({ error: true, message: `Calibration failed: ${err.message}` });
+      },
+    });
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, timing, currentSeed, calibrationData, calibrationSettings]);
+
+  const applyCalibration = () => {
+    applyParams(calibrationResults.params);
+    setCalibrationStatus({ message: 'Fitted values applied to the sliders' });
+  };
+
+  const loadCohortTable = (file) => {
+    file.text().then(text => {
+      const table = parseCohortTable(text);
+      setCohortTable({ fileName: file.name, ...table });
+      setCohortStatus({ message: `Loaded ${table.individuals.length} founders` });
+    }).catch(err => setCohortStatus({ error: true, message: `Could not read ${file.name}: ${err.message}` }));
+  };
+
+  const runCohort = useCallback(() => {
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    const cohort = cohortTable ? { individuals: cohortTable.individuals } : cohortSpec;
+    setCohortResults({ members: [] });
+    setCohortStatus(null);
+    setViewMode('cohort');
+    startJob('cohort', 'Simulating cohort', { params, cohort, options: { finalTime: timing, seed: currentSeed ?? 1 } }, {
+      onPartial: (members) => setCohortResults(prev => ({ ...prev, members: prev.members.concat(members) })),
+      onDone: setCohortResults,
+      onError: (err) => {
+        setCohortResults(null);
+        setCohortStatus({ error: true, message: `Cohort failed: ${err.message}` });
+      },
+    });
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, timing, currentSeed, cohortSpec, cohortTable]);
+
+  const runEarlyWarning = useCallback(() => {
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    const seed = lockSeed && currentSeed !== null ? currentSeed : randomSeed();
     if (!lockSeed) setCurrentSeed(seed);
-    
-    fullTrajectoryRef.current = runSimulation(params, 500, seed);
-    setTrajectory([]);
-    setCurrentIndex(0);
-    setIsRunning(true);
+    setEarlyWarningResults({ runs: [] });
+    setViewMode('earlyWarning');
+    startJob('earlyWarning', 'Testing early-warning signals', { params, options: { ...earlyWarningSettings, finalTime: timing, seed } }, {
+      onPartial: (runs) => setEarlyWarningResults(prev => ({ ...prev, runs: prev.runs.concat(runs) })),
+      onDone: setEarlyWarningResults,
+    });
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, timing, lockSeed, currentSeed, earlyWarningSettings]);
+
+  // Load a sweep cell's parameter values into the sliders
+  const loadSweepCell = (cell) => {
+    const setters = { ambition: setAmbition, skill: setSkill, selfRegulation: setSelfRegulation, dynamism: setDynamism };
+    [[sweepResults.xKey, cell.x], [sweepResults.yKey, cell.y]].forEach(([key, value]) => {
+      if (setters[key]) setters[key](value);
+      else updateCoefficient(key, value);
+    });
+    setFullTrajectory([]);
+    setPlayhead(0);
+    setRevealed(0);
     setViewMode('single');
-  }, [ambition, skill, selfRegulation, dynamism, coefficients, lockSeed, currentSeed]);
+  };
 
+  // Replay a shared link's run once on load
   useEffect(() => {
-    if (isRunning && currentIndex < fullTrajectoryRef.current.length) {
-      animationRef.current = setTimeout(() => {
-        setTrajectory(prev => [...prev, fullTrajectoryRef.current[currentIndex]]);
-        setCurrentIndex(prev => prev + 1);
-      }, 18);
-    } else if (currentIndex >= fullTrajectoryRef.current.length) {
+    if (linkedScenario.seed === undefined) return;
+    if (linkedScenario.viewMode === 'distribution') runDistributionAnalysis();
+    else runAnimatedSimulation();
+  }, []);
+
+  // Keep the address bar in sync so the current state can be bookmarked
+  useEffect(() => {
+    const query = encodeScenarioQuery({
+      params: { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations },
+      seed: currentSeed, viewMode, numRuns: numSimulations, timing,
+    });
+    window.history.replaceState(null, '', `${window.location.pathname}?${query}`);
+  }, [ambition, skill, selfRegulation, dynamism, coefficients, activeInterventions, activeExitRules, randomMode, activeEquations, currentSeed, viewMode, numSimulations, timing]);
+
+  const copyLink = () => {
+    const link = scenarioLink({
+      params: { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations },
+      seed: currentSeed, viewMode, numRuns: numSimulations, timing,
+    });
+    const confirmCopied = () => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    };
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(link).then(confirmCopied, () => window.prompt('Copy this link:', link));
+    } else {
+      window.prompt('Copy this link:', link);
+    }
+  };
+
+  const exportTrajectory = (format) => {
+    const name = `trajectory-seed-${singleRun.seed}`;
+    if (format === 'csv') downloadFile(`${name}.csv`, toCSV(fullTrajectory), 'text/csv');
+    else downloadJSON(`${name}.json`, createRunRecord('trajectory', singleRun, { trajectory: fullTrajectory }));
+  };
+
+  const exportRunMetadata = () => {
+    downloadJSON(`run-seed-${singleRun.seed}.json`, createRunRecord('metadata', singleRun));
+  };
+
+  // The model at the current settings, with XMILE random builtins
+  const exportModelXmile = () => {
+    const params = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, randomMode, equations: activeEquations };
+    downloadFile('entrepreneurial-wellbeing.xmile', modelToXmile(params, timing), 'application/xml');
+  };
+
+  // This run's draws as graphical functions, so Stella or Vensim replays it exactly
+  const exportRunXmile = () => {
+    downloadFile(`run-seed-${singleRun.seed}.xmile`, modelToXmile(singleRun.params, singleRun.timing, { seed: singleRun.seed }), 'application/xml');
+  };
+
+  const exportDistribution = (format) => {
+    const name = `distribution-${distributionRun.numRuns}-seed-${distributionRun.seed}`;
+    if (format === 'csv') downloadFile(`${name}.csv`, toCSV(multiRunResults), 'text/csv');
+    else downloadJSON(`${name}.json`, createRunRecord('distribution', { ...distributionRun, numRuns: multiRunResults.length }, { results: multiRunResults }));
+  };
+
+  const exportDistributionStats = () => {
+    const rows = distributionStats.rows.map(({ group, label, value, low, high }) => ({ group, statistic: label, value, low, high }));
+    downloadFile(`statistics-${distributionRun.numRuns}-seed-${distributionRun.seed}.csv`, toCSV(rows), 'text/csv');
+  };
+
+  const exportBands = () => {
+    const rows = Object.entries(ensemble.bands).flatMap(([output, bands]) => bands.map(band => ({ output, ...band })));
+    downloadFile(`bands-${distributionRun.numRuns}-seed-${distributionRun.seed}.csv`, toCSV(rows), 'text/csv');
+  };
+
+  // Keep the current survival curve for comparison with later runs
+  const pinSurvival = () => {
+    const { params, numRuns } = distributionRun;
+    const label = `A ${params.ambition} · Sk ${params.skill} · SR ${params.selfRegulation} · D ${params.dynamism} (${numRuns} runs)`;
+    setPinnedSurvival(prev => [...prev, { label, survival }].slice(-SCENARIO_COLORS.length));
+  };
+
+  const exportSurvival = () => {
+    const rows = [
+      ...survival.curve.map(({ time, survival: s, low, high, atRisk, exits }) => ({ series: 'survival', time, value: s, low, high, atRisk, exits })),
+      ...survival.hazard.map(({ start, end, atRisk, exits, hazard }) => ({ series: 'hazard', time: start, end, value: hazard, atRisk, exits })),
+    ];
+    downloadFile(`survival-${distributionRun.numRuns}-seed-${distributionRun.seed}.csv`, toCSV(rows), 'text/csv');
+  };
+
+  const applyParams = (params) => {
+    setAmbition(params.ambition);
+    setSkill(params.skill);
+    setSelfRegulation(params.selfRegulation);
+    setDynamism(params.dynamism);
+    setCoefficients(params.coefficients);
+    setInterventions(params.interventions ?? []);
+    setExitRules(params.exitRules ?? []);
+    setRandomMode(params.randomMode ?? 'paper');
+    setEquations(params.equations ?? {});
+  };
+
+  // Restore parameters and seed from an exported JSON file and replay the run
+  const importRunFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      const record = parseRunRecord(text);
+      applyParams(record.params);
+      setTiming(record.timing);
+      setCurrentSeed(record.seed);
+      setLockSeed(true);
+
+      if (record.kind === 'distribution') {
+        const numRuns = record.numRuns ?? record.results?.length ?? numSimulations;
+        startDistribution({ params: record.params, seed: record.seed, timing: record.timing, numRuns });
+        setImportStatus({ error: false, message: `Replaying ${numRuns} runs from ${file.name}` });
+        return;
+      }
+
+      const replay = runSimulation(record.params, record.timing, record.seed);
+      setFullTrajectory(replay);
+      setSingleRun({ params: record.params, seed: record.seed, timing: record.timing });
+      playbackPositionRef.current = replay.length - 1;
+      setPlayhead(replay.length - 1);
+      setRevealed(replay.length);
       setIsRunning(false);
+      setViewMode('single');
+
+      // Compare only the fields the export carried, so files from before a field was added still match
+      const matches = !record.trajectory || (record.trajectory.length === replay.length
+        && record.trajectory.every((point, i) => Object.keys(point).every(key => point[key] === replay[i][key])));
+      setImportStatus(matches
+        ? { error: false, message: `Loaded ${file.name}` }
+        : { error: true, message: `Replay of ${file.name} differs from its exported trajectory` });
+    }).catch(err => setImportStatus({ error: true, message: err.message }));
+  };
+
+  // Read parameters and timing from an XMILE model; a file exported with a seed also replays its run
+  const importXmileFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      const { params, timing: imported, seed, warnings } = parseXmile(text);
+      const runTiming = { ...timing, ...imported };
+      applyParams(params);
+      setTiming(runTiming);
+      if (seed !== null) {
+        setCurrentSeed(seed);
+        setLockSeed(true);
+        const replay = runSimulation(params, runTiming, seed);
+        setFullTrajectory(replay);
+        setSingleRun({ params, seed, timing: runTiming });
+        playbackPositionRef.current = replay.length - 1;
+        setPlayhead(replay.length - 1);
+        setRevealed(replay.length);
+        setIsRunning(false);
+        setViewMode('single');
+      }
+      setImportStatus(warnings.length > 0
+        ? { error: true, message: `Loaded ${file.name} with warnings: ${warnings.join('; ')}` }
+        : { error: false, message: `Loaded ${file.name}` });
+    }).catch(err => setImportStatus({ error: true, message: err.message }));
+  };
+
+  const abRunSetup = () => {
+    const baseline = { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations };
+    const factor = MODEL_FACTORS.find(f => f.key === abFactor);
+    return {
+      baseline,
+      variant: withParameter(baseline, abFactor, abValue),
+      factorKey: abFactor,
+      factorLabel: factor.label,
+      baselineValue: getParameter(baseline, abFactor),
+      variantValue: abValue,
+      interventions: activeInterventions,
+    };
+  };
+
+  const runABOnce = () => {
+    const setup = abRunSetup();
+    const seed = lockSeed && currentSeed !== null ? currentSeed : randomSeed();
+    if (!lockSeed) setCurrentSeed(seed);
+    setAbResults({
+      ...setup,
+      kind: 'single',
+      seed,
+      baseline: runSimulation(setup.baseline, timing, seed),
+      variant: runSimulation(setup.variant, timing, seed),
+    });
+    setViewMode('ab');
+  };
+
+  const runABDistribution = () => {
+    const setup = abRunSetup();
+    const seed = lockSeed && currentSeed !== null ? currentSeed : randomSeed();
+    if (!lockSeed) setCurrentSeed(seed);
+    const payload = { baseline: setup.baseline, variant: setup.variant, numRuns: numSimulations, timing, seed };
+    setAbResults({ ...setup, kind: 'distribution', seed, results: [] });
+    setViewMode('ab');
+    startJob('paired', `Running ${numSimulations} paired A/B runs`, payload, {
+      onPartial: (results) => setAbResults(prev => ({ ...prev, results: prev.results.concat(results) })),
+      onDone: (results) => setAbResults(prev => ({ ...prev, results })),
+    });
+  };
+
+  useEffect(() => {
+    try {
+      saveScenarios(scenarios);
+    } catch (err) {
+      setScenarioStatus({ error: true, message: err.message });
     }
-    return () => { if (animationRef.current) clearTimeout(animationRef.current); };
-  }, [isRunning, currentIndex]);
+  }, [scenarios]);
 
-  const runDistributionAnalysis = useCallback(() => {
-    const params = { ambition, skill, selfRegulation, dynamism, coefficients };
-    const results = runMultipleSimulations(params, numSimulations, 500);
-    setMultiRunResults(results);
-    setViewMode('distribution');
-  }, [ambition, skill, selfRegulation, dynamism, coefficients, numSimulations]);
+  const saveCurrentScenario = (name) => {
+    const seed = currentSeed ?? randomSeed();
+    setCurrentSeed(seed);
+    const scenario = createScenario(name, { ambition, skill, selfRegulation, dynamism, coefficients, interventions: activeInterventions, exitRules: activeExitRules, randomMode, equations: activeEquations }, seed, timing);
+    setScenarios(prev => [...prev, scenario]);
+    setScenarioStatus({ error: false, message: `Saved "${scenario.name}"` });
+  };
+
+  const loadScenario = (scenario) => {
+    applyParams(scenario.params);
+    setTiming(scenario.timing);
+    setCurrentSeed(scenario.seed);
+    setLockSeed(true);
+    setScenarioStatus({ error: false, message: `Loaded "${scenario.name}"` });
+  };
+
+  const deleteScenario = (id) => {
+    setScenarios(prev => prev.filter(s => s.id !== id));
+    setSelectedScenarioIds(prev => prev.filter(x => x !== id));
+  };
+
+  const toggleScenario = (id) => {
+    setSelectedScenarioIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const compareScenarios = () => {
+    const selected = scenarios.filter(s => selectedScenarioIds.includes(s.id)).slice(0, MAX_COMPARED_SCENARIOS);
+    setComparisonResults(selected.map(scenario => {
+      const scenarioTrajectory = runSimulation(scenario.params, scenario.timing, scenario.seed);
+      const final = scenarioTrajectory[scenarioTrajectory.length - 1];
+      return { scenario, trajectory: scenarioTrajectory, final, outcomeType: classifyOutcome(final) };
+    }));
+    setViewMode('compare');
+  };
+
+  const importScenarioFile = (file) => {
+    file.text()
+      .then(text => {
+        const imported = scenariosFromFile(text);
+        setScenarios(prev => [...prev, ...imported]);
+        setScenarioStatus({ error: false, message: `Imported ${imported.length} scenario${imported.length === 1 ? '' : 's'}` });
+      })
+      .catch(err => setScenarioStatus({ error: true, message: err.message }));
+  };
+
+  const exportScenarioFile = () => {
+    downloadFile('wellbeing-scenarios.json', scenariosToFile(scenarios), 'application/json');
+  };
 
   const skipToEnd = () => {
-    if (fullTrajectoryRef.current.length > 0) {
-      setTrajectory(fullTrajectoryRef.current);
-      setCurrentIndex(fullTrajectoryRef.current.length);
+    if (fullTrajectory.length > 0) {
+      seek(fullTrajectory.length - 1);
       setIsRunning(false);
     }
   };
 
   const reset = () => {
-    setTrajectory([]);
-    setCurrentIndex(0);
+    cancelJob();
+    setFullTrajectory([]);
+    setPlayhead(0);
+    setRevealed(0);
     setIsRunning(false);
     setMultiRunResults([]);
+    setEnsemble(null);
+    setDistributionStats(null);
+    setSurvival(null);
+    setSweepResults(null);
+    setSensitivityResults(null);
+    setThresholdResults(null);
+    setBoundaryResults(null);
+    setCalibrationResults(null);
+    setCohortResults(null);
+    setEarlyWarningResults(null);
+    setJobError(null);
+    setComparisonResults(null);
+    setAbResults(null);
+    setSingleRun(null);
+    setDistributionRun(null);
+    setImportStatus(null);
     setViewMode('single');
     if (!lockSeed) setCurrentSeed(null);
   };
@@ -414,46 +3056,28 @@ export default function EntrepreneurialWellbeingSimulator() {
     setCurrentSeed(Math.floor(Math.random() * 1000000));
   };
 
-  const currentState = trajectory.length > 0 ? trajectory[trajectory.length - 1] : null;
-  const finalState = trajectory.length > 0 ? trajectory[trajectory.length - 1] : null;
+  // State at the playhead, which the diagram, metrics and outcome follow when scrubbing
+  const currentState = revealed > 0 ? fullTrajectory[playhead] : null;
 
   // Outcome interpretation
   const getOutcomeInterpretation = () => {
-    if (!finalState) return null;
-    const p = finalState.performance;
-    const wb = finalState.wellbeing;
-    
-    if (p < 2 && wb < -20) {
-      return { type: 'burnout', color: '#ef4444', bg: 'rgba(239, 68, 68, 0.1)',
-        title: 'Burnout & Venture Abandonment',
-        text: 'Strain overwhelmed motivation. The entrepreneur entered burnout territory and the venture stalled.' };
-    }
-    if (p < 5 && wb < -10) {
-      return { type: 'struggling', color: '#f59e0b', bg: 'rgba(245, 158, 11, 0.1)',
-        title: 'Struggling & At Risk',
-        text: 'Well-being is deteriorating. Without improving self-regulation or adjusting ambition, burnout risk is high.' };
-    }
-    if (p < 5 && wb > 10) {
-      return { type: 'resilient', color: '#06b6d4', bg: 'rgba(6, 182, 212, 0.1)',
-        title: 'Resilient but Limited Progress',
-        text: 'Strong self-regulation maintained well-being despite limited performance. May need to develop skill.' };
-    }
-    if (p > 20 && wb > 30) {
-      return { type: 'thriving', color: '#10b981', bg: 'rgba(16, 185, 129, 0.1)',
-        title: 'Thriving Entrepreneur',
-        text: 'Excellent alignment of ambition, skill, and self-regulation. Both venture and well-being flourishing.' };
-    }
-    if (p > 15 && wb < 0) {
-      return { type: 'strained', color: '#8b5cf6', bg: 'rgba(139, 92, 246, 0.1)',
-        title: 'Successful but Strained',
-        text: 'Performance achieved at personal cost. Negative well-being suggests sustainability concerns.' };
-    }
-    return { type: 'moderate', color: '#3b82f6', bg: 'rgba(59, 130, 246, 0.1)',
-      title: 'Steady Progress',
-      text: 'The venture is developing with stable well-being. Explore parameter changes to improve outcomes.' };
+    if (!currentState) return null;
+    return OUTCOMES[classifyOutcome(currentState)];
   };
 
   const outcome = getOutcomeInterpretation();
+  const runExit = exitOf(trajectory);
+
+  // Deterministic reference runs of the shown single run and ensemble
+  const singleMeanField = useMemo(() => (showMeanField && singleRun ? runMeanField(singleRun.params, singleRun.timing) : null),
+    [showMeanField, singleRun]);
+  const ensembleMeanField = useMemo(() => (showMeanField && ensemble && distributionRun ? runMeanField(distributionRun.params, distributionRun.timing) : null),
+    [showMeanField, ensemble, distributionRun]);
+
+  // Large batches are thinned for the scatter plot; statistics use every run
+  const distributionSummary = summarizeRuns(multiRunResults);
+  const scatterStride = Math.ceil(multiRunResults.length / MAX_SCATTER_POINTS);
+  const scatterPoints = scatterStride > 1 ? multiRunResults.filter((_, i) => i % scatterStride === 0) : multiRunResults;
 
   return (
     <div style={{ minHeight: '100vh', background: 'linear-gradient(145deg, #0c1222 0%, #1a2744 50%, #0f172a 100%)', color: '#e2e8f0', fontFamily: "'IBM Plex Sans', -apple-system, sans-serif", padding: '1rem' }}>
@@ -500,24 +3124,49 @@ export default function EntrepreneurialWellbeingSimulator() {
             </div>
             <div style={{ display: 'flex', gap: '0.3rem', alignItems: 'center' }}>
               <code style={{ flex: 1, fontSize: '0.8rem', color: '#8b5cf6', background: '#1e293b', padding: '0.2rem 0.35rem', borderRadius: '3px' }}>
-                {currentSeed || '—'}
+                {currentSeed ?? '—'}
               </code>
               <button onClick={generateNewSeed} 
                 style={{ fontSize: '0.75rem', padding: '0.2rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: '#94a3b8', cursor: 'pointer' }}>
                 New
               </button>
+              <button onClick={copyLink} title="Copy a link that replays this run"
+                style={{ fontSize: '0.75rem', padding: '0.2rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: linkCopied ? '#10b981' : '#94a3b8', cursor: 'pointer' }}>
+                {linkCopied ? 'Copied' : 'Copy link'}
+              </button>
             </div>
             <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.25rem' }}>
               Lock to replay identical market conditions
             </p>
+            <button onClick={() => importInputRef.current.click()} disabled={isBusy}
+              style={{ width: '100%', marginTop: '0.3rem', fontSize: '0.75rem', padding: '0.2rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: '#94a3b8', cursor: isBusy ? 'not-allowed' : 'pointer' }}>
+              Import run (JSON)…
+            </button>
+            <input ref={importInputRef} type="file" accept=".json,application/json" onChange={importRunFile} style={{ display: 'none' }} />
+            <div style={{ display: 'flex', gap: '0.3rem', marginTop: '0.3rem' }}>
+              <button onClick={() => xmileInputRef.current.click()} disabled={isBusy} title="Load parameters from a Stella/Vensim XMILE model"
+                style={{ flex: 1, fontSize: '0.75rem', padding: '0.2rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: '#94a3b8', cursor: isBusy ? 'not-allowed' : 'pointer' }}>
+                Import XMILE…
+              </button>
+              <button onClick={exportModelXmile} title="Download the model at these settings for Stella or Vensim"
+                style={{ flex: 1, fontSize: '0.75rem', padding: '0.2rem 0.35rem', background: '#374151', border: 'none', borderRadius: '3px', color: '#94a3b8', cursor: 'pointer' }}>
+                Export XMILE
+              </button>
+            </div>
+            <input ref={xmileInputRef} type="file" accept=".xmile,.stmx,.xml" onChange={importXmileFile} style={{ display: 'none' }} />
+            {importStatus && (
+              <p style={{ fontSize: '0.7rem', color: importStatus.error ? '#ef4444' : '#10b981', marginTop: '0.25rem' }}>
+                {importStatus.message}
+              </p>
+            )}
           </div>
 
           {/* Control buttons */}
           <div style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', marginTop: '0.6rem' }}>
             <div style={{ fontSize: '0.75rem', color: '#64748b', marginBottom: '0.1rem' }}>Single trajectory (animated)</div>
-            <button onClick={runAnimatedSimulation} disabled={isRunning}
-              style={{ background: ambition === 0 ? '#374151' : 'linear-gradient(135deg, #8b5cf6, #6366f1)', color: 'white', border: 'none', padding: '0.55rem', borderRadius: '6px', fontWeight: 600, cursor: isRunning || ambition === 0 ? 'not-allowed' : 'pointer', opacity: isRunning ? 0.7 : 1, fontSize: '1.1rem' }}>
-              {ambition === 0 ? 'Set Ambition > 0' : isRunning ? `Period ${currentIndex * 5}/500` : '▶ Run Once'}
+            <button onClick={runAnimatedSimulation} disabled={isBusy}
+              style={{ background: ambition === 0 ? '#374151' : 'linear-gradient(135deg, #8b5cf6, #6366f1)', color: 'white', border: 'none', padding: '0.55rem', borderRadius: '6px', fontWeight: 600, cursor: isBusy || ambition === 0 ? 'not-allowed' : 'pointer', opacity: isBusy ? 0.7 : 1, fontSize: '1.1rem' }}>
+              {ambition === 0 ? 'Set Ambition > 0' : isRunning ? `Period ${currentState?.period ?? 0}/${timing.finalTime}` : '▶ Run Once'}
             </button>
             {isRunning && (
               <button onClick={skipToEnd} style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.35rem', borderRadius: '5px', cursor: 'pointer', fontSize: '1.05rem' }}>
@@ -527,23 +3176,122 @@ export default function EntrepreneurialWellbeingSimulator() {
             
             <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.3rem', marginBottom: '0.1rem' }}>Distribution analysis</div>
             <div style={{ display: 'flex', gap: '0.3rem', alignItems: 'center' }}>
-              <button onClick={runDistributionAnalysis} disabled={isRunning || ambition === 0}
-                style={{ flex: 1, background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.35rem', borderRadius: '5px', cursor: isRunning || ambition === 0 ? 'not-allowed' : 'pointer', fontSize: '1.05rem', opacity: isRunning || ambition === 0 ? 0.5 : 1 }}>
+              <button onClick={runDistributionAnalysis} disabled={isBusy || ambition === 0}
+                style={{ flex: 1, background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.35rem', borderRadius: '5px', cursor: isBusy || ambition === 0 ? 'not-allowed' : 'pointer', fontSize: '1.05rem', opacity: isBusy || ambition === 0 ? 0.5 : 1 }}>
                 ◆ Run {numSimulations}×
               </button>
               <select 
                 value={numSimulations} 
                 onChange={(e) => setNumSimulations(parseInt(e.target.value))}
                 style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.3rem', borderRadius: '5px', fontSize: '0.85rem', cursor: 'pointer' }}>
+                {RUN_COUNT_OPTIONS.map(n => <option key={n} value={n}>{n.toLocaleString('en-US')}</option>)}
+              </select>
+            </div>
+            <p style={{ fontSize: '0.7rem', color: '#64748b', margin: '0', lineHeight: 1.3 }}>
+              Same parameters, different random draws — see the range of possible outcomes
+            </p>
+
+            <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.3rem', marginBottom: '0.1rem' }}>Counterfactual A/B</div>
+            <div style={{ display: 'flex', gap: '0.2rem', alignItems: 'center' }}>
+              <span style={{ fontSize: '0.7rem', color: '#94a3b8' }}>B:</span>
+              <select value={abFactor} onChange={(e) => setAbFactor(e.target.value)}
+                style={{ flex: 1, minWidth: 0, background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.7rem' }}>
+                {MODEL_FACTORS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+              <span style={{ fontSize: '0.7rem', color: '#94a3b8' }}>=</span>
+              <input type="number" min={0} max={1} step={0.1} value={abValue}
+                onChange={(e) => setAbValue(parseFloat(e.target.value) || 0)}
+                style={{ width: '3rem', background: '#1e293b', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.7rem' }} />
+            </div>
+            <div style={{ display: 'flex', gap: '0.3rem' }}>
+              {[['⇄ A/B once', runABOnce], [`⇄ A/B ${numSimulations}×`, runABDistribution]].map(([label, onClick]) => (
+                <button key={label} onClick={onClick} disabled={isBusy || ambition === 0}
+                  style={{ flex: 1, background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.35rem', borderRadius: '5px', cursor: isBusy || ambition === 0 ? 'not-allowed' : 'pointer', fontSize: '0.9rem', opacity: isBusy || ambition === 0 ? 0.5 : 1 }}>
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p style={{ fontSize: '0.7rem', color: '#64748b', margin: '0', lineHeight: 1.3 }}>
+              Current sliders (A) vs one changed factor (B) on the same seed
+            </p>
+
+            <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.3rem', marginBottom: '0.1rem' }}>Parameter sweep</div>
+            {[['X', sweepX, setSweepX], ['Y', sweepY, setSweepY]].map(([axis, spec, setSpec]) => (
+              <div key={axis} style={{ display: 'flex', gap: '0.2rem', alignItems: 'center' }}>
+                <span style={{ fontSize: '0.7rem', color: '#94a3b8', width: '12px' }}>{axis}</span>
+                <select value={spec.key} onChange={(e) => setSpec({ ...spec, key: e.target.value })}
+                  style={{ flex: 1, minWidth: 0, background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.7rem' }}>
+                  {MODEL_FACTORS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+                </select>
+                {['min', 'max', 'steps'].map(field => (
+                  <input key={field} type="number" title={field} value={spec[field]}
+                    min={field === 'steps' ? 1 : 0} max={field === 'steps' ? 20 : 1} step={field === 'steps' ? 1 : 0.1}
+                    onChange={(e) => setSpec({ ...spec, [field]: field === 'steps' ? parseInt(e.target.value) || 1 : parseFloat(e.target.value) || 0 })}
+                    style={{ width: '2.6rem', background: '#1e293b', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.7rem' }} />
+                ))}
+              </div>
+            ))}
+            <div style={{ display: 'flex', gap: '0.3rem', alignItems: 'center' }}>
+              <button onClick={runSweepAnalysis} disabled={isBusy || sweepX.key === sweepY.key}
+                style={{ flex: 1, background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.35rem', borderRadius: '5px', cursor: isBusy || sweepX.key === sweepY.key ? 'not-allowed' : 'pointer', fontSize: '1.05rem', opacity: isBusy || sweepX.key === sweepY.key ? 0.5 : 1 }}>
+                ▦ Run Sweep
+              </button>
+              <select 
+                value={sweepReplications} 
+                onChange={(e) => setSweepReplications(parseInt(e.target.value))}
+                title="Replications per cell"
+                style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.3rem', borderRadius: '5px', fontSize: '0.85rem', cursor: 'pointer' }}>
                 <option value={10}>10</option>
-                <option value={25}>25</option>
+                <option value={20}>20</option>
                 <option value={50}>50</option>
-                <option value={100}>100</option>
-                <option value={200}>200</option>
               </select>
             </div>
             <p style={{ fontSize: '0.7rem', color: '#64748b', margin: '0', lineHeight: 1.3 }}>
-              Same parameters, different random draws — see the range of possible outcomes
+              Grid over two parameters (min, max, steps) with replicated runs per cell
+            </p>
+
+            <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.3rem', marginBottom: '0.1rem' }}>Sensitivity analysis</div>
+            <div style={{ display: 'flex', gap: '0.3rem', alignItems: 'center' }}>
+              <button onClick={runSensitivityAnalysis} disabled={isBusy || ambition === 0}
+                style={{ flex: 1, background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.35rem', borderRadius: '5px', cursor: isBusy || ambition === 0 ? 'not-allowed' : 'pointer', fontSize: '1.05rem', opacity: isBusy || ambition === 0 ? 0.5 : 1 }}>
+                ≋ Sensitivity
+              </button>
+              <select 
+                value={sobolSamples} 
+                onChange={(e) => setSobolSamples(parseInt(e.target.value))}
+                title="Sobol base samples"
+                style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.3rem', borderRadius: '5px', fontSize: '0.85rem', cursor: 'pointer' }}>
+                <option value={64}>64</option>
+                <option value={128}>128</option>
+                <option value={256}>256</option>
+              </select>
+            </div>
+            <p style={{ fontSize: '0.7rem', color: '#64748b', margin: '0', lineHeight: 1.3 }}>
+              Elasticities around current values and Sobol indices across all Var coefficients and parameters
+            </p>
+
+            <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.3rem', marginBottom: '0.1rem' }}>Burnout threshold</div>
+            <div style={{ display: 'flex', gap: '0.2rem', alignItems: 'center' }}>
+              <select value={thresholdFactor} onChange={(e) => setThresholdFactor(e.target.value)}
+                style={{ flex: 1, minWidth: 0, background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.7rem' }}>
+                {MODEL_FACTORS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+              <span style={{ fontSize: '0.7rem', color: '#94a3b8' }}>at</span>
+              <select value={thresholdLevel} onChange={(e) => setThresholdLevel(parseFloat(e.target.value))} title="Burnout probability level"
+                style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.15rem', borderRadius: '4px', fontSize: '0.7rem' }}>
+                {THRESHOLD_LEVELS.map(level => <option key={level} value={level}>{percent(level)}</option>)}
+              </select>
+            </div>
+            <div style={{ display: 'flex', gap: '0.3rem' }}>
+              {[['⌖ Find threshold', runThresholdAnalysis, false], ['⌇ Trace vs ambition', runPhaseBoundaryAnalysis, thresholdFactor === 'ambition']].map(([label, onClick, unavailable]) => (
+                <button key={label} onClick={onClick} disabled={isBusy || unavailable}
+                  style={{ flex: 1, background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.35rem', borderRadius: '5px', cursor: isBusy || unavailable ? 'not-allowed' : 'pointer', fontSize: '0.9rem', opacity: isBusy || unavailable ? 0.5 : 1 }}>
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p style={{ fontSize: '0.7rem', color: '#64748b', margin: '0', lineHeight: 1.3 }}>
+              Bisection over replicated runs for the value where burnout probability (well-being &lt; −20) crosses the level
             </p>
             
             <button onClick={reset} style={{ background: 'transparent', color: '#64748b', border: 'none', padding: '0.2rem', cursor: 'pointer', fontSize: '0.85rem', marginTop: '0.2rem' }}>
@@ -551,6 +3299,72 @@ export default function EntrepreneurialWellbeingSimulator() {
             </button>
           </div>
 
+          {/* Advanced Settings - Time */}
+          <div style={{ marginTop: '0.6rem', border: '1px solid #334155', borderRadius: '6px', overflow: 'hidden' }}>
+            <button onClick={() => setShowTiming(!showTiming)}
+              style={{ width: '100%', padding: '0.45rem 0.5rem', background: 'rgba(15, 23, 42, 0.5)', border: 'none', color: '#94a3b8', fontSize: '0.85rem', cursor: 'pointer', textAlign: 'left', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>{showTiming ? '▼' : '▶'} Advanced: Time & Randomness</span>
+              {(Object.keys(DEFAULT_TIMING).some(key => timing[key] !== DEFAULT_TIMING[key]) || randomMode !== 'paper') && (
+                <span style={{ background: '#f59e0b', color: '#000', fontSize: '0.7rem', padding: '1px 4px', borderRadius: '3px', fontWeight: 600 }}>Modified</span>
+              )}
+            </button>
+            {showTiming && (
+              <div style={{ padding: '0.5rem', background: 'rgba(15, 23, 42, 0.3)', display: 'flex', flexDirection: 'column', gap: '0.35rem' }}>
+                <p style={{ fontSize: '0.75rem', color: '#64748b', lineHeight: 1.3 }}>
+                  Paper setup: 500 periods, dt = 1, recorded every 5 periods, one Euler step. Flows are scaled by dt, so smaller steps should give the same picture.
+                </p>
+                <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.75rem', color: '#94a3b8' }}>
+                  Final time (periods)
+                  <input type="number" min="10" max={MAX_FINAL_TIME} step="10" value={timing.finalTime}
+                    onChange={(e) => updateTiming('finalTime', Math.min(MAX_FINAL_TIME, parseFloat(e.target.value)))}
+                    style={{ width: '70px', padding: '0.15rem 0.3rem', background: '#1e293b', color: '#e2e8f0', border: '1px solid #475569', borderRadius: '4px', fontSize: '0.75rem' }} />
+                </label>
+                <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.75rem', color: '#94a3b8' }}>
+                  Time step (dt)
+                  <select value={timing.dt} onChange={(e) => updateTiming('dt', parseFloat(e.target.value))}
+                    style={{ padding: '0.15rem 0.3rem', background: '#1e293b', color: '#e2e8f0', border: '1px solid #475569', borderRadius: '4px', fontSize: '0.75rem' }}>
+                    {DT_OPTIONS.map(dt => <option key={dt} value={dt}>{dt}</option>)}
+                  </select>
+                </label>
+                <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.75rem', color: '#94a3b8' }}>
+                  Integrator
+                  <select value={timing.method} onChange={(e) => updateTiming('method', e.target.value)}
+                    style={{ padding: '0.15rem 0.3rem', background: '#1e293b', color: '#e2e8f0', border: '1px solid #475569', borderRadius: '4px', fontSize: '0.75rem' }}>
+                    {INTEGRATION_METHODS.map(method => <option key={method} value={method}>{INTEGRATION_METHOD_LABELS[method]}</option>)}
+                  </select>
+                </label>
+                <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.75rem', color: '#94a3b8' }}>
+                  Sub-steps per dt
+                  <select value={timing.substeps} onChange={(e) => updateTiming('substeps', parseInt(e.target.value, 10))}
+                    style={{ padding: '0.15rem 0.3rem', background: '#1e293b', color: '#e2e8f0', border: '1px solid #475569', borderRadius: '4px', fontSize: '0.75rem' }}>
+                    {SUBSTEP_OPTIONS.map(n => <option key={n} value={n}>{n} (h = {+(timing.dt / n).toFixed(4)})</option>)}
+                  </select>
+                </label>
+                <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.75rem', color: '#94a3b8' }}>
+                  Record
+                  <select value={timing.recordEvery} onChange={(e) => updateTiming('recordEvery', parseFloat(e.target.value))}
+                    style={{ padding: '0.15rem 0.3rem', background: '#1e293b', color: '#e2e8f0', border: '1px solid #475569', borderRadius: '4px', fontSize: '0.75rem' }}>
+                    {RECORD_EVERY_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+                  </select>
+                </label>
+                <label style={{ display: 'flex', flexDirection: 'column', gap: '0.2rem', fontSize: '0.75rem', color: '#94a3b8' }}>
+                  Random streams
+                  <select value={randomMode} onChange={(e) => setRandomMode(e.target.value)}
+                    style={{ padding: '0.15rem 0.3rem', background: '#1e293b', color: '#e2e8f0', border: '1px solid #475569', borderRadius: '4px', fontSize: '0.75rem' }}>
+                    {RANDOM_MODES.map(mode => <option key={mode} value={mode}>{RANDOM_MODE_LABELS[mode]}</option>)}
+                  </select>
+                </label>
+                <p style={{ fontSize: '0.7rem', color: '#64748b', lineHeight: 1.3 }}>
+                  Save one scenario per mode and compare them to see how much results depend on the sampling choices.
+                </p>
+                <button onClick={() => { setTiming(DEFAULT_TIMING); setRandomMode('paper'); }}
+                  style={{ width: '100%', padding: '0.3rem', background: '#374151', border: 'none', borderRadius: '4px', color: '#94a3b8', fontSize: '0.75rem', cursor: 'pointer', marginTop: '0.2rem' }}>
+                  Reset to paper setup
+                </button>
+              </div>
+            )}
+          </div>
+
           {/* Advanced Settings - Coefficient Weights */}
           <div style={{ marginTop: '0.6rem', border: '1px solid #334155', borderRadius: '6px', overflow: 'hidden' }}>
             <button onClick={() => setShowAdvanced(!showAdvanced)}
@@ -667,27 +3481,160 @@ export default function EntrepreneurialWellbeingSimulator() {
               </div>
             )}
           </div>
+
+          {/* Interventions */}
+          <div style={{ marginTop: '0.6rem', border: '1px solid #334155', borderRadius: '6px', overflow: 'hidden' }}>
+            <button onClick={() => setShowInterventions(!showInterventions)}
+              style={{ width: '100%', padding: '0.45rem 0.5rem', background: 'rgba(15, 23, 42, 0.5)', border: 'none', color: '#94a3b8', fontSize: '0.85rem', cursor: 'pointer', textAlign: 'left', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>{showInterventions ? '▼' : '▶'} Interventions & Shocks</span>
+              {activeInterventions.length > 0 && (
+                <span style={{ background: '#f59e0b', color: '#000', fontSize: '0.7rem', padding: '1px 4px', borderRadius: '3px', fontWeight: 600 }}>{activeInterventions.length}</span>
+              )}
+            </button>
+            {showInterventions && (
+              <InterventionEditor interventions={interventions} onChange={setInterventions} />
+            )}
+          </div>
+
+          {/* Exit rules */}
+          <div style={{ marginTop: '0.6rem', border: '1px solid #334155', borderRadius: '6px', overflow: 'hidden' }}>
+            <button onClick={() => setShowExitRules(!showExitRules)}
+              style={{ width: '100%', padding: '0.45rem 0.5rem', background: 'rgba(15, 23, 42, 0.5)', border: 'none', color: '#94a3b8', fontSize: '0.85rem', cursor: 'pointer', textAlign: 'left', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>{showExitRules ? '▼' : '▶'} Venture Exit</span>
+              {activeExitRules.length > 0 && (
+                <span style={{ background: '#ef4444', color: '#000', fontSize: '0.7rem', padding: '1px 4px', borderRadius: '3px', fontWeight: 600 }}>{activeExitRules.length}</span>
+              )}
+            </button>
+            {showExitRules && (
+              <ExitRulesEditor exitRules={exitRules} onChange={setExitRules} />
+            )}
+          </div>
+
+          {/* Scenario library */}
+          <div style={{ marginTop: '0.6rem', border: '1px solid #334155', borderRadius: '6px', overflow: 'hidden' }}>
+            <button onClick={() => setShowScenarios(!showScenarios)}
+              style={{ width: '100%', padding: '0.45rem 0.5rem', background: 'rgba(15, 23, 42, 0.5)', border: 'none', color: '#94a3b8', fontSize: '0.85rem', cursor: 'pointer', textAlign: 'left', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>{showScenarios ? '▼' : '▶'} Scenarios</span>
+              {scenarios.length > 0 && (
+                <span style={{ fontSize: '0.7rem', color: '#64748b' }}>{scenarios.length} saved</span>
+              )}
+            </button>
+            {showScenarios && (
+              <ScenarioPanel scenarios={scenarios} selectedIds={selectedScenarioIds} onToggle={toggleScenario}
+                onSave={saveCurrentScenario} onLoad={loadScenario} onDelete={deleteScenario} onCompare={compareScenarios}
+                onImport={importScenarioFile} onExport={exportScenarioFile} status={scenarioStatus} disabled={isBusy} />
+            )}
+          </div>
+
+          {/* Calibration */}
+          <div style={{ marginTop: '0.6rem', border: '1px solid #334155', borderRadius: '6px', overflow: 'hidden' }}>
+            <button onClick={() => setShowCalibration(!showCalibration)}
+              style={{ width: '100%', padding: '0.45rem 0.5rem', background: 'rgba(15, 23, 42, 0.5)', border: 'none', color: '#94a3b8', fontSize: '0.85rem', cursor: 'pointer', textAlign: 'left', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>{showCalibration ? '▼' : '▶'} Calibration</span>
+              {calibrationData && (
+                <span style={{ fontSize: '0.7rem', color: '#64748b' }}>{calibrationData.observations.points.length} periods</span>
+              )}
+            </button>
+            {showCalibration && (
+              <CalibrationPanel data={calibrationData} settings={calibrationSettings} onSettingsChange={setCalibrationSettings}
+                onLoadFile={loadObservations} onFit={runCalibration} status={calibrationStatus} disabled={isBusy} />
+            )}
+          </div>
+
+          {/* Cohort */}
+          <div style={{ marginTop: '0.6rem', border: '1px solid #334155', borderRadius: '6px', overflow: 'hidden' }}>
+            <button onClick={() => setShowCohort(!showCohort)}
+              style={{ width: '100%', padding: '0.45rem 0.5rem', background: 'rgba(15, 23, 42, 0.5)', border: 'none', color: '#94a3b8', fontSize: '0.85rem', cursor: 'pointer', textAlign: 'left', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>{showCohort ? '▼' : '▶'} Cohort</span>
+              <span style={{ fontSize: '0.7rem', color: '#64748b' }}>
+                {cohortTable ? `${cohortTable.individuals.length} from file` : `${cohortSpec.size} founders`}
+              </span>
+            </button>
+            {showCohort && (
+              <CohortPanel spec={cohortSpec} onSpecChange={setCohortSpec} table={cohortTable} onLoadTable={loadCohortTable}
+                onClearTable={() => setCohortTable(null)} current={{ ambition, skill, selfRegulation, dynamism }}
+                onRun={runCohort} status={cohortStatus} disabled={isBusy} />
+            )}
+          </div>
+
+          {/* Early-warning signals */}
+          <div style={{ marginTop: '0.6rem', border: '1px solid #334155', borderRadius: '6px', overflow: 'hidden' }}>
+            <button onClick={() => setShowEarlyWarning(!showEarlyWarning)}
+              style={{ width: '100%', padding: '0.45rem 0.5rem', background: 'rgba(15, 23, 42, 0.5)', border: 'none', color: '#94a3b8', fontSize: '0.85rem', cursor: 'pointer', textAlign: 'left', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>{showEarlyWarning ? '▼' : '▶'} Early-warning signals</span>
+              <span style={{ fontSize: '0.7rem', color: '#64748b' }}>{earlyWarningSettings.runs} runs</span>
+            </button>
+            {showEarlyWarning && (
+              <EarlyWarningPanel settings={earlyWarningSettings} onSettingsChange={setEarlyWarningSettings}
+                onRun={runEarlyWarning} disabled={isBusy} />
+            )}
+          </div>
         </aside>
 
         {/* Center: Visualizations */}
         <main style={{ display: 'flex', flexDirection: 'column', gap: '0.6rem' }}>
-          {viewMode === 'single' ? (
+          {jobProgress && (
+            <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.6rem 0.85rem', border: '1px solid #334155', display: 'flex', alignItems: 'center', gap: '0.6rem' }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', color: '#94a3b8', marginBottom: '0.3rem' }}>
+                  <span>{jobProgress.label}…</span>
+                  <span>{((jobProgress.done / jobProgress.total) * 100).toFixed(0)}%</span>
+                </div>
+                <div style={{ height: '6px', background: '#1e293b', borderRadius: '3px', overflow: 'hidden' }}>
+                  <div style={{ width: `${(jobProgress.done / jobProgress.total) * 100}%`, height: '100%', background: 'linear-gradient(90deg, #8b5cf6, #6366f1)' }} />
+                </div>
+              </div>
+              <button onClick={cancelJob}
+                style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.3rem 0.6rem', borderRadius: '5px', cursor: 'pointer', fontSize: '0.85rem' }}>
+                Cancel
+              </button>
+            </div>
+          )}
+          {jobError && !jobProgress && (
+            <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.6rem 0.85rem', border: '1px solid rgba(239, 68, 68, 0.4)', display: 'flex', alignItems: 'center', gap: '0.6rem' }}>
+              <span style={{ flex: 1, fontSize: '0.8rem', color: '#ef4444' }}>{jobError}</span>
+              <button onClick={() => setJobError(null)}
+                style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.3rem 0.6rem', borderRadius: '5px', cursor: 'pointer', fontSize: '0.85rem' }}>
+                Dismiss
+              </button>
+            </div>
+          )}
+
+          {viewMode === 'single' && (
             <>
+              {fullTrajectory.length > 0 && (
+                <PlaybackControls trajectory={fullTrajectory} playhead={playhead} isPlaying={isRunning} speed={playbackSpeed}
+                  onTogglePlay={togglePlayback} onSeek={(index) => { setIsRunning(false); seek(index); }} onStep={stepPlayback}
+                  onSpeedChange={setPlaybackSpeed} />
+              )}
+
               {/* Performance & Well-being Chart */}
               <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' }}>
-                <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 }}>
-                  Performance & Well-being
-                </h3>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '0.4rem' }}>
+                  <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', fontWeight: 500 }}>
+                    Performance & Well-being
+                  </h3>
+                  <label style={{ fontSize: '0.75rem', color: '#94a3b8', cursor: 'pointer' }}
+                    title="Dotted: the same model with every random input at its expected value">
+                    <input type="checkbox" checked={showMeanField} onChange={(e) => setShowMeanField(e.target.checked)} style={{ marginRight: '0.3rem', accentColor: '#8b5cf6' }} />
+                    Mean-field baseline
+                  </label>
+                </div>
                 <ResponsiveContainer width="100%" height={165}>
                   <LineChart data={trajectory}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                    <XAxis dataKey="period" stroke="#64748b" tick={{ fontSize: 11 }} />
+                    <XAxis dataKey="period" type="number" domain={[0, singleRun?.timing.finalTime ?? timing.finalTime]} stroke="#64748b" tick={{ fontSize: 11 }} />
                     <YAxis stroke="#64748b" tick={{ fontSize: 11 }} />
                     <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' }} />
                     <Legend wrapperStyle={{ fontSize: '0.8rem' }} />
+                    {interventionAreas(singleRun?.params.interventions ?? [], singleRun?.timing.finalTime ?? timing.finalTime)}
+                    {runExit && <ReferenceLine x={runExit.time} stroke="#ef4444" strokeWidth={1.5} label={{ value: 'Exit', position: 'insideTopRight', fill: '#ef4444', fontSize: 9 }} />}
+                    {playhead < revealed - 1 && <ReferenceLine x={currentState.period} stroke="#e2e8f0" strokeOpacity={0.6} />}
                     <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="4 4" strokeOpacity={0.5} />
                     <Line type="monotone" dataKey="performance" stroke="#8b5cf6" strokeWidth={2} dot={false} name="Performance" />
                     <Line type="monotone" dataKey="wellbeing" stroke="#10b981" strokeWidth={2} dot={false} name="Well-being" />
+                    {singleMeanField && <Line data={singleMeanField} dataKey="performance" stroke="#8b5cf6" {...MEAN_FIELD_LINE} legendType="none" name="Performance (mean field)" />}
+                    {singleMeanField && <Line data={singleMeanField} dataKey="wellbeing" stroke="#10b981" {...MEAN_FIELD_LINE} legendType="none" name="Well-being (mean field)" />}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
@@ -700,25 +3647,37 @@ export default function EntrepreneurialWellbeingSimulator() {
                 <ResponsiveContainer width="100%" height={140}>
                   <LineChart data={trajectory}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                    <XAxis dataKey="period" stroke="#64748b" tick={{ fontSize: 11 }} />
+                    <XAxis dataKey="period" type="number" domain={[0, singleRun?.timing.finalTime ?? timing.finalTime]} stroke="#64748b" tick={{ fontSize: 11 }} />
                     <YAxis stroke="#64748b" tick={{ fontSize: 11 }} />
                     <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' }} />
                     <Legend wrapperStyle={{ fontSize: '0.8rem' }} />
+                    {interventionAreas(singleRun?.params.interventions ?? [], singleRun?.timing.finalTime ?? timing.finalTime)}
+                    {runExit && <ReferenceLine x={runExit.time} stroke="#ef4444" strokeWidth={1.5} label={{ value: 'Exit', position: 'insideTopRight', fill: '#ef4444', fontSize: 9 }} />}
+                    {playhead < revealed - 1 && <ReferenceLine x={currentState.period} stroke="#e2e8f0" strokeOpacity={0.6} />}
                     <Line type="monotone" dataKey="motivation" stroke="#3b82f6" strokeWidth={2} dot={false} name="Motivation" />
                     <Line type="monotone" dataKey="strain" stroke="#ef4444" strokeWidth={2} dot={false} name="Strain" />
                     <Line type="monotone" dataKey="effort" stroke="#f59e0b" strokeWidth={1.5} strokeDasharray="4 2" dot={false} name="Effort" />
+                    {singleMeanField && <Line data={singleMeanField} dataKey="motivation" stroke="#3b82f6" {...MEAN_FIELD_LINE} legendType="none" name="Motivation (mean field)" />}
+                    {singleMeanField && <Line data={singleMeanField} dataKey="strain" stroke="#ef4444" {...MEAN_FIELD_LINE} legendType="none" name="Strain (mean field)" />}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
 
+              {singleRun && trajectory.length > 0 && (
+                <PhasePortrait trajectory={trajectory} fullTrajectory={fullTrajectory} params={singleRun.params}
+                  dt={resolveTiming(singleRun.timing).dt} currentState={currentState} />
+              )}
+
+              <SystemDiagram currentState={currentState} isActive={trajectory.length > 0} trajectory={trajectory} parameters={singleRun?.params} />
+
               {/* Metrics */}
-              {finalState && (
+              {currentState && (
                 <div className="metrics-grid">
                   {[
-                    { label: 'Performance', value: finalState.performance.toFixed(1), color: finalState.performance > 10 ? '#8b5cf6' : '#64748b' },
-                    { label: 'Well-being', value: finalState.wellbeing.toFixed(1), color: finalState.wellbeing > 0 ? '#10b981' : '#ef4444' },
-                    { label: 'Effort', value: finalState.effort.toFixed(2), color: finalState.effort > 0.5 ? '#f59e0b' : '#64748b' },
-                    { label: 'Resources', value: finalState.resources.toFixed(2), color: '#3b82f6' }
+                    { label: 'Performance', value: currentState.performance.toFixed(1), color: currentState.performance > 10 ? '#8b5cf6' : '#64748b' },
+                    { label: 'Well-being', value: currentState.wellbeing.toFixed(1), color: currentState.wellbeing > 0 ? '#10b981' : '#ef4444' },
+                    { label: 'Effort', value: currentState.effort.toFixed(2), color: currentState.effort > 0.5 ? '#f59e0b' : '#64748b' },
+                    { label: 'Resources', value: currentState.resources.toFixed(2), color: '#3b82f6' }
                   ].map((m, i) => (
                     <div key={i} style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '5px', padding: '0.45rem', borderLeft: `3px solid ${m.color}`, border: '1px solid #334155' }}>
                       <span style={{ fontSize: '0.7rem', color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '0.04em' }}>{m.label}</span>
@@ -733,86 +3692,145 @@ export default function EntrepreneurialWellbeingSimulator() {
                 <div style={{ background: outcome.bg, borderRadius: '6px', padding: '1rem', borderLeft: `3px solid ${outcome.color}`, border: '1px solid #334155' }}>
                   <h4 style={{ fontSize: '1.05rem', color: outcome.color, marginBottom: '0.2rem', fontWeight: 600 }}>{outcome.title}</h4>
                   <p style={{ fontSize: '0.85rem', color: '#cbd5e1', lineHeight: 1.4 }}>{outcome.text}</p>
+                  {runExit && (
+                    <p style={{ fontSize: '0.85rem', color: '#ef4444', marginTop: '0.3rem' }}>
+                      Venture abandoned at period {runExit.time} ({EXIT_REASON_LABELS[runExit.reason]}).
+                    </p>
+                  )}
                 </div>
               )}
+
+              {singleRun && trajectory.length > 0 && <IntegrationDiagnostics run={singleRun} />}
+
+              {singleRun && trajectory.length > 0 && (
+                <ExportBar label="Export" actions={[
+                  { label: 'Trajectory CSV', onClick: () => exportTrajectory('csv') },
+                  { label: 'Trajectory JSON', onClick: () => exportTrajectory('json') },
+                  { label: 'Run metadata', onClick: exportRunMetadata },
+                  { label: 'XMILE replay', onClick: exportRunXmile },
+                ]} />
+              )}
             </>
-          ) : (
+          )}
+
+          {viewMode === 'distribution' && (
             /* Distribution View */
+            <>
+              <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155' }}>
+                <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 }}>
+                  Distribution ({multiRunResults.length} Simulations)
+                  {scatterPoints.length < multiRunResults.length && (
+                    <span style={{ fontSize: '0.75rem', color: '#64748b' }}> — plotting {scatterPoints.length}</span>
+                  )}
+                </h3>
+                <DistributionScatter results={multiRunResults} points={scatterPoints} />
+                
+                <div className="stats-grid">
+                  {multiRunResults.length > 0 && SWEEP_METRICS.map(m => ({
+                    label: m.label.replace('Mean', 'Avg'),
+                    value: m.format(distributionSummary[m.key])
+                  })).map((s, i) => (
+                    <div key={i} style={{ textAlign: 'center' }}>
+                      <span style={{ display: 'block', fontSize: '0.7rem', color: '#94a3b8' }}>{s.label}</span>
+                      <span style={{ fontSize: '1.05rem', fontWeight: 600, color: '#8b5cf6' }}>{s.value}</span>
+                    </div>
+                  ))}
+                </div>
+
+                {distributionStats ? (
+                  <DistributionStatsTable statistics={distributionStats} />
+                ) : multiRunResults.length > 0 && !jobProgress && (
+                  <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.3rem' }}>
+                    Statistics with bootstrap confidence intervals are computed when all runs complete
+                  </p>
+                )}
+
+                {distributionRun && multiRunResults.length > 0 && !jobProgress && (
+                  <ExportBar label={`Export (seed ${distributionRun.seed})`} actions={[
+                    { label: 'CSV', onClick: () => exportDistribution('csv') },
+                    { label: 'JSON', onClick: () => exportDistribution('json') },
+                    ...(distributionStats ? [{ label: 'Statistics CSV', onClick: exportDistributionStats }] : []),
+                  ]} />
+                )}
+              </div>
+
+              {ensemble && (
+                <FanChart ensemble={ensemble} output={fanOutput} onOutputChange={setFanOutput}
+                  baseline={ensembleMeanField} showBaseline={showMeanField} onShowBaselineChange={setShowMeanField}
+                  interventions={distributionRun?.params.interventions ?? []} onExport={exportBands} />
+              )}
+
+              {survival && (
+                <SurvivalView survival={survival} pinned={pinnedSurvival} onPin={pinSurvival}
+                  onClearPinned={() => setPinnedSurvival([])} onExport={exportSurvival} />
+              )}
+            </>
+          )}
+
+          {viewMode === 'sweep' && sweepResults && sweepResults.cells.length > 0 && (
+            /* Parameter Sweep View */
             <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', padding: '0.85rem', border: '1px solid #334155', flex: 1 }}>
-              <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', marginBottom: '0.4rem', fontWeight: 500 }}>
-                Distribution ({multiRunResults.length} Simulations)
-              </h3>
-              <ResponsiveContainer width="100%" height={260}>
-                <ScatterChart margin={{ bottom: 20, left: 5 }}>
-                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-                  <XAxis type="number" dataKey="performance" stroke="#64748b" tick={{ fontSize: 11 }}
-                    label={{ value: 'Performance', position: 'insideBottom', offset: -10, fill: '#64748b', fontSize: 9 }} />
-                  <YAxis type="number" dataKey="wellbeing" stroke="#64748b" tick={{ fontSize: 11 }}
-                    label={{ value: 'Well-being', angle: -90, position: 'insideLeft', fill: '#64748b', fontSize: 9 }} />
-                  <Tooltip contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #374151', borderRadius: '5px', fontSize: '0.8rem' }}
-                    formatter={(value) => value.toFixed(1)} />
-                  <ReferenceLine y={0} stroke="#ef4444" strokeDasharray="4 4" strokeOpacity={0.5} />
-                  <Scatter data={multiRunResults} fill="#8b5cf6" fillOpacity={0.7} />
-                </ScatterChart>
-              </ResponsiveContainer>
-              
-              <div className="stats-grid">
-                {multiRunResults.length > 0 && [
-                  { label: 'Avg Performance', value: (multiRunResults.reduce((a, b) => a + b.performance, 0) / multiRunResults.length).toFixed(1) },
-                  { label: 'Avg Well-being', value: (multiRunResults.reduce((a, b) => a + b.wellbeing, 0) / multiRunResults.length).toFixed(1) },
-                  { label: 'Success (P>10)', value: `${((multiRunResults.filter(r => r.performance > 10).length / multiRunResults.length) * 100).toFixed(0)}%` },
-                  { label: 'Burnout (WB<-20)', value: `${((multiRunResults.filter(r => r.wellbeing < -20).length / multiRunResults.length) * 100).toFixed(0)}%` }
-                ].map((s, i) => (
-                  <div key={i} style={{ textAlign: 'center' }}>
-                    <span style={{ display: 'block', fontSize: '0.7rem', color: '#94a3b8' }}>{s.label}</span>
-                    <span style={{ fontSize: '1.05rem', fontWeight: 600, color: '#8b5cf6' }}>{s.value}</span>
-                  </div>
-                ))}
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.4rem' }}>
+                <h3 style={{ fontSize: '1.05rem', color: '#94a3b8', fontWeight: 500 }}>
+                  Parameter Sweep ({sweepResults.cells.length} cells × {sweepResults.replications} runs)
+                </h3>
+                <select value={sweepMetric} onChange={(e) => setSweepMetric(e.target.value)}
+                  style={{ background: '#374151', color: '#e2e8f0', border: '1px solid #4b5563', padding: '0.25rem', borderRadius: '5px', fontSize: '0.8rem', cursor: 'pointer' }}>
+                  {SWEEP_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                </select>
               </div>
+              <SweepHeatmap sweep={sweepResults} metric={SWEEP_METRICS.find(m => m.key === sweepMetric)} onCellClick={loadSweepCell} />
+              <p style={{ fontSize: '0.7rem', color: '#64748b', marginTop: '0.3rem' }}>
+                Click a cell to load its parameters into the sliders, then Run Once to watch a single trajectory
+              </p>
             </div>
           )}
+
+          {viewMode === 'ab' && abResults && (abResults.kind === 'single' || abResults.results.length > 0) && (
+            <ABComparison ab={abResults} />
+          )}
+
+          {viewMode === 'compare' && comparisonResults && (
+            <ScenarioComparison results={comparisonResults} />
+          )}
+
+          {viewMode === 'threshold' && thresholdResults && (
+            <ThresholdView result={thresholdResults} />
+          )}
+
+          {viewMode === 'boundary' && boundaryResults && (
+            <PhaseBoundaryView result={boundaryResults} />
+          )}
+
+          {viewMode === 'cohort' && cohortResults && (
+            <CohortView result={cohortResults} />
+          )}
+
+          {viewMode === 'earlyWarning' && earlyWarningResults && (
+            <EarlyWarningView result={earlyWarningResults} />
+          )}
+
+          {viewMode === 'calibration' && calibrationResults && (
+            <CalibrationView result={calibrationResults} onApply={applyCalibration} />
+          )}
+
+          {viewMode === 'sensitivity' && sensitivityResults && (
+            <SensitivityView results={sensitivityResults} output={sensitivityOutput} onOutputChange={setSensitivityOutput} />
+          )}
         </main>
 
         {/* Right Panel */}
         <aside style={{ display: 'flex', flexDirection: 'column', gap: '0.6rem' }}>
-          <SystemDiagram currentState={currentState} isActive={trajectory.length > 0} />
-          
           {/* Equations */}
           <div style={{ background: 'rgba(30, 41, 59, 0.7)', borderRadius: '10px', border: '1px solid #334155', overflow: 'hidden' }}>
             <button onClick={() => setShowEquations(!showEquations)}
-              style={{ width: '100%', padding: '0.5rem 0.65rem', background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.85rem', cursor: 'pointer', textAlign: 'left' }}>
-              {showEquations ? '▼' : '▶'} Model Equations
+              style={{ width: '100%', padding: '0.5rem 0.65rem', background: 'none', border: 'none', color: '#94a3b8', fontSize: '0.85rem', cursor: 'pointer', textAlign: 'left', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <span>{showEquations ? '▼' : '▶'} Model Equations</span>
+              {Object.keys(activeEquations).length > 0 && (
+                <span style={{ background: '#f59e0b', color: '#000', fontSize: '0.7rem', padding: '1px 4px', borderRadius: '3px', fontWeight: 600 }}>edited</span>
+              )}
             </button>
-            {showEquations && (
-              <div style={{ padding: '0 0.65rem 0.65rem', fontSize: '0.75rem', fontFamily: 'monospace', lineHeight: 1.5 }}>
-                <div style={{ marginBottom: '0.4rem' }}>
-                  <div style={{ color: '#8b5cf6', fontWeight: 600 }}>Stocks (Σ over time)</div>
-                  <code style={{ color: '#94a3b8' }}>M, S, P, CumulEffort</code>
-                </div>
-                <div style={{ marginBottom: '0.4rem' }}>
-                  <div style={{ color: '#8b5cf6', fontWeight: 600 }}>Effort</div>
-                  <code style={{ color: '#94a3b8' }}>1/(1+e^(S-M))</code>
-                </div>
-                <div style={{ marginBottom: '0.4rem' }}>
-                  <div style={{ color: '#8b5cf6', fontWeight: 600 }}>Flows</div>
-                  <code style={{ display: 'block', color: '#94a3b8' }}>M↑ = max(C,Res)×Rec</code>
-                  <code style={{ display: 'block', color: '#94a3b8' }}>M↓ = min(M,(1-SR)×H)</code>
-                  <code style={{ display: 'block', color: '#94a3b8' }}>S↑ = (1-SR)(C+H)/(2A)</code>
-                  <code style={{ display: 'block', color: '#94a3b8' }}>S↓ = min(S,Res×Rec)</code>
-                </div>
-                <div style={{ marginBottom: '0.4rem' }}>
-                  <div style={{ color: '#8b5cf6', fontWeight: 600 }}>Performance</div>
-                  <code style={{ display: 'block', color: '#94a3b8' }}>Adv = E×Sk×N(0,A,0,A)</code>
-                  <code style={{ display: 'block', color: '#94a3b8' }}>Set = Pois(D)×min(P,N)</code>
-                </div>
-                <div>
-                  <div style={{ color: '#8b5cf6', fontWeight: 600 }}>Auxiliary</div>
-                  <code style={{ display: 'block', color: '#94a3b8' }}>Res = A(1-t/T)+RP×t/T</code>
-                  <code style={{ display: 'block', color: '#94a3b8' }}>Rec = 1-(1-SR)(C+H)/(2A)</code>
-                  <code style={{ display: 'block', color: '#94a3b8' }}>WB = M - S</code>
-                </div>
-              </div>
-            )}
+            {showEquations && <EquationEditor equations={activeEquations} onChange={setEquations} disabled={isBusy} />}
           </div>
 
           {/* Insights */}
@@ -820,7 +3838,7 @@ export default function EntrepreneurialWellbeingSimulator() {
             <h3 style={{ fontSize: '1rem', color: '#94a3b8', marginBottom: '0.5rem', fontWeight: 500 }}>Key Insights</h3>
             <ul style={{ fontSize: '0.85rem', color: '#cbd5e1', lineHeight: 1.5, paddingLeft: '1rem', margin: 0 }}>
               <li style={{ marginBottom: '0.35rem' }}>Ambition activates system but also increases stressors</li>
-              <li style={{ marginBottom: '0.35rem' }}>Self-regulation has minimum threshold to avoid burnout</li>
+              <li style={{ marginBottom: '0.35rem' }}>Self-regulation has minimum threshold to avoid burnout (find it with Burnout threshold)</li>
               <li style={{ marginBottom: '0.35rem' }}>Skill amplifies effort → performance</li>
               <li>Performance feeds back to resources over time</li>
             </ul>
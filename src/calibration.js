@@ -0,0 +1,274 @@
+// ============================================
+// CALIBRATION
+// ============================================
+// Fits chosen parameters and Var coefficients to an observed well-being and/or
+// performance time series. The objective compares observations with the mean
+// (and, for the moments objective, the spread) of replicated runSimulation runs
+// on fixed seeds, and is minimised with Nelder–Mead inside the MODEL_FACTORS
+// bounds.
+import {
+  runSimulation, resolveTiming, replicationSeed, withParameter, getParameter, MODEL_FACTORS, quantile,
+} from './simulation.js';
+
+export const CALIBRATION_OUTPUTS = ['wellbeing', 'performance'];
+export const CALIBRATION_OBJECTIVES = ['trajectory', 'moments'];
+
+// Column names accepted for the time column
+const PERIOD_COLUMNS = ['period', 'time', 't'];
+
+/**
+ * Parse an observed time series from CSV. Needs a period (or time) column and
+ * a wellbeing and/or performance column; rows sharing a period (e.g. several
+ * founders) are pooled into a mean and standard deviation.
+ * @param {string} text - CSV with a header row
+ * @returns {{ outputs: string[], points: { period, n, wellbeing?, wellbeingSD?, performance?, performanceSD? }[] }}
+ * @throws {Error} when the file has no usable columns or rows
+ */
+export const parseObservations = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) throw new Error('Expected a header row and at least one data row');
+  const header = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, '').toLowerCase().replace(/[\s_-]/g, ''));
+  const periodColumn = header.findIndex(h => PERIOD_COLUMNS.includes(h));
+  if (periodColumn < 0) throw new Error('Missing a "period" column');
+  const outputs = CALIBRATION_OUTPUTS.filter(key => header.includes(key.toLowerCase()));
+  if (outputs.length === 0) throw new Error('Needs a "wellbeing" and/or "performance" column');
+
+  const byPeriod = new Map();
+  lines.slice(1).forEach((line, i) => {
+    const cells = line.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+    const period = Number(cells[periodColumn]);
+    if (cells[periodColumn] === '' || !Number.isFinite(period) || period < 0) throw new Error(`Row ${i + 2}: invalid period`);
+    if (!byPeriod.has(period)) byPeriod.set(period, Object.fromEntries(outputs.map(key => [key, []])));
+    outputs.forEach(key => {
+      const cell = cells[header.indexOf(key.toLowerCase())];
+      if (cell === undefined || cell === '') return;
+      const value = Number(cell);
+      if (!Number.isFinite(value)) throw new Error(`Row ${i + 2}: invalid ${key}`);
+      byPeriod.get(period)[key].push(value);
+    });
+  });
+
+  const points = [...byPeriod.entries()].sort((a, b) => a[0] - b[0]).map(([period, values]) => {
+    const point = { period, n: Math.max(...outputs.map(key => values[key].length)) };
+    outputs.forEach(key => {
+      const v = values[key];
+      if (v.length === 0) return;
+      const mean = v.reduce((a, b) => a + b, 0) / v.length;
+      point[key] = mean;
+      if (v.length > 1) point[`${key}SD`] = Math.sqrt(v.reduce((a, b) => a + (b - mean) ** 2, 0) / (v.length - 1));
+    });
+    return point;
+  });
+  if (points.length === 0) throw new Error('No data rows');
+  return { outputs, points };
+};
+
+// ============================================
+// NELDER–MEAD
+// ============================================
+/**
+ * Nelder–Mead simplex minimisation with the standard coefficients.
+ * @param {(x: number[]) => number} f
+ * @param {number[]} x0 - starting point
+ * @param {{ maxIterations?, tolerance?, step? }} [options] - step is the initial simplex edge
+ * @returns generator yielding { iteration, x, value } after each iteration and
+ *   returning { x, value, iterations, evaluations, converged }
+ */
+export function* nelderMeadSteps(f, x0, { maxIterations = 100, tolerance = 1e-6, step = 0.5 } = {}) {
+  const dim = x0.length;
+  let evaluations = 0;
+  const evaluate = (x) => {
+    evaluations++;
+    return { x, value: f(x) };
+  };
+  let simplex = [evaluate(x0), ...x0.map((_, i) => evaluate(x0.map((v, j) => (i === j ? v + step : v))))];
+  const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+  let iteration = 0;
+  let converged = false;
+  while (iteration < maxIterations) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[dim];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) {
+      converged = true;
+      break;
+    }
+    const centroid = x0.map((_, i) => simplex.slice(0, dim).reduce((sum, p) => sum + p.x[i], 0) / dim);
+
+    const reflected = evaluate(combine(centroid, worst.x, -1));
+    if (reflected.value < best.value) {
+      const expanded = evaluate(combine(centroid, worst.x, -2));
+      simplex[dim] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[dim - 1].value) {
+      simplex[dim] = reflected;
+    } else {
+      const outside = reflected.value < worst.value;
+      const contracted = evaluate(combine(centroid, outside ? reflected.x : worst.x, 0.5));
+      if (contracted.value < (outside ? reflected.value : worst.value)) {
+        simplex[dim] = contracted;
+      } else {
+        simplex = [best, ...simplex.slice(1).map(p => evaluate(combine(best.x, p.x, 0.5)))];
+      }
+    }
+    iteration++;
+    const current = simplex.reduce((a, b) => (b.value < a.value ? b : a));
+    yield { iteration, x: current.x, value: current.value };
+  }
+  const result = simplex.reduce((a, b) => (b.value < a.value ? b : a));
+  return { x: result.x, value: result.value, iterations: iteration, evaluations, converged };
+}
+
+// ============================================
+// OBJECTIVE
+// ============================================
+// Bounded factors are optimised on an unbounded scale: value = min + (max - min) × logistic(u)
+const toBounded = (u, { min, max }) => min + (max - min) / (1 + Math.exp(-u));
+// Starting points are pulled slightly inside the bounds: at a bound the logistic is flat
+// and the simplex could not move away from it (Var1–Var10 default to their maximum of 1).
+const toUnbounded = (value, { min, max }) => {
+  const p = Math.min(0.98, Math.max(0.02, (value - min) / (max - min)));
+  return Math.log(p / (1 - p));
+};
+
+/**
+ * Simulated mean, spread and 5–95% band of each output at the observed periods.
+ * Exit rules are ignored: the observations are full series, so every run must reach them.
+ * @param {object} params
+ * @param {object[]} points - observations from parseObservations
+ * @param {number[]} seeds - one per replication
+ * @param {object} timing - resolved timing
+ * @returns {{ period, [output]: mean, [output + 'SD'], [output + 'Band']: [p5, p95] }[]}
+ */
+export const simulateAtObservations = (params, points, seeds, timing) => {
+  const runParams = { ...params, exitRules: [] };
+  const runs = seeds.map(seed => runSimulation(runParams, { ...timing, recordEvery: 0 }, seed));
+  return points.map(({ period }) => {
+    const index = Math.round(period / timing.dt);
+    const row = { period };
+    CALIBRATION_OUTPUTS.forEach(key => {
+      const values = runs.map(trajectory => trajectory[index][key]);
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const sorted = Float64Array.from(values).sort();
+      row[key] = mean;
+      row[`${key}SD`] = values.length > 1 ? Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (values.length - 1)) : 0;
+      row[`${key}Band`] = [quantile(sorted, 0.05), quantile(sorted, 0.95)];
+    });
+    return row;
+  });
+};
+
+// Variance of the observed series, used to put outputs on a common scale
+const observedVariance = (points, key) => {
+  const values = points.map(p => p[key]).filter(v => v !== undefined);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.max(values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length, 1e-9);
+};
+
+/**
+ * Distance between observations and simulations, summed over outputs as a
+ * mean squared error relative to the observed variance. The moments objective
+ * also matches the cross-sectional SD where a period has several observations.
+ */
+const calibrationLoss = (observed, simulated, outputs, objective) => outputs.reduce((total, key) => {
+  const scale = observedVariance(observed, key);
+  let sum = 0;
+  let count = 0;
+  observed.forEach((point, i) => {
+    if (point[key] === undefined) return;
+    sum += (simulated[i][key] - point[key]) ** 2;
+    count++;
+    if (objective === 'moments' && point[`${key}SD`] !== undefined) {
+      sum += (simulated[i][`${key}SD`] - point[`${key}SD`]) ** 2;
+      count++;
+    }
+  });
+  return total + (count > 0 ? sum / count / scale : 0);
+}, 0);
+
+/**
+ * RMSE and R² of the simulated mean against each observed output.
+ * @returns {{ [output]: { rmse, r2, n } }}
+ */
+export const goodnessOfFit = (observed, simulated, outputs) => Object.fromEntries(outputs.map(key => {
+  const pairs = observed.map((p, i) => [p[key], simulated[i][key]]).filter(([o]) => o !== undefined);
+  const mean = pairs.reduce((a, [o]) => a + o, 0) / pairs.length;
+  const sse = pairs.reduce((a, [o, s]) => a + (o - s) ** 2, 0);
+  const sst = pairs.reduce((a, [o]) => a + (o - mean) ** 2, 0);
+  return [key, { rmse: Math.sqrt(sse / pairs.length), r2: sst > 0 ? 1 - sse / sst : NaN, n: pairs.length }];
+}));
+
+// ============================================
+// CALIBRATION
+// ============================================
+/**
+ * Fit factors to observations.
+ * @param {object} params - starting values (and fixed values for the other factors)
+ * @param {{ outputs, points }} observations - from parseObservations
+ * @param {{ factors?, objective?, replications?, maxIterations?, finalTime?, seed? }} [options]
+ *   factors are MODEL_FACTORS keys; finalTime may be a timing object
+ * @returns generator yielding { done, total, partial: { iteration, loss, values } } and returning
+ *   { factors, objective, start, fitted, params, loss, startLoss, fit, comparison, history,
+ *   iterations, evaluations, converged, ignoredPoints }
+ */
+export function* calibrationSteps(params, observations, {
+  factors = ['ambition', 'selfRegulation'], objective = 'trajectory', replications = 20, maxIterations = 100,
+  finalTime = 500, seed = 1,
+} = {}) {
+  const timing = resolveTiming(finalTime);
+  const points = observations.points.filter(p => p.period <= timing.finalTime);
+  if (points.length === 0) throw new Error(`No observations within the ${timing.finalTime}-period horizon`);
+  const outputs = observations.outputs;
+  const bounds = factors.map(key => MODEL_FACTORS.find(f => f.key === key));
+  const seeds = Array.from({ length: replications }, (_, r) => replicationSeed(seed, r));
+
+  const paramsFor = (u) => factors.reduce((acc, key, i) => withParameter(acc, key, toBounded(u[i], bounds[i])), params);
+  const loss = (u) => calibrationLoss(points, simulateAtObservations(paramsFor(u), points, seeds, timing), outputs, objective);
+  const valuesFor = (u) => Object.fromEntries(factors.map((key, i) => [key, toBounded(u[i], bounds[i])]));
+
+  // The search starts from the unbounded image of the given values, which toUnbounded
+  // keeps just inside the bounds; start and startLoss report the given values themselves
+  const u0 = factors.map((key, i) => toUnbounded(getParameter(params, key), bounds[i]));
+  const startValues = Object.fromEntries(factors.map(key => [key, getParameter(params, key)]));
+  const history = [];
+  const steps = nelderMeadSteps(loss, u0, { maxIterations });
+  let step = steps.next();
+  while (!step.done) {
+    const entry = { iteration: step.value.iteration, loss: step.value.value, values: valuesFor(step.value.x) };
+    history.push(entry);
+    yield { done: entry.iteration, total: maxIterations, partial: entry };
+    step = steps.next();
+  }
+  const { x, value, iterations, evaluations, converged } = step.value;
+
+  const fittedParams = paramsFor(x);
+  const startSimulated = simulateAtObservations(params, points, seeds, timing);
+  const fittedSimulated = simulateAtObservations(fittedParams, points, seeds, timing);
+  const comparison = points.map((point, i) => ({
+    period: point.period,
+    ...Object.fromEntries(outputs.flatMap(key => [
+      [`observed_${key}`, point[key]],
+      [`start_${key}`, startSimulated[i][key]],
+      [`fitted_${key}`, fittedSimulated[i][key]],
+      [`fitted_${key}Band`, fittedSimulated[i][`${key}Band`]],
+    ])),
+  }));
+
+  return {
+    factors,
+    objective,
+    replications,
+    start: startValues,
+    fitted: valuesFor(x),
+    params: fittedParams,
+    loss: value,
+    startLoss: calibrationLoss(points, startSimulated, outputs, objective),
+    fit: goodnessOfFit(points, fittedSimulated, outputs),
+    comparison,
+    history,
+    iterations,
+    evaluations,
+    converged,
+    ignoredPoints: observations.points.length - points.length,
+  };
+}
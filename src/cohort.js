@@ -0,0 +1,274 @@
+// ============================================
+// COHORT
+// ============================================
+// Population mode: a cohort of founders whose ambition, skill, self-regulation
+// and dynamism are drawn from distributions (or read from a table of
+// individuals), each simulated once with runSimulation. Reports outcome shares,
+// how outcomes vary with each trait, and which trait profiles are
+// over-represented among burnout cases.
+import {
+  runSimulation, replicationSeed, createRandomStream, classifyOutcome, summarizeRuns, quantile,
+  OUTCOME_TYPES, MODEL_FACTORS,
+} from './simulation.js';
+
+export const COHORT_TRAITS = ['ambition', 'skill', 'selfRegulation', 'dynamism'];
+export const TRAIT_DISTRIBUTIONS = ['fixed', 'uniform', 'normal', 'beta'];
+export const TRAIT_LEVELS = ['low', 'mid', 'high'];
+
+// Sampling bounds of each trait
+const traitBounds = (key) => MODEL_FACTORS.find(f => f.key === key);
+
+// Offset of the trait stream's seed from the run seeds, so that the traits are not
+// drawn from the same stream as founder 0's run
+const TRAIT_SEED_OFFSET = 104729;
+
+/**
+ * Starting cohort: normal spread around the given trait values.
+ * @param {object} params - model parameters supplying the centre of each trait
+ * @param {number} [size=300]
+ */
+export const defaultCohort = (params, size = 300) => ({
+  size,
+  traits: Object.fromEntries(COHORT_TRAITS.map(key => [key, { type: 'normal', mean: params[key], sd: 0.15 }])),
+});
+
+// Gamma(shape, 1) variate (Marsaglia–Tsang; shapes below 1 are boosted)
+const sampleGamma = (rng, shape) => {
+  if (shape < 1) return sampleGamma(rng, shape + 1) * Math.pow(1 - rng.next(), 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    const z = rng.nextNormal();
+    const v = (1 + c * z) ** 3;
+    if (v <= 0) continue;
+    const u = 1 - rng.next();
+    if (Math.log(u) < z * z / 2 + d - d * v + d * Math.log(v)) return d * v;
+  }
+};
+
+/**
+ * Draw one trait value.
+ * @param {{ type, value?, min?, max?, mean?, sd?, alpha?, beta? }} spec - 'fixed' uses value;
+ *   'normal' is truncated to the trait bounds; 'beta' is scaled onto them
+ * @param {object} rng - random stream
+ * @param {{ min: number, max: number }} bounds
+ */
+const sampleTrait = (spec, rng, { min, max }) => {
+  const clamp = (v) => Math.min(max, Math.max(min, v));
+  switch (spec.type) {
+    case 'uniform': {
+      const lo = clamp(spec.min ?? min);
+      const hi = clamp(spec.max ?? max);
+      return lo + (hi - lo) * rng.next();
+    }
+    case 'normal': {
+      if (!(spec.sd > 0)) return clamp(spec.mean);
+      for (let attempt = 0; attempt < 100; attempt++) {
+        const value = rng.nextNormal(spec.mean, spec.sd);
+        if (value >= min && value <= max) return value;
+      }
+      return clamp(spec.mean);
+    }
+    case 'beta': {
+      const x = sampleGamma(rng, spec.alpha);
+      const y = sampleGamma(rng, spec.beta);
+      return min + (max - min) * (x / (x + y));
+    }
+    default:
+      return clamp(spec.value);
+  }
+};
+
+/**
+ * Draw a cohort's trait values.
+ * @param {object} params - model parameters; supply values for 'fixed' traits without one
+ * @param {{ size: number, traits: object }} spec - trait key → distribution (see sampleTrait)
+ * @param {number} seed - seeds the trait stream (in params.randomMode)
+ * @returns {{ id: number, ambition, skill, selfRegulation, dynamism }[]}
+ * @throws {Error} when a Beta distribution has a shape that is not positive
+ */
+export const sampleCohort = (params, { size, traits }, seed) => {
+  COHORT_TRAITS.forEach(key => {
+    const spec = traits[key];
+    if (spec?.type === 'beta' && !(spec.alpha > 0 && spec.beta > 0)) throw new Error(`${key}: Beta shapes must be positive`);
+  });
+  const rng = createRandomStream(seed, params.randomMode);
+  return Array.from({ length: size }, (_, id) => ({
+    id,
+    ...Object.fromEntries(COHORT_TRAITS.map(key => {
+      const spec = traits[key] ?? { type: 'fixed' };
+      return [key, sampleTrait({ value: params[key], ...spec }, rng, traitBounds(key))];
+    })),
+  }));
+};
+
+/**
+ * Parse a table of individuals from CSV. Columns named after the traits
+ * (ambition, skill, self_regulation, dynamism) are read; missing traits keep
+ * the current parameter values. An optional id or name column labels rows.
+ * @param {string} text - CSV with a header row
+ * @returns {{ traits: string[], individuals: object[] }}
+ * @throws {Error} when no trait column is present or a value is out of bounds
+ */
+export const parseCohortTable = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) throw new Error('Expected a header row and at least one data row');
+  const header = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, '').toLowerCase().replace(/[\s_-]/g, ''));
+  const traits = COHORT_TRAITS.filter(key => header.includes(key.toLowerCase()));
+  if (traits.length === 0) throw new Error(`Needs at least one of the columns ${COHORT_TRAITS.join(', ')}`);
+  const idColumn = header.findIndex(h => h === 'id' || h === 'name');
+
+  const individuals = lines.slice(1).map((line, i) => {
+    const cells = line.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+    const individual = { id: idColumn >= 0 && cells[idColumn] ? cells[idColumn] : i };
+    traits.forEach(key => {
+      const value = Number(cells[header.indexOf(key.toLowerCase())]);
+      const { min, max } = traitBounds(key);
+      if (!Number.isFinite(value) || value < min || value > max) throw new Error(`Row ${i + 2}: ${key} must be between ${min} and ${max}`);
+      individual[key] = value;
+    });
+    return individual;
+  });
+  return { traits, individuals };
+};
+
+// ============================================
+// POPULATION OUTCOMES
+// ============================================
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const correlation = (xs, ys) => {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0, sxx = 0, syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : NaN;
+};
+
+const shareOf = (members, type) => (members.length > 0 ? members.filter(m => m.outcome === type).length / members.length : 0);
+
+// Traits that actually vary across the cohort
+const varyingTraits = (members) => COHORT_TRAITS.filter(key => members.some(m => m[key] !== members[0][key]));
+
+/**
+ * Outcomes by trait: correlations and equal-count bins.
+ * @returns {{ [trait]: { correlation: { performance, wellbeing }, bins: { low, high, mid, n,
+ *   meanPerformance, meanWellbeing, burnoutShare, thrivingShare }[] } }}
+ */
+export const traitEffects = (members, bins = 5) => Object.fromEntries(varyingTraits(members).map(key => {
+  const sorted = [...members].sort((a, b) => a[key] - b[key]);
+  const count = Math.min(bins, sorted.length);
+  const groups = Array.from({ length: count }, (_, b) => sorted.slice(
+    Math.round(b * sorted.length / count), Math.round((b + 1) * sorted.length / count)));
+  return [key, {
+    correlation: {
+      performance: correlation(members.map(m => m[key]), members.map(m => m.performance)),
+      wellbeing: correlation(members.map(m => m[key]), members.map(m => m.wellbeing)),
+    },
+    bins: groups.map(group => ({
+      low: group[0][key],
+      high: group[group.length - 1][key],
+      mid: mean(group.map(m => m[key])),
+      n: group.length,
+      meanPerformance: mean(group.map(m => m.performance)),
+      meanWellbeing: mean(group.map(m => m.wellbeing)),
+      burnoutShare: shareOf(group, 'burnout'),
+      thrivingShare: shareOf(group, 'thriving'),
+    })),
+  }];
+}));
+
+/**
+ * Trait profiles among burnout cases. Each varying trait is split into cohort
+ * terciles (low/mid/high); lift is a level's share among burnout cases divided
+ * by its share of the whole cohort, so values above 1 are over-represented.
+ * @returns {{ burnouts: number, levels: { trait, level, low, high, cohortShare, burnoutShare, lift }[],
+ *   profiles: { profile, levels, n, burnouts, cohortShare, burnoutShare, lift }[] }}
+ */
+export const burnoutProfiles = (members) => {
+  const traits = varyingTraits(members);
+  const cutoffs = Object.fromEntries(traits.map(key => {
+    const sorted = members.map(m => m[key]).sort((a, b) => a - b);
+    return [key, [quantile(sorted, 1 / 3), quantile(sorted, 2 / 3), sorted[0], sorted[sorted.length - 1]]];
+  }));
+  const levelOf = (key, value) => {
+    const [q1, q2] = cutoffs[key];
+    return value <= q1 ? 'low' : value <= q2 ? 'mid' : 'high';
+  };
+  const burnouts = members.filter(m => m.outcome === 'burnout');
+  const n = members.length;
+  const lift = (inBurnout, inCohort) => (burnouts.length > 0 && inCohort > 0 ? (inBurnout / burnouts.length) / (inCohort / n) : NaN);
+
+  const levels = traits.flatMap(key => TRAIT_LEVELS.map((level, i) => {
+    const [q1, q2, lo, hi] = cutoffs[key];
+    const inCohort = members.filter(m => levelOf(key, m[key]) === level).length;
+    const inBurnout = burnouts.filter(m => levelOf(key, m[key]) === level).length;
+    return {
+      trait: key,
+      level,
+      low: [lo, q1, q2][i],
+      high: [q1, q2, hi][i],
+      cohortShare: inCohort / n,
+      burnoutShare: burnouts.length > 0 ? inBurnout / burnouts.length : 0,
+      lift: lift(inBurnout, inCohort),
+    };
+  }));
+
+  const groups = new Map();
+  members.forEach(m => {
+    const profileLevels = Object.fromEntries(traits.map(key => [key, levelOf(key, m[key])]));
+    const profile = traits.map(key => `${key} ${profileLevels[key]}`).join(', ');
+    if (!groups.has(profile)) groups.set(profile, { profile, levels: profileLevels, n: 0, burnouts: 0 });
+    const group = groups.get(profile);
+    group.n++;
+    if (m.outcome === 'burnout') group.burnouts++;
+  });
+  const profiles = [...groups.values()]
+    .filter(g => g.burnouts > 0)
+    .map(g => ({ ...g, cohortShare: g.n / n, burnoutShare: g.burnouts / burnouts.length, lift: lift(g.burnouts, g.n) }))
+    .sort((a, b) => b.lift - a.lift || b.burnouts - a.burnouts);
+
+  return { burnouts: burnouts.length, levels, profiles };
+};
+
+/**
+ * Simulate a cohort, one run per founder.
+ * @param {object} params - model parameters (coefficients, interventions and traits not drawn)
+ * @param {{ size, traits } | { individuals }} cohort - distributions (see sampleCohort) or a parsed table
+ * @param {{ finalTime?, seed? }} [options] - finalTime may be a timing object; founder i runs
+ *   on replicationSeed(seed, i) and the traits are drawn from seed + TRAIT_SEED_OFFSET
+ * @returns generator yielding { done, total, partial: member } and returning
+ *   { members, summary, outcomes, traitEffects, profiles }
+ */
+export function* cohortSteps(params, cohort, { finalTime = 500, seed = 1 } = {}) {
+  const individuals = cohort.individuals
+    ? cohort.individuals.map(individual => ({ ...Object.fromEntries(COHORT_TRAITS.map(key => [key, params[key]])), ...individual }))
+    : sampleCohort(params, cohort, seed + TRAIT_SEED_OFFSET);
+  const members = [];
+  for (let i = 0; i < individuals.length; i++) {
+    const individual = individuals[i];
+    const traits = Object.fromEntries(COHORT_TRAITS.map(key => [key, individual[key]]));
+    const trajectory = runSimulation({ ...params, ...traits }, finalTime, replicationSeed(seed, i));
+    const final = trajectory[trajectory.length - 1];
+    const member = {
+      id: individual.id,
+      ...traits,
+      performance: final.performance,
+      wellbeing: final.wellbeing,
+      outcome: classifyOutcome(final),
+    };
+    members.push(member);
+    yield { done: i + 1, total: individuals.length, partial: member };
+  }
+  return {
+    members,
+    summary: summarizeRuns(members),
+    outcomes: Object.fromEntries(OUTCOME_TYPES.map(type => [type, shareOf(members, type)])),
+    traitEffects: traitEffects(members),
+    profiles: burnoutProfiles(members),
+  };
+}
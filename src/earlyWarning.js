@@ -0,0 +1,227 @@
+// ============================================
+// EARLY-WARNING SIGNALS
+// ============================================
+// Critical slowing down: near a tipping point a system recovers more slowly from
+// perturbations, so the variance and lag-1 autocorrelation of its fluctuations
+// rise and their skewness changes (Scheffer et al., 2009; Dakos et al., 2012).
+// The indicators are computed in a rolling window over a full-resolution
+// trajectory, after removing a Gaussian-kernel trend, and their trend is
+// measured with Kendall's tau against time. Across a batch of runs observed up
+// to a cut-off, the tau of each indicator is scored as a predictor of a burnout
+// outcome at the horizon (classifyOutcome) with an ROC curve.
+import { runSimulation, resolveTiming, replicationSeed, classifyOutcome } from './simulation.js';
+
+export const EWS_VARIABLES = ['wellbeing', 'motivation', 'strain'];
+export const EWS_INDICATORS = ['variance', 'autocorrelation', 'skewness'];
+
+// Residuals of a series around its Gaussian-kernel smooth; bandwidth in samples, 0 keeps the series
+const detrend = (values, bandwidth) => {
+  if (!(bandwidth > 0)) return values.slice();
+  const reach = Math.ceil(3 * bandwidth);
+  return values.map((value, i) => {
+    let sum = 0;
+    let weights = 0;
+    for (let j = Math.max(0, i - reach); j <= Math.min(values.length - 1, i + reach); j++) {
+      const weight = Math.exp(-0.5 * ((j - i) / bandwidth) ** 2);
+      sum += weight * values[j];
+      weights += weight;
+    }
+    return value - sum / weights;
+  });
+};
+
+// Variance, lag-1 autocorrelation and skewness of every window of `size` consecutive
+// values, in the order the windows end; the last two are null when a window does not
+// vary. The windows are slid along running sums of the powers and lag-1 products,
+// taken around the series mean so that the central moments do not cancel.
+const rollingIndicators = (values, size) => {
+  const shift = values.reduce((a, b) => a + b, 0) / values.length;
+  const x = values.map(v => v - shift);
+  let s1 = 0;
+  let s2 = 0;
+  let s3 = 0;
+  let lag = 0;
+  const windows = [];
+  for (let end = 1; end <= x.length; end++) {
+    const v = x[end - 1];
+    s1 += v;
+    s2 += v * v;
+    s3 += v * v * v;
+    if (end > 1) lag += x[end - 2] * v;
+    const from = end - size;
+    if (from > 0) {
+      const u = x[from - 1];
+      s1 -= u;
+      s2 -= u * u;
+      s3 -= u * u * u;
+      lag -= u * x[from];
+    }
+    if (from < 0) continue;
+    const mean = s1 / size;
+    const m2 = Math.max(0, s2 - size * mean * mean);
+    const m3 = s3 - 3 * mean * s2 + 2 * size * mean ** 3;
+    // Sum over the window's size - 1 neighbour pairs of (x[i] - mean)(x[i + 1] - mean)
+    const lagged = lag - mean * (2 * s1 - x[from] - x[end - 1]) + (size - 1) * mean * mean;
+    const variance = m2 / size;
+    const varies = variance > 1e-12 * Math.max(1, s2 / size);
+    windows.push({
+      variance,
+      autocorrelation: varies ? lagged / m2 : null,
+      skewness: varies ? (m3 / size) / variance ** 1.5 : null,
+    });
+  }
+  return windows;
+};
+
+// Pairs i < j with values[i] > values[j], counted while merge-sorting values in place
+const countInversions = (values, lo = 0, hi = values.length) => {
+  if (hi - lo < 2) return 0;
+  const mid = (lo + hi) >> 1;
+  let count = countInversions(values, lo, mid) + countInversions(values, mid, hi);
+  const merged = [];
+  let i = lo;
+  let j = mid;
+  while (i < mid || j < hi) {
+    if (j >= hi || (i < mid && values[i] <= values[j])) merged.push(values[i++]);
+    else {
+      count += mid - i;
+      merged.push(values[j++]);
+    }
+  }
+  merged.forEach((v, k) => { values[lo + k] = v; });
+  return count;
+};
+
+/**
+ * Kendall's tau-b between a series and time; null values are skipped. Time has no
+ * ties, so tau-b follows from the discordant pairs (inversions) and the tied values,
+ * both counted in O(n log n) (Knight, 1966).
+ * @param {(number|null)[]} values - in time order
+ * @returns {number|null} null with fewer than 3 values or a constant series
+ */
+export const kendallTau = (values) => {
+  const points = values.filter(v => v !== null && Number.isFinite(v));
+  const n = points.length;
+  if (n < 3) return null;
+  const discordant = countInversions(points);
+  let ties = 0;
+  let run = 1;
+  for (let i = 1; i <= n; i++) {
+    if (i < n && points[i] === points[i - 1]) run++;
+    else {
+      ties += run * (run - 1) / 2;
+      run = 1;
+    }
+  }
+  const pairs = n * (n - 1) / 2;
+  const concordant = pairs - ties - discordant;
+  return pairs === ties ? null : (concordant - discordant) / Math.sqrt(pairs * (pairs - ties));
+};
+
+/**
+ * Rolling-window indicators of a trajectory and their Kendall's tau trends.
+ * @param {object[]} trajectory - runSimulation points, ideally recorded every step
+ * @param {{ until?, window?, bandwidth? }} [options] - until: last period used (default
+ *   all); window: rolling window as a fraction of the points used (default 0.5);
+ *   bandwidth: detrending kernel in periods, 0 for none (default 25)
+ * @returns {{ periods: number[], series: object, tau: object }} series[variable][indicator]
+ *   holds one value per window, at the period its window ends; tau[variable][indicator]
+ *   is that series' trend (null when undefined)
+ */
+export const earlyWarningSignals = (trajectory, { until = Infinity, window = 0.5, bandwidth = 25 } = {}) => {
+  const points = trajectory.filter(p => p.period <= until + 1e-9);
+  const step = points.length > 1 ? points[1].period - points[0].period : 1;
+  const size = Math.max(3, Math.round(points.length * window));
+  const ends = [];
+  for (let end = size; end <= points.length; end++) ends.push(end);
+  const series = {};
+  const tau = {};
+  EWS_VARIABLES.forEach(variable => {
+    const residuals = detrend(points.map(p => p[variable]), bandwidth / step);
+    const windows = points.length >= size ? rollingIndicators(residuals, size) : [];
+    series[variable] = Object.fromEntries(EWS_INDICATORS.map(indicator => [indicator, windows.map(w => w[indicator])]));
+    tau[variable] = Object.fromEntries(EWS_INDICATORS.map(indicator => [indicator, kendallTau(series[variable][indicator])]));
+  });
+  return { periods: ends.map(end => points[end - 1].period), series, tau };
+};
+
+/**
+ * ROC curve of a score predicting a binary outcome; a higher score predicts a positive.
+ * @param {{ score: number|null, positive: boolean }[]} cases - cases without a score are left out
+ * @returns {{ points: { fpr, tpr, threshold }[], auc: number|null, n: number }} auc is null
+ *   unless there are both positive and negative cases
+ */
+export const rocCurve = (cases) => {
+  const scored = cases.filter(c => c.score !== null && Number.isFinite(c.score)).sort((a, b) => b.score - a.score);
+  const positives = scored.filter(c => c.positive).length;
+  const negatives = scored.length - positives;
+  if (positives === 0 || negatives === 0) return { points: [], auc: null, n: scored.length };
+  const points = [{ fpr: 0, tpr: 0, threshold: Infinity }];
+  let tp = 0;
+  let fp = 0;
+  let auc = 0;
+  for (let i = 0; i < scored.length; i++) {
+    if (scored[i].positive) tp++;
+    else fp++;
+    // Tied scores move the curve together (a diagonal step)
+    if (i === scored.length - 1 || scored[i + 1].score !== scored[i].score) {
+      const last = points[points.length - 1];
+      const point = { fpr: fp / negatives, tpr: tp / positives, threshold: scored[i].score };
+      auc += (point.fpr - last.fpr) * (point.tpr + last.tpr) / 2;
+      points.push(point);
+    }
+  }
+  return { points, auc, n: scored.length };
+};
+
+/**
+ * Test the early-warning indicators as predictors of burnout across replicated runs.
+ * Each run is recorded every step, its indicators are computed up to the cut-off, and
+ * the tau of every variable × indicator is scored against a burnout outcome at the horizon.
+ * @param {object} params - model parameters
+ * @param {{ runs?, finalTime?, seed?, until?, window?, bandwidth? }} [options] - finalTime may be
+ *   a timing object (recordEvery is ignored); until is the cut-off as a fraction of the
+ *   horizon (default 0.5); window and bandwidth as for earlyWarningSignals; run i uses
+ *   replicationSeed(seed, i)
+ * @returns generator yielding { done, total, partial: { run, seed, outcome, burnout, tau } } and
+ *   returning { runs, burnouts, cutoff, roc, meanTau, examples }: roc[variable][indicator] is a
+ *   rocCurve, meanTau[variable][indicator] the mean tau of { burnout, other } runs and examples the
+ *   indicator series of the first burnout run and the first other run
+ */
+export function* earlyWarningSteps(params, { runs = 200, finalTime = 500, seed = 1, until = 0.5, window = 0.5, bandwidth = 25 } = {}) {
+  const timing = { ...resolveTiming(finalTime), recordEvery: 0 };
+  const cutoff = +(timing.finalTime * until).toFixed(4);
+  const results = [];
+  const examples = { burnout: null, other: null };
+  for (let i = 0; i < runs; i++) {
+    const runSeed = replicationSeed(seed, i);
+    const trajectory = runSimulation(params, timing, runSeed);
+    const outcome = classifyOutcome(trajectory[trajectory.length - 1]);
+    const burnout = outcome === 'burnout';
+    const signals = earlyWarningSignals(trajectory, { until: cutoff, window, bandwidth });
+    const result = { run: i, seed: runSeed, outcome, burnout, tau: signals.tau };
+    const example = burnout ? 'burnout' : 'other';
+    if (!examples[example]) examples[example] = { seed: runSeed, periods: signals.periods, series: signals.series };
+    results.push(result);
+    yield { done: i + 1, total: runs, partial: result };
+  }
+
+  const mean = (values) => {
+    const valid = values.filter(v => v !== null);
+    return valid.length > 0 ? valid.reduce((a, b) => a + b, 0) / valid.length : null;
+  };
+  const byVariable = (compute) => Object.fromEntries(EWS_VARIABLES.map(variable => [
+    variable, Object.fromEntries(EWS_INDICATORS.map(indicator => [indicator, compute(variable, indicator)])),
+  ]));
+  return {
+    runs: results,
+    burnouts: results.filter(r => r.burnout).length,
+    cutoff,
+    roc: byVariable((variable, indicator) => rocCurve(results.map(r => ({ score: r.tau[variable][indicator], positive: r.burnout })))),
+    meanTau: byVariable((variable, indicator) => ({
+      burnout: mean(results.filter(r => r.burnout).map(r => r.tau[variable][indicator])),
+      other: mean(results.filter(r => !r.burnout).map(r => r.tau[variable][indicator])),
+    })),
+    examples,
+  };
+}
@@ -0,0 +1,97 @@
+// ============================================
+// SCENARIO LIBRARY
+// ============================================
+// Named parameter/coefficient/seed/timing sets kept in localStorage, with JSON file
+// import and export. A scenario is { id, name, params, seed, timing, createdAt };
+// scenarios saved before timing was kept replay on the default timing.
+import { normalizeParams, resolveTiming, PARAMETER_KEYS, COEFFICIENT_KEYS, MAX_FINAL_TIME, DT_OPTIONS, SUBSTEP_OPTIONS } from './simulation.js';
+
+const STORAGE_KEY = 'wellbeing-sim.scenarios';
+export const SCENARIO_FILE_FORMAT = 'entrepreneurial-wellbeing-scenarios';
+const SCENARIO_FILE_VERSION = 1;
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createScenario = (name, params, seed, timing) => ({
+  id: newId(),
+  name: name.trim() || 'Untitled scenario',
+  params: normalizeParams(params),
+  seed,
+  timing: resolveTiming(timing),
+  createdAt: new Date().toISOString(),
+});
+
+// Timing from untrusted input, held to the settings the app offers (as for shared links);
+// anything else falls back to the default
+const validTiming = (raw) => {
+  const timing = raw && typeof raw === 'object' ? raw : {};
+  return resolveTiming({
+    ...timing,
+    finalTime: Math.min(timing.finalTime, MAX_FINAL_TIME),
+    dt: DT_OPTIONS.includes(timing.dt) ? timing.dt : undefined,
+    substeps: SUBSTEP_OPTIONS.includes(timing.substeps) ? timing.substeps : undefined,
+  });
+};
+
+// A scenario from untrusted input, or null if it is unusable
+const validScenario = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const params = normalizeParams(raw.params ?? {});
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+  if (!PARAMETER_KEYS.every(key => isNumber(params[key]))) return null;
+  if (!COEFFICIENT_KEYS.every(key => isNumber(params.coefficients[key]))) return null;
+  if (!Number.isInteger(raw.seed) || raw.seed < 0) return null;
+  return {
+    id: typeof raw.id === 'string' ? raw.id : newId(),
+    name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'Untitled scenario',
+    params,
+    seed: raw.seed,
+    timing: validTiming(raw.timing),
+    createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : new Date().toISOString(),
+  };
+};
+
+export const loadScenarios = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '[]');
+    return Array.isArray(stored) ? stored.map(validScenario).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Store the scenarios in localStorage.
+ * @throws {Error} when storage is unavailable or full
+ */
+export const saveScenarios = (scenarios) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  } catch (err) {
+    throw new Error(`Could not save scenarios: ${err.message}`);
+  }
+};
+
+export const scenariosToFile = (scenarios) => JSON.stringify({
+  format: SCENARIO_FILE_FORMAT,
+  version: SCENARIO_FILE_VERSION,
+  scenarios,
+}, null, 2);
+
+/**
+ * Scenarios from an exported library file. Imported scenarios get fresh ids
+ * so they never collide with the ones already saved.
+ * @throws {Error} when the file is not a scenario library
+ */
+export const scenariosFromFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+  if (data?.format !== SCENARIO_FILE_FORMAT || !Array.isArray(data.scenarios)) {
+    throw new Error('Not a scenario library file');
+  }
+  return data.scenarios.map(validScenario).filter(Boolean).map(s => ({ ...s, id: newId() }));
+};
@@ -0,0 +1,124 @@
+// ============================================
+// SHAREABLE SCENARIO LINKS
+// ============================================
+// Encodes the parameters, coefficients, interventions, exit rules, random mode, edited
+// equations, timing, seed, view mode and run count in the query string, e.g.
+// ?ambition=0.7&selfRegulation=0.3&var4=0.5&seed=4242&view=single
+// Each intervention is one iv=key,type,start,end,value,operation entry, each
+// exit rule one exit=type,threshold[,periods] entry and each edited equation one
+// eq=Symbol:equation entry.
+import { PARAMETER_KEYS, COEFFICIENT_KEYS, normalizeInterventions, normalizeExitRules, normalizeEquations, DEFAULT_TIMING, MAX_FINAL_TIME, DT_OPTIONS, SUBSTEP_OPTIONS, RANDOM_MODES, INTEGRATION_METHODS } from './simulation.js';
+
+const SHARED_VIEWS = ['single', 'distribution'];
+
+const formatNumber = (value) => String(+value.toFixed(4));
+
+/**
+ * Query string for a scenario. Coefficients at their default of 1, the paper
+ * random mode and timing settings at their defaults are omitted.
+ * @param {{ params, seed, viewMode, numRuns, timing? }} scenario
+ */
+export const encodeScenarioQuery = ({ params, seed, viewMode, numRuns, timing }) => {
+  const query = new URLSearchParams();
+  PARAMETER_KEYS.forEach(key => query.set(key, formatNumber(params[key])));
+  COEFFICIENT_KEYS.forEach(key => {
+    const value = params.coefficients?.[key] ?? 1;
+    if (value !== 1) query.set(key, formatNumber(value));
+  });
+  (params.interventions ?? []).forEach(iv => {
+    query.append('iv', [iv.key, iv.type, iv.start, iv.end ?? '', formatNumber(iv.value), iv.operation].join(','));
+  });
+  (params.exitRules ?? []).forEach(rule => {
+    query.append('exit', [rule.type, formatNumber(rule.threshold), ...(rule.type === 'wellbeing' ? [formatNumber(rule.periods)] : [])].join(','));
+  });
+  if (params.randomMode && params.randomMode !== 'paper') query.set('randomMode', params.randomMode);
+  Object.entries(params.equations ?? {}).forEach(([symbol, equation]) => query.append('eq', `${symbol}:${equation}`));
+  Object.keys(DEFAULT_TIMING).forEach(key => {
+    if (timing && timing[key] !== DEFAULT_TIMING[key]) query.set(key, key === 'method' ? timing[key] : formatNumber(timing[key]));
+  });
+  if (seed !== null && seed !== undefined) query.set('seed', String(seed));
+  if (SHARED_VIEWS.includes(viewMode)) query.set('view', viewMode);
+  if (numRuns) query.set('runs', String(numRuns));
+  return query.toString();
+};
+
+/**
+ * Scenario fields found in a query string; invalid or missing values are left out.
+ * A linked run starts on load, so timing is held to what the app offers: the
+ * horizon is capped at MAX_FINAL_TIME and dt and substeps must be among the options.
+ * @param {string} search - e.g. window.location.search
+ * @returns {{ params?: object, coefficients?: object, interventions?: object[], exitRules?: object[], randomMode?: string,
+ *   equations?: object, timing?: object, seed?: number, viewMode?: string, numRuns?: number }}
+ */
+export const decodeScenarioQuery = (search) => {
+  const query = new URLSearchParams(search);
+  const number = (key, min, max) => {
+    if (!query.has(key)) return undefined;
+    const value = Number(query.get(key));
+    return Number.isFinite(value) && value >= min && value <= max ? value : undefined;
+  };
+
+  const scenario = {};
+  const params = {};
+  PARAMETER_KEYS.forEach(key => {
+    const value = number(key, 0, 1);
+    if (value !== undefined) params[key] = value;
+  });
+  if (Object.keys(params).length > 0) scenario.params = params;
+
+  const coefficients = {};
+  COEFFICIENT_KEYS.forEach(key => {
+    const value = number(key, 0, Infinity);
+    if (value !== undefined) coefficients[key] = value;
+  });
+  if (Object.keys(coefficients).length > 0) scenario.coefficients = coefficients;
+
+  const interventions = normalizeInterventions(query.getAll('iv').map(entry => {
+    const [key, type, start, end, value, operation] = entry.split(',');
+    return { key, type, start: Number(start), end: end === '' ? null : Number(end), value: Number(value), operation };
+  }));
+  if (interventions.length > 0) scenario.interventions = interventions;
+
+  const exitRules = normalizeExitRules(query.getAll('exit').map(entry => {
+    const [type, threshold, periods] = entry.split(',');
+    return { type, threshold: Number(threshold), periods: Number(periods) };
+  }));
+  if (exitRules.length > 0) scenario.exitRules = exitRules;
+
+  const randomMode = query.get('randomMode');
+  if (RANDOM_MODES.includes(randomMode)) scenario.randomMode = randomMode;
+
+  const equations = normalizeEquations(Object.fromEntries(query.getAll('eq').map(entry => {
+    const separator = entry.indexOf(':');
+    return [entry.slice(0, separator), entry.slice(separator + 1)];
+  })));
+  if (Object.keys(equations).length > 0) scenario.equations = equations;
+
+  const timing = {};
+  const finalTime = number('finalTime', Number.MIN_VALUE, Infinity);
+  const dt = number('dt', Number.MIN_VALUE, Infinity);
+  const recordEvery = number('recordEvery', 0, Infinity);
+  if (finalTime !== undefined) timing.finalTime = Math.min(finalTime, MAX_FINAL_TIME);
+  if (DT_OPTIONS.includes(dt)) timing.dt = dt;
+  if (recordEvery !== undefined) timing.recordEvery = recordEvery;
+  const method = query.get('method');
+  if (INTEGRATION_METHODS.includes(method)) timing.method = method;
+  const substeps = number('substeps', 1, Infinity);
+  if (SUBSTEP_OPTIONS.includes(substeps)) timing.substeps = substeps;
+  if (Object.keys(timing).length > 0) scenario.timing = timing;
+
+  const seed = number('seed', 0, Number.MAX_SAFE_INTEGER);
+  if (Number.isInteger(seed)) scenario.seed = seed;
+
+  const view = query.get('view');
+  if (SHARED_VIEWS.includes(view)) scenario.viewMode = view;
+
+  const runs = number('runs', 1, Number.MAX_SAFE_INTEGER);
+  if (Number.isInteger(runs)) scenario.numRuns = runs;
+
+  return scenario;
+};
+
+// Absolute link to the current page with the scenario in its query string
+export const scenarioLink = (scenario) =>
+  `${window.location.origin}${window.location.pathname}?${encodeScenarioQuery(scenario)}`;
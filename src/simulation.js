@@ -0,0 +1,1956 @@
+// Headless simulation engine for the entrepreneurial well-being model
+// (Dimov & Pistrui, 2024). No DOM or React dependencies: it runs in the
+// browser, in the simulation worker and under Node (see bin/wellbeing-sim.js).
+//
+//   import { runSimulation, runMultipleSimulations } from 'entrepreneurial-wellbeing-simulator';
+//   const trajectory = runSimulation({ ambition: 0.7, skill: 0.5, selfRegulation: 0.3, dynamism: 0.2 }, 500, 42);
+//
+// Params: { ambition, skill, selfRegulation, dynamism, coefficients: { var1 … var10 },
+// interventions?, exitRules?, randomMode?, equations? }, all in [0, 1]; missing
+// coefficients default to 1. See parametersAt for the intervention timeline,
+// EXIT_RULE_TYPES for exits, resolveTiming for the horizon, time step, recording
+// interval and integrator, RANDOM_MODES for the random streams and MODEL_DEFINITION
+// for the equations.
+
+// ============================================
+// RANDOM STREAMS
+// ============================================
+// 'paper' reproduces the published implementation: a 31-bit LCG, normals
+// clipped to their bounds and setbacks drawn as 0/1. 'modern' uses
+// xoshiro128**, samples truncated normals properly and draws true Poisson
+// counts. Both expose next, nextNormal, nextTruncatedNormal and nextPoisson.
+export const RANDOM_MODES = ['paper', 'modern'];
+
+/**
+ * Linear congruential generator of the paper-faithful random streams.
+ * @param {number} seed - integer seed
+ */
+export class SeededRandom {
+  constructor(seed) {
+    this.seed = seed;
+  }
+  
+  next() {
+    this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
+    return this.seed / 0x7fffffff;
+  }
+  
+  // Box-Muller transform for normal distribution
+  nextNormal(mean = 0, std = 1) {
+    const u1 = this.next();
+    const u2 = this.next();
+    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    return mean + z * std;
+  }
+  
+  // Random Normal with truncation: mean, std, min, max
+  nextTruncatedNormal(mean, std, min, max) {
+    let value = this.nextNormal(mean, std);
+    return Math.max(min, Math.min(max, value));
+  }
+  
+  // Poisson-like: returns 1 with probability = mean, else 0 (truncated to [min, max])
+  nextPoisson(mean, min, max) {
+    const value = this.next() < mean ? 1 : 0;
+    return Math.max(min, Math.min(max, value));
+  }
+}
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+/**
+ * xoshiro128** generator (Blackman & Vigna) with exact samplers.
+ * @param {number} seed - integer seed, expanded into the 128-bit state with splitmix32
+ */
+export class Xoshiro128Random {
+  constructor(seed) {
+    let x = seed >>> 0;
+    const splitmix32 = () => {
+      x = (x + 0x9e3779b9) | 0;
+      let z = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+      z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+      return (z ^ (z >>> 16)) >>> 0;
+    };
+    this.state = Uint32Array.from({ length: 4 }, splitmix32);
+  }
+
+  nextUint32() {
+    const s = this.state;
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result;
+  }
+
+  // Uniform on [0, 1)
+  next() {
+    return this.nextUint32() / 4294967296;
+  }
+
+  // Box-Muller on (0, 1], so the logarithm is always finite
+  nextNormal(mean = 0, std = 1) {
+    const u1 = 1 - this.next();
+    const u2 = this.next();
+    return mean + Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2) * std;
+  }
+
+  // Normal conditioned on [min, max]. Finite bounds use uniform proposals
+  // accepted with the normal density relative to its peak on the interval
+  // (Robert, 1995); a half-open bound falls back to rejecting normal draws.
+  nextTruncatedNormal(mean, std, min, max) {
+    if (!(std > 0) || !(max > min)) return Math.max(min, Math.min(max, mean));
+    const a = (min - mean) / std;
+    const b = (max - mean) / std;
+    if (!Number.isFinite(a) || !Number.isFinite(b)) {
+      for (;;) {
+        const z = this.nextNormal();
+        if (z >= a && z <= b) return mean + z * std;
+      }
+    }
+    const peak = a > 0 ? a : b < 0 ? b : 0;
+    for (;;) {
+      const z = a + (b - a) * this.next();
+      if (this.next() <= Math.exp((peak * peak - z * z) / 2)) return mean + z * std;
+    }
+  }
+
+  // Poisson count (Knuth's product method; normal approximation above mean 30),
+  // clamped to [min, max]
+  nextPoisson(mean, min = 0, max = Infinity) {
+    let count;
+    if (!(mean > 0)) {
+      count = 0;
+    } else if (mean > 30) {
+      count = Math.max(0, Math.round(this.nextNormal(mean, Math.sqrt(mean))));
+    } else {
+      const limit = Math.exp(-mean);
+      let product = this.next();
+      count = 0;
+      while (product > limit) {
+        count++;
+        product *= this.next();
+      }
+    }
+    return Math.max(min, Math.min(max, count));
+  }
+}
+
+/**
+ * Random stream for a mode of RANDOM_MODES.
+ * @param {number} seed - integer seed
+ * @param {string} [mode='paper']
+ */
+export const createRandomStream = (seed, mode = 'paper') =>
+  (mode === 'modern' ? new Xoshiro128Random(seed) : new SeededRandom(seed));
+
+// ============================================
+// INTERVENTIONS
+// ============================================
+// A timeline of scheduled changes to one main parameter or Var coefficient:
+//   { key, type, start, end, value, operation }
+// type 'step':  target value from period start onwards (end is ignored)
+// type 'pulse': target value for start <= period < end, then back
+// type 'ramp':  linear change from start to end, then held at the target
+// operation 'set' uses value as the target; 'multiply' scales the current
+// value by it (e.g. a market crash doubling dynamism).
+// Interventions apply in list order, so later ones build on earlier ones.
+export const INTERVENTION_TYPES = ['step', 'ramp', 'pulse'];
+
+/**
+ * Parameters in effect at a given period once interventions are applied.
+ * @param {object} params - model parameters with an optional interventions list
+ * @param {number} time - period
+ * @returns {object} params (unchanged object when nothing applies)
+ */
+export const parametersAt = (params, time) => (params.interventions ?? []).reduce((current, iv) => {
+  const base = getParameter(current, iv.key);
+  const target = iv.operation === 'multiply' ? base * iv.value : iv.value;
+  let value = base;
+  if (iv.type === 'step') {
+    if (time >= iv.start) value = target;
+  } else if (iv.type === 'pulse') {
+    if (time >= iv.start && time < iv.end) value = target;
+  } else if (iv.type === 'ramp') {
+    if (time >= iv.end) value = target;
+    else if (time >= iv.start) value = base + (target - base) * (time - iv.start) / (iv.end - iv.start);
+  }
+  return value === base ? current : withParameter(current, iv.key, value);
+}, params);
+
+// Interventions from untrusted input; invalid entries are dropped
+export const normalizeInterventions = (list) => (Array.isArray(list) ? list : [])
+  .filter(iv => iv && (PARAMETER_KEYS.includes(iv.key) || COEFFICIENT_KEYS.includes(iv.key))
+    && INTERVENTION_TYPES.includes(iv.type)
+    && [iv.start, iv.value].every(Number.isFinite)
+    && (iv.type === 'step' || (Number.isFinite(iv.end) && iv.end > iv.start)))
+  .map(iv => ({
+    key: iv.key,
+    type: iv.type,
+    start: iv.start,
+    end: iv.type === 'step' ? null : iv.end,
+    value: iv.value,
+    operation: iv.operation === 'multiply' ? 'multiply' : 'set',
+  }));
+
+// ============================================
+// EXIT RULES
+// ============================================
+// Optional absorbing exits that end a run early (venture abandonment):
+//   { type: 'wellbeing', threshold, periods }  well-being below threshold for
+//                                              `periods` consecutive periods
+//   { type: 'motivation', threshold }          motivation falls to threshold (default 0)
+// Rules are checked after each update; the first one to fire ends the run and
+// its type is recorded as the exit reason on the last trajectory point.
+export const EXIT_RULE_TYPES = ['wellbeing', 'motivation'];
+
+// Exit rules from untrusted input; invalid entries are dropped
+export const normalizeExitRules = (list) => (Array.isArray(list) ? list : [])
+  .filter(rule => rule && EXIT_RULE_TYPES.includes(rule.type) && Number.isFinite(rule.threshold ?? 0)
+    && (rule.type !== 'wellbeing' || (Number.isFinite(rule.periods) && rule.periods >= 0)))
+  .map(rule => (rule.type === 'wellbeing'
+    ? { type: 'wellbeing', threshold: rule.threshold ?? 0, periods: rule.periods }
+    : { type: 'motivation', threshold: rule.threshold ?? 0 }));
+
+/**
+ * Exit of a run from its trajectory.
+ * @param {object[]} trajectory - from runSimulation
+ * @returns {{ time: number, reason: string } | null} null when the run reached finalTime
+ */
+export const exitOf = (trajectory) => {
+  const last = trajectory[trajectory.length - 1];
+  return last?.exit ? { time: last.period, reason: last.exit } : null;
+};
+
+// ============================================
+// TIMING
+// ============================================
+// finalTime: horizon in periods; dt: time step (flows are rates per period and
+// are scaled by dt; random inputs are drawn once per step); recordEvery: periods
+// between recorded points, or 0 to record every step; method and substeps: the
+// integrator and the number of sub-steps of size dt / substeps it takes per step.
+// The paper's setup is 500 / 1 / 5 with one Euler sub-step.
+export const DEFAULT_TIMING = { finalTime: 500, dt: 1, recordEvery: 5, method: 'euler', substeps: 1 };
+
+// The settings the app offers: horizons up to MAX_FINAL_TIME, these time steps and
+// these integrator sub-steps per time step
+export const MAX_FINAL_TIME = 5000;
+
+export const DT_OPTIONS = [1, 0.5, 0.25, 0.1];
+
+export const SUBSTEP_OPTIONS = [1, 2, 4, 10];
+
+// 'heun' is the second-order predictor–corrector (XMILE's RK2), 'rk4' classic Runge–Kutta
+export const INTEGRATION_METHODS = ['euler', 'heun', 'rk4'];
+
+/**
+ * Complete timing settings from a horizon or a partial timing object.
+ * Wherever the API takes finalTime it also accepts a timing object.
+ * @param {number|object} [timing] - finalTime, or { finalTime?, dt?, recordEvery?, method?, substeps? }
+ * @returns {{ finalTime: number, dt: number, recordEvery: number, method: string, substeps: number }}
+ */
+export const resolveTiming = (timing = {}) => {
+  const { finalTime, dt, recordEvery, method, substeps } = typeof timing === 'number' ? { finalTime: timing } : (timing ?? {});
+  const resolved = {
+    finalTime: Number.isFinite(finalTime) && finalTime > 0 ? finalTime : DEFAULT_TIMING.finalTime,
+    dt: Number.isFinite(dt) && dt > 0 ? dt : DEFAULT_TIMING.dt,
+    recordEvery: Number.isFinite(recordEvery) && recordEvery >= 0 ? recordEvery : DEFAULT_TIMING.recordEvery,
+    method: INTEGRATION_METHODS.includes(method) ? method : DEFAULT_TIMING.method,
+    substeps: Number.isInteger(substeps) && substeps >= 1 ? substeps : DEFAULT_TIMING.substeps,
+  };
+  // Recording cannot be finer than the integration step
+  if (resolved.recordEvery > 0 && resolved.recordEvery < resolved.dt) resolved.recordEvery = resolved.dt;
+  return resolved;
+};
+
+// ============================================
+// RANDOM INPUTS
+// ============================================
+// Each random input has its own stream, seeded at a fixed offset from the
+// run's seed, and is drawn once per step whatever the model state. The draws
+// therefore depend only on the seed and the parameter schedule, and can be
+// regenerated apart from a run (see randomInputSeries).
+
+// Step-by-step sampler of the random inputs:
+// (ambition, dynamism, dt) => { challenge, hindrance, advanceNoise, setbackCount, setbackSize }
+const createInputStreams = (params, seed) => {
+  const stream = (offset) => createRandomStream(seed + offset, params.randomMode);
+  const advance = stream(0);
+  const setbackSize = stream(1000);
+  const setbackCount = stream(1500);
+  const challenge = stream(2000);
+  const hindrance = stream(3000);
+  // The paper counts at most one setback per step
+  const maxSetbacks = params.randomMode === 'modern' ? Infinity : 1;
+  return (ambition, dynamism, dt) => ({
+    challenge: ambition === 0 ? 0 : challenge.nextTruncatedNormal(0, ambition, 0, ambition),
+    hindrance: ambition === 0 ? 0 : hindrance.nextTruncatedNormal(0, ambition, 0, ambition),
+    advanceNoise: advance.nextTruncatedNormal(0, ambition, 0, ambition),
+    setbackCount: setbackCount.nextPoisson(dynamism * dt, 0, maxSetbacks),
+    setbackSize: setbackSize.nextTruncatedNormal(0, ambition, 0, ambition),
+  });
+};
+
+// Means of a standard normal clipped to [0, 1], φ(0) − φ(1) + 1 − Φ(1) (the paper
+// streams), and truncated to it, (φ(0) − φ(1)) / (Φ(1) − ½) (the modern ones). An
+// input N(0, A) on [0, A] has A times this mean.
+const UNIT_INPUT_MEANS = { paper: 0.3156268098137464, modern: 0.4598622292864266 };
+
+// Mean-field counterpart of createInputStreams: every input at its expected value.
+// The setback count's mean is its probability dynamism × dt (at most 1) in the paper
+// streams and the Poisson mean in the modern ones.
+const expectedInputs = (params) => {
+  const modern = params.randomMode === 'modern';
+  const unit = modern ? UNIT_INPUT_MEANS.modern : UNIT_INPUT_MEANS.paper;
+  return (ambition, dynamism, dt) => ({
+    challenge: ambition * unit,
+    hindrance: ambition * unit,
+    advanceNoise: ambition * unit,
+    setbackCount: modern ? dynamism * dt : Math.min(1, dynamism * dt),
+    setbackSize: ambition * unit,
+  });
+};
+
+/**
+ * The random inputs a run with this seed draws at each integration step.
+ * @param {object} params - model parameters (interventions shape the draws)
+ * @param {number|object} [timing=500] - finalTime or a timing object
+ * @param {number} seed
+ * @returns {{ period, challenge, hindrance, advanceNoise, setbackCount, setbackSize }[]}
+ *   one entry per step from period 0 to finalTime (ignoring exit rules)
+ */
+export const randomInputSeries = (params, timing = DEFAULT_TIMING.finalTime, seed) => {
+  const { finalTime, dt } = resolveTiming(timing);
+  const drawInputs = createInputStreams(params, seed);
+  return Array.from({ length: Math.round(finalTime / dt) + 1 }, (_, step) => {
+    const { ambition, dynamism } = parametersAt(params, step * dt);
+    return { period: +(step * dt).toFixed(4), ...drawInputs(ambition, dynamism, dt) };
+  });
+};
+
+// ============================================
+// MODEL DEFINITION
+// ============================================
+// The model as data. Equations use a small subset of the XMILE expression
+// language, so they carry over to Stella and Vensim unchanged (see xmile.js):
+// numbers, names, + - * / ^, comparisons (= <> < <= > >=), AND, OR, NOT,
+// IF c THEN a ELSE b, and MIN, MAX, EXP, LN, LOG10, ABS and SQRT. Names are
+// matched without regard to case; TIME, DT and Final_time are built in.
+//
+// Each step the auxiliaries and flows are evaluated at the current stocks, the
+// stocks integrate their flows over dt, and the outputs are evaluated at the
+// new stocks. `key` names the field a variable is recorded under in trajectories.
+export const MODEL_DEFINITION = {
+  parameters: [
+    { symbol: 'Ambition', key: 'ambition' },
+    { symbol: 'Skill', key: 'skill' },
+    { symbol: 'Self_regulation', key: 'selfRegulation' },
+    { symbol: 'Dynamism', key: 'dynamism' },
+  ],
+  coefficients: [
+    { symbol: 'Var1', key: 'var1', role: 'Motivation increase' },
+    { symbol: 'Var2', key: 'var2', role: 'Challenge stressors lowering recovery' },
+    { symbol: 'Var3', key: 'var3', role: 'Hindrance stressors lowering recovery' },
+    { symbol: 'Var4', key: 'var4', role: 'Challenge stressors raising strain' },
+    { symbol: 'Var5', key: 'var5', role: 'Hindrance stressors raising strain' },
+    { symbol: 'Var6', key: 'var6', role: 'Strain decrease' },
+    { symbol: 'Var7', key: 'var7', role: 'Motivation decrease' },
+    { symbol: 'Var8', key: 'var8', role: 'Effort' },
+    { symbol: 'Var9', key: 'var9', role: 'Motivation in well-being' },
+    { symbol: 'Var10', key: 'var10', role: 'Strain in well-being' },
+  ],
+  stocks: [
+    { symbol: 'Motivation', key: 'motivation', initial: 0, nonNegative: true, inflows: ['Motivation_increase'], outflows: ['Motivation_decrease'] },
+    { symbol: 'Strain', key: 'strain', initial: 0, nonNegative: true, inflows: ['Strain_increase'], outflows: ['Strain_decrease'] },
+    { symbol: 'Cumulative_effort', key: 'cumulativeEffort', initial: 0, nonNegative: false, inflows: ['Effort'], outflows: [] },
+    { symbol: 'Performance', key: 'performance', initial: 0, nonNegative: true, inflows: ['Advance'], outflows: ['Setback'] },
+  ],
+  // Drawn from their own streams each step (see createInputStreams); not editable
+  randomInputs: [
+    { symbol: 'Challenge_stressors', key: 'challengeStressors', input: 'challenge', distribution: 'N(0, Ambition) on [0, Ambition]; 0 when Ambition = 0' },
+    { symbol: 'Hindrance_stressors', key: 'hindranceStressors', input: 'hindrance', distribution: 'N(0, Ambition) on [0, Ambition]; 0 when Ambition = 0' },
+    { symbol: 'Advance_noise', key: 'advanceNoise', input: 'advanceNoise', distribution: 'N(0, Ambition) on [0, Ambition]' },
+    { symbol: 'Setback_count', key: 'setbackCount', input: 'setbackCount', distribution: 'Poisson(Dynamism × DT), at most 1 in paper mode' },
+    { symbol: 'Setback_size', key: 'setbackSize', input: 'setbackSize', distribution: 'N(0, Ambition) on [0, Ambition]' },
+  ],
+  auxiliaries: [
+    { symbol: 'Progress_sensitivity', equation: 'TIME / Final_time' },
+    { symbol: 'Relative_progress', equation: 'IF Cumulative_effort = 0 THEN 0 ELSE Performance / Cumulative_effort' },
+    { symbol: 'Resources', key: 'resources', equation: 'Ambition * (1 - Progress_sensitivity) + Relative_progress * Progress_sensitivity' },
+    { symbol: 'Recovery', key: 'recovery', equation: 'IF Ambition = 0 THEN 1 ELSE 1 - (1 - Self_regulation) * (Var2 * Challenge_stressors + Var3 * Hindrance_stressors) / (2 * Ambition)' },
+  ],
+  flows: [
+    { symbol: 'Motivation_increase', key: 'motivationIncrease', equation: 'MAX(Challenge_stressors, Resources) * Recovery * Var1' },
+    { symbol: 'Motivation_decrease', key: 'motivationDecrease', equation: 'MIN(Motivation / DT, (1 - Self_regulation) * Hindrance_stressors * Var7)' },
+    { symbol: 'Strain_increase', key: 'strainIncrease', equation: 'IF Ambition = 0 THEN 0 ELSE (1 - Self_regulation) * (Var4 * Challenge_stressors + Var5 * Hindrance_stressors) / (2 * Ambition)' },
+    { symbol: 'Strain_decrease', key: 'strainDecrease', equation: 'MIN(Strain / DT, Resources * Recovery * Var6)' },
+    { symbol: 'Effort', key: 'effort', equation: 'IF Motivation = 0 THEN 0 ELSE Var8 * (1 / (1 + EXP(Strain - Motivation)))' },
+    { symbol: 'Advance', key: 'advance', equation: 'Effort * Skill * Advance_noise' },
+    // A setback removes its whole size within one step, so its rate is size / DT
+    { symbol: 'Setback', key: 'setback', equation: 'Setback_count * MIN(Performance, Setback_size) / DT' },
+  ],
+  // Evaluated at the updated stocks; they may use stocks, parameters and coefficients only
+  outputs: [
+    { symbol: 'Well_being', key: 'wellbeing', equation: 'Var9 * Motivation - Var10 * Strain' },
+  ],
+};
+
+const BUILTIN_SYMBOLS = ['TIME', 'DT', 'Final_time'];
+
+// Fields of a trajectory point, in order
+const TRAJECTORY_FIELDS = ['motivation', 'strain', 'effort', 'performance', 'wellbeing', 'resources', 'recovery',
+  'cumulativeEffort', 'challengeStressors', 'hindranceStressors', 'advance', 'setback',
+  'motivationIncrease', 'motivationDecrease', 'strainIncrease', 'strainDecrease'];
+const SYMBOL_OF_FIELD = Object.fromEntries(['stocks', 'randomInputs', 'auxiliaries', 'flows', 'outputs']
+  .flatMap(group => MODEL_DEFINITION[group]).filter(v => v.key).map(v => [v.key, v.symbol]));
+
+const EDITABLE_VARIABLES = [...MODEL_DEFINITION.auxiliaries, ...MODEL_DEFINITION.flows, ...MODEL_DEFINITION.outputs];
+
+// Symbols whose equations can be replaced through params.equations
+export const EDITABLE_SYMBOLS = EDITABLE_VARIABLES.map(v => v.symbol);
+
+const canonicalSymbol = (name) => name.toLowerCase();
+const symbolByName = new Map([
+  ...BUILTIN_SYMBOLS,
+  ...['parameters', 'coefficients', 'stocks', 'randomInputs'].flatMap(group => MODEL_DEFINITION[group].map(v => v.symbol)),
+  ...EDITABLE_SYMBOLS,
+].map(symbol => [canonicalSymbol(symbol), symbol]));
+
+/**
+ * The model definition with edited equations in place of the paper's.
+ * @param {object} [equations] - symbol → equation text (see params.equations)
+ * @returns {object} a definition shaped like MODEL_DEFINITION; edited variables have edited: true
+ */
+export const modelDefinition = (equations = {}) => {
+  const edit = (v) => (equations[v.symbol] !== undefined ? { ...v, equation: equations[v.symbol], edited: true } : v);
+  return {
+    ...MODEL_DEFINITION,
+    auxiliaries: MODEL_DEFINITION.auxiliaries.map(edit),
+    flows: MODEL_DEFINITION.flows.map(edit),
+    outputs: MODEL_DEFINITION.outputs.map(edit),
+  };
+};
+
+// ============================================
+// EXPRESSIONS
+// ============================================
+// Equations are parsed into a syntax tree and compiled to closures over an
+// array of variable values. Names resolve only to model symbols, so an
+// equation cannot reach anything outside the model.
+
+const FUNCTIONS = {
+  MIN: { arity: [2, Infinity], apply: Math.min },
+  MAX: { arity: [2, Infinity], apply: Math.max },
+  EXP: { arity: [1, 1], apply: Math.exp },
+  LN: { arity: [1, 1], apply: Math.log },
+  LOG10: { arity: [1, 1], apply: Math.log10 },
+  ABS: { arity: [1, 1], apply: Math.abs },
+  SQRT: { arity: [1, 1], apply: Math.sqrt },
+};
+const KEYWORDS = ['IF', 'THEN', 'ELSE', 'AND', 'OR', 'NOT'];
+
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|<>|[-+*/^()<>=,]))/y;
+  let index = 0;
+  while (index < text.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) {
+      if (text.slice(index).trim() === '') break;
+      throw new Error(`Unexpected "${text.slice(index).trim()[0]}" at position ${index + text.slice(index).search(/\S/) + 1}`);
+    }
+    const [token, number, name, operator] = match;
+    const position = index + token.search(/\S/) + 1;
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number), position });
+    else if (name !== undefined && KEYWORDS.includes(name.toUpperCase())) tokens.push({ type: 'keyword', value: name.toUpperCase(), position });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name, position });
+    else tokens.push({ type: 'operator', value: operator, position });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+};
+
+// Recursive-descent parser; comparisons bind looser than arithmetic and ^ is right-associative
+const parseExpression = (text) => {
+  const tokens = tokenize(text);
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `"${token.value}" at position ${token.position}` : 'end of equation');
+  const accept = (type, value) => {
+    const token = peek();
+    if (token && token.type === type && (value === undefined || token.value === value)) {
+      index++;
+      return token;
+    }
+    return null;
+  };
+  const expect = (type, value) => {
+    const token = accept(type, value);
+    if (!token) throw new Error(`Expected ${value ?? type} but found ${describe(peek())}`);
+    return token;
+  };
+
+  const binary = (parseOperand, operators, type) => () => {
+    let node = parseOperand();
+    let token;
+    while ((token = peek()) && token.type === type && operators.includes(token.value)) {
+      index++;
+      node = { kind: 'binary', operator: token.value, left: node, right: parseOperand() };
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const token = peek();
+    if (accept('number')) return { kind: 'number', value: token.value };
+    if (accept('operator', '(')) {
+      const node = expression();
+      expect('operator', ')');
+      return node;
+    }
+    if (accept('keyword', 'IF')) {
+      const condition = expression();
+      expect('keyword', 'THEN');
+      const then = expression();
+      expect('keyword', 'ELSE');
+      return { kind: 'if', condition, then, otherwise: expression() };
+    }
+    if (accept('name')) {
+      if (!accept('operator', '(')) return { kind: 'name', name: token.value, position: token.position };
+      const fn = FUNCTIONS[token.value.toUpperCase()];
+      if (!fn) throw new Error(`Unknown function "${token.value}" at position ${token.position}`);
+      const args = [];
+      if (!accept('operator', ')')) {
+        do args.push(expression()); while (accept('operator', ','));
+        expect('operator', ')');
+      }
+      const [min, max] = fn.arity;
+      if (args.length < min || args.length > max) {
+        throw new Error(`${token.value.toUpperCase()} takes ${min === max ? min : `at least ${min}`} argument${min === 1 && max === 1 ? '' : 's'}`);
+      }
+      return { kind: 'call', name: token.value.toUpperCase(), args };
+    }
+    throw new Error(`Unexpected ${describe(token)}`);
+  };
+  const power = () => {
+    const base = primary();
+    return accept('operator', '^') ? { kind: 'binary', operator: '^', left: base, right: unary() } : base;
+  };
+  const unary = () => {
+    if (accept('operator', '-')) return { kind: 'negate', operand: unary() };
+    if (accept('operator', '+')) return unary();
+    return power();
+  };
+  const term = binary(unary, ['*', '/'], 'operator');
+  const sum = binary(term, ['+', '-'], 'operator');
+  const comparison = () => {
+    const left = sum();
+    const token = peek();
+    if (token?.type === 'operator' && ['=', '<>', '<', '<=', '>', '>='].includes(token.value)) {
+      index++;
+      return { kind: 'binary', operator: token.value, left, right: sum() };
+    }
+    return left;
+  };
+  const negation = () => (accept('keyword', 'NOT') ? { kind: 'not', operand: negation() } : comparison());
+  const conjunction = binary(negation, ['AND'], 'keyword');
+  const expression = binary(conjunction, ['OR'], 'keyword');
+
+  if (tokens.length === 0) throw new Error('Empty equation');
+  const tree = expression();
+  if (index < tokens.length) throw new Error(`Unexpected ${describe(peek())}`);
+  return tree;
+};
+
+// Model symbols an equation refers to
+const referencesOf = (node, found = new Set()) => {
+  if (node.kind === 'name') {
+    const symbol = symbolByName.get(canonicalSymbol(node.name));
+    if (!symbol) throw new Error(`Unknown name "${node.name}" at position ${node.position}`);
+    found.add(symbol);
+  }
+  [node.left, node.right, node.operand, node.condition, node.then, node.otherwise, ...(node.args ?? [])]
+    .filter(Boolean).forEach(child => referencesOf(child, found));
+  return found;
+};
+
+const BINARY_OPERATORS = {
+  '+': (a, b) => (v) => a(v) + b(v),
+  '-': (a, b) => (v) => a(v) - b(v),
+  '*': (a, b) => (v) => a(v) * b(v),
+  '/': (a, b) => (v) => a(v) / b(v),
+  '^': (a, b) => (v) => a(v) ** b(v),
+  '=': (a, b) => (v) => (a(v) === b(v) ? 1 : 0),
+  '<>': (a, b) => (v) => (a(v) !== b(v) ? 1 : 0),
+  '<': (a, b) => (v) => (a(v) < b(v) ? 1 : 0),
+  '<=': (a, b) => (v) => (a(v) <= b(v) ? 1 : 0),
+  '>': (a, b) => (v) => (a(v) > b(v) ? 1 : 0),
+  '>=': (a, b) => (v) => (a(v) >= b(v) ? 1 : 0),
+  AND: (a, b) => (v) => (a(v) !== 0 && b(v) !== 0 ? 1 : 0),
+  OR: (a, b) => (v) => (a(v) !== 0 || b(v) !== 0 ? 1 : 0),
+};
+
+// Closure computing a syntax tree from the values array
+const compileNode = (node, slots) => {
+  switch (node.kind) {
+    case 'number': {
+      const { value } = node;
+      return () => value;
+    }
+    case 'name': {
+      const slot = slots[symbolByName.get(canonicalSymbol(node.name))];
+      return (v) => v[slot];
+    }
+    case 'negate': {
+      const operand = compileNode(node.operand, slots);
+      return (v) => -operand(v);
+    }
+    case 'not': {
+      const operand = compileNode(node.operand, slots);
+      return (v) => (operand(v) === 0 ? 1 : 0);
+    }
+    case 'if': {
+      const condition = compileNode(node.condition, slots);
+      const then = compileNode(node.then, slots);
+      const otherwise = compileNode(node.otherwise, slots);
+      return (v) => (condition(v) !== 0 ? then(v) : otherwise(v));
+    }
+    case 'call': {
+      const { apply } = FUNCTIONS[node.name];
+      const args = node.args.map(arg => compileNode(arg, slots));
+      if (args.length === 1) return (v) => apply(args[0](v));
+      if (args.length === 2) return (v) => apply(args[0](v), args[1](v));
+      return (v) => apply(...args.map(arg => arg(v)));
+    }
+    default:
+      return BINARY_OPERATORS[node.operator](compileNode(node.left, slots), compileNode(node.right, slots));
+  }
+};
+
+/**
+ * Check one equation without running it.
+ * @param {string} text - equation
+ * @returns {string[]} the model symbols it refers to
+ * @throws {Error} on a syntax error or an unknown name or function
+ */
+export const equationReferences = (text) => [...referencesOf(parseExpression(text))];
+
+const compiledModels = new Map();
+const MAX_COMPILED_MODELS = 20;
+
+/**
+ * Compile the model, with edited equations, for runSimulation. Compiled models are cached.
+ * @param {object} [equations] - symbol → equation text replacing the paper's
+ * @returns {{ definition, slots, size, evaluate, integrate, evaluateOutputs }} evaluate(values, held?)
+ *   computes auxiliaries and flows in dependency order, except the slots in the Set held;
+ *   integrate(values, dt, { method, substeps }, clamps?) updates the stocks
+ *   and evaluateOutputs(values) the outputs; slots maps each symbol to its index in values
+ * @throws {Error} naming the variable whose equation is invalid, or the variables in a cycle
+ */
+export const compileModel = (equations = {}) => {
+  const cacheKey = JSON.stringify(equations);
+  if (compiledModels.has(cacheKey)) return compiledModels.get(cacheKey);
+
+  Object.keys(equations).forEach(symbol => {
+    if (!EDITABLE_SYMBOLS.includes(symbol)) throw new Error(`"${symbol}" has no editable equation`);
+  });
+  const definition = modelDefinition(equations);
+  const slots = Object.fromEntries([...symbolByName.values()].map((symbol, i) => [symbol, i]));
+  const parse = (v) => {
+    try {
+      const tree = parseExpression(String(v.equation));
+      return { ...v, tree, references: referencesOf(tree) };
+    } catch (err) {
+      throw new Error(`${v.symbol}: ${err.message}`);
+    }
+  };
+
+  // Auxiliaries and flows in dependency order
+  const pending = [...definition.auxiliaries, ...definition.flows].map(parse);
+  const ordered = [];
+  const done = new Set();
+  while (pending.length > 0) {
+    const ready = pending.findIndex(v => [...v.references].every(symbol => done.has(symbol) || !pending.some(p => p.symbol === symbol)));
+    if (ready < 0) {
+      // Report only the variables on a cycle, not the ones merely waiting on it
+      let cycle = pending;
+      for (let size = 0; size !== cycle.length;) {
+        size = cycle.length;
+        cycle = cycle.filter(v => cycle.some(other => other.references.has(v.symbol)));
+      }
+      throw new Error(`Circular equations: ${cycle.map(v => v.symbol).join(', ')}`);
+    }
+    const [v] = pending.splice(ready, 1);
+    ordered.push(v);
+    done.add(v.symbol);
+  }
+  const outputs = definition.outputs.map(parse);
+  outputs.forEach(v => v.references.forEach(symbol => {
+    if (EDITABLE_SYMBOLS.includes(symbol) || MODEL_DEFINITION.randomInputs.some(r => r.symbol === symbol)) {
+      throw new Error(`${v.symbol}: outputs are evaluated after the update and cannot use ${symbol}`);
+    }
+  }));
+
+  const steps = ordered.map(v => ({ slot: slots[v.symbol], compute: compileNode(v.tree, slots) }));
+  const outputSteps = outputs.map(v => ({ slot: slots[v.symbol], compute: compileNode(v.tree, slots) }));
+  const stocks = definition.stocks.map(stock => ({
+    slot: slots[stock.symbol],
+    inflows: stock.inflows.map(symbol => slots[symbol]),
+    outflows: stock.outflows.map(symbol => slots[symbol]),
+    nonNegative: stock.nonNegative,
+  }));
+
+  const evaluate = (values, held = null) => {
+    for (const step of steps) if (!held?.has(step.slot)) values[step.slot] = step.compute(values);
+  };
+
+  // Work arrays of integrate: a copy of the values for sub-steps and stages, the
+  // stocks at the start of a sub-step and the stage rates
+  const size = symbolByName.size;
+  const stage = new Float64Array(size);
+  const start = new Float64Array(stocks.length);
+  const rates = Array.from({ length: 4 }, () => new Float64Array(stocks.length));
+  const timeSlot = slots.TIME;
+  const netRates = (values, out) => stocks.forEach((stock, i) => {
+    let rate = 0;
+    for (const slot of stock.inflows) rate += values[slot];
+    for (const slot of stock.outflows) rate -= values[slot];
+    out[i] = rate;
+  });
+  // Evaluate the flows at start + h × Σ weights × rates, at time t; stage values of
+  // non-negative stocks are floored at 0 like the stocks themselves
+  const evaluateStage = (t, h, weights) => {
+    stocks.forEach((stock, i) => {
+      let value = start[i];
+      weights.forEach((weight, k) => { if (weight !== 0) value += h * weight * rates[k][i]; });
+      stage[stock.slot] = stock.nonNegative && value < 0 ? 0 : value;
+    });
+    stage[timeSlot] = t;
+    evaluate(stage);
+  };
+
+  const model = {
+    definition,
+    slots,
+    size,
+    evaluate,
+    // Advance the stocks over one step whose flows evaluate(values) has computed. The
+    // step is split into sub-steps of the chosen method; inputs and parameters in values
+    // stay fixed throughout, and the flows in values keep their start-of-step values.
+    // A non-negative stock that ends a sub-step below 0 is set to 0, and clamps (when
+    // given) counts these events and the amount added per stock.
+    integrate: (values, dt, { method = 'euler', substeps = 1 } = {}, clamps = null) => {
+      const h = dt / substeps;
+      const time = values[timeSlot];
+      stage.set(values);
+      for (let k = 0; k < substeps; k++) {
+        const t = time + k * h;
+        if (k > 0) {
+          stage[timeSlot] = t;
+          evaluate(stage);
+        }
+        if (method === 'euler') {
+          // Written term by term so one sub-step reproduces the paper's update exactly
+          for (const stock of stocks) {
+            let value = stage[stock.slot];
+            for (const slot of stock.inflows) value = value + stage[slot] * h;
+            for (const slot of stock.outflows) value = value - stage[slot] * h;
+            stage[stock.slot] = value;
+          }
+        } else {
+          stocks.forEach((stock, i) => { start[i] = stage[stock.slot]; });
+          netRates(stage, rates[0]);
+          if (method === 'heun') {
+            evaluateStage(t + h, h, [1]);
+            netRates(stage, rates[1]);
+            stocks.forEach((stock, i) => { stage[stock.slot] = start[i] + h / 2 * (rates[0][i] + rates[1][i]); });
+          } else {
+            evaluateStage(t + h / 2, h, [0.5]);
+            netRates(stage, rates[1]);
+            evaluateStage(t + h / 2, h, [0, 0.5]);
+            netRates(stage, rates[2]);
+            evaluateStage(t + h, h, [0, 0, 1]);
+            netRates(stage, rates[3]);
+            stocks.forEach((stock, i) => {
+              stage[stock.slot] = start[i] + h / 6 * (rates[0][i] + 2 * rates[1][i] + 2 * rates[2][i] + rates[3][i]);
+            });
+          }
+        }
+        stocks.forEach((stock, i) => {
+          if (stock.nonNegative && stage[stock.slot] < 0) {
+            if (clamps) {
+              clamps.count[i]++;
+              clamps.amount[i] -= stage[stock.slot];
+            }
+            stage[stock.slot] = 0;
+          }
+        });
+      }
+      for (const stock of stocks) values[stock.slot] = stage[stock.slot];
+    },
+    evaluateOutputs: (values) => {
+      for (const step of outputSteps) values[step.slot] = step.compute(values);
+    },
+  };
+  if (compiledModels.size >= MAX_COMPILED_MODELS) compiledModels.delete(compiledModels.keys().next().value);
+  compiledModels.set(cacheKey, model);
+  return model;
+};
+
+// Values array for a compiled model with the parameters, coefficients and timing set
+const modelValues = (model, finalTime, dt) => {
+  const values = new Float64Array(model.size);
+  model.definition.stocks.forEach(stock => { values[model.slots[stock.symbol]] = stock.initial; });
+  values[model.slots.DT] = dt;
+  values[model.slots.Final_time] = finalTime;
+  return values;
+};
+
+const setParameters = (model, values, params) => {
+  MODEL_DEFINITION.parameters.forEach(p => { values[model.slots[p.symbol]] = params[p.key]; });
+  MODEL_DEFINITION.coefficients.forEach(c => { values[model.slots[c.symbol]] = params.coefficients?.[c.key] ?? 1; });
+};
+
+/**
+ * Edited equations from untrusted input: entries for unknown symbols, invalid
+ * equations and ones equal to the paper's are dropped.
+ * @param {object} [equations] - symbol → equation text
+ * @returns {object}
+ */
+export const normalizeEquations = (equations) => {
+  const defaults = Object.fromEntries(EDITABLE_VARIABLES.map(v => [v.symbol, v.equation]));
+  return Object.entries(equations && typeof equations === 'object' ? equations : {}).reduce((valid, [symbol, text]) => {
+    if (!EDITABLE_SYMBOLS.includes(symbol) || typeof text !== 'string') return valid;
+    const equation = text.trim();
+    if (equation === defaults[symbol]) return valid;
+    try {
+      compileModel({ ...valid, [symbol]: equation });
+      return { ...valid, [symbol]: equation };
+    } catch {
+      return valid;
+    }
+  }, {});
+};
+
+// ============================================
+// SIMULATION ENGINE
+// ============================================
+// One run with its clamp counts per stock, taking its random inputs from
+// drawInputs (see createInputStreams and expectedInputs)
+const simulate = (params, timing, drawInputs) => {
+  const { finalTime, dt, recordEvery, method, substeps } = resolveTiming(timing);
+  const steps = Math.round(finalTime / dt);
+  const recordStride = recordEvery === 0 ? 1 : Math.max(1, Math.round(recordEvery / dt));
+  const interventions = params.interventions ?? [];
+  const exitRules = params.exitRules ?? [];
+  const timeBelow = exitRules.map(() => 0);
+  
+  // Model equations (the paper's unless params.equations edits them), stocks at their initial values
+  const model = compileModel(params.equations);
+  const { slots } = model;
+  const values = modelValues(model, finalTime, dt);
+  setParameters(model, values, params);
+  let { ambition, dynamism } = params;
+  const recorded = TRAJECTORY_FIELDS.map(key => slots[SYMBOL_OF_FIELD[key]]);
+  const inputSlots = MODEL_DEFINITION.randomInputs.map(r => [slots[r.symbol], r.input]);
+  
+  const trajectory = [];
+  const clamps = { count: model.definition.stocks.map(() => 0), amount: model.definition.stocks.map(() => 0), firstPeriod: null };
+  const clampTotal = () => clamps.count.reduce((sum, n) => sum + n, 0);
+  let stepCount = 0;
+  
+  for (let step = 0; step <= steps; step++) {
+    const time = step * dt;
+    values[slots.TIME] = time;
+    
+    // ========== SCHEDULED INTERVENTIONS ==========
+    
+    if (interventions.length > 0) {
+      const current = parametersAt(params, time);
+      ({ ambition, dynamism } = current);
+      setParameters(model, values, current);
+    }
+    
+    // ========== RANDOM INPUTS ==========
+    
+    const inputs = drawInputs(ambition, dynamism, dt);
+    for (const [slot, input] of inputSlots) values[slot] = inputs[input];
+    
+    // ========== AUXILIARIES AND FLOWS, THEN STOCKS ==========
+    
+    model.evaluate(values);
+    const clampsBefore = clampTotal();
+    model.integrate(values, dt, { method, substeps }, clamps);
+    if (clamps.firstPeriod === null && clampTotal() > clampsBefore) clamps.firstPeriod = +time.toFixed(4);
+    stepCount++;
+    
+    // ========== OUTPUT VARIABLES ==========
+    
+    model.evaluateOutputs(values);
+    const wellbeing = values[slots.Well_being];
+    const motivation = values[slots.Motivation];
+    
+    // ========== EXIT RULES ==========
+    
+    let exit = null;
+    exitRules.forEach((rule, i) => {
+      if (rule.type === 'wellbeing') {
+        timeBelow[i] = wellbeing < rule.threshold ? timeBelow[i] + dt : 0;
+        if (!exit && wellbeing < rule.threshold && timeBelow[i] >= rule.periods - 1e-9) exit = rule.type;
+      } else if (!exit && motivation <= rule.threshold) {
+        exit = rule.type;
+      }
+    });
+    
+    // Record trajectory (every recordEvery periods for display performance, plus the final step)
+    if (step % recordStride === 0 || step === steps || exit) {
+      const point = { period: +time.toFixed(4) };
+      TRAJECTORY_FIELDS.forEach((key, i) => { point[key] = +values[recorded[i]].toFixed(3); });
+      if (exit) point.exit = exit;
+      trajectory.push(point);
+    }
+    if (exit) break;
+  }
+  
+  return { trajectory, clamps, steps: stepCount, substeps };
+};
+
+/**
+ * Simulate one entrepreneur over finalTime periods.
+ * @param {object} params - { ambition, skill, selfRegulation, dynamism, coefficients, interventions?, exitRules?,
+ *   equations? }; equations maps symbols of MODEL_DEFINITION to edited equations
+ * @param {number|object} [timing=500] - finalTime, or { finalTime, dt, recordEvery, method, substeps } (see resolveTiming)
+ * @param {number|null} [seed] - base seed for the random streams; random when omitted
+ * @returns {object[]} trajectory recorded every recordEvery periods and at finalTime:
+ *   { period, motivation, strain, effort, performance, wellbeing, resources, recovery,
+ *   cumulativeEffort, challengeStressors, hindranceStressors, advance, setback, motivationIncrease,
+ *   motivationDecrease, strainIncrease, strainDecrease }; a run ended by an exit rule stops at
+ *   the exit, whose last point also has exit: reason
+ */
+export const runSimulation = (params, timing = DEFAULT_TIMING.finalTime, seed = null) =>
+  simulate(params, timing, createInputStreams(params, seed ?? Math.floor(Math.random() * 1000000))).trajectory;
+
+/**
+ * Deterministic mean-field run: runSimulation with every random input (the stressors,
+ * advance noise, setback count and setback size) at its expected value under the
+ * current parameters and random mode. Set beside stochastic runs, it shows which
+ * behaviour comes from the feedback structure; it is not the mean of the runs, since
+ * the model is nonlinear.
+ * @param {object} params - as for runSimulation; interventions and exit rules apply
+ * @param {number|object} [timing=500] - finalTime or a timing object
+ * @returns {object[]} trajectory in the form of runSimulation's
+ */
+export const runMeanField = (params, timing = DEFAULT_TIMING.finalTime) =>
+  simulate(params, timing, expectedInputs(params)).trajectory;
+
+/**
+ * How often the non-negativity floor of each stock fired in a run. A stock is set
+ * back to 0 when a sub-step would leave it negative; frequent or large clamps mean
+ * results depend on the step size rather than on the model's dynamics.
+ * @param {object} params
+ * @param {number|object} timing - finalTime or a timing object (method and substeps apply)
+ * @param {number} seed
+ * @returns {{ method, substeps, substepCount, firstPeriod, final, stocks: { key, symbol, clamps, share, amount }[] }}
+ *   share is the fraction of sub-steps clamped, amount the total added back; firstPeriod is null
+ *   without clamps and final is the run's last trajectory point
+ */
+export const integrationDiagnostics = (params, timing, seed) => {
+  const { trajectory, clamps, steps, substeps } = simulate(params, timing, createInputStreams(params, seed));
+  const substepCount = steps * substeps;
+  return {
+    method: resolveTiming(timing).method,
+    substeps,
+    substepCount,
+    firstPeriod: clamps.firstPeriod,
+    final: trajectory[trajectory.length - 1],
+    stocks: compileModel(params.equations).definition.stocks.filter(stock => stock.nonNegative).map(stock => {
+      const i = MODEL_DEFINITION.stocks.findIndex(s => s.symbol === stock.symbol);
+      return { key: stock.key, symbol: stock.symbol, clamps: clamps.count[i], share: clamps.count[i] / substepCount, amount: clamps.amount[i] };
+    }),
+  };
+};
+
+// ============================================
+// PHASE SPACE
+// ============================================
+// Effort depends only on strain − motivation, so the dynamics are easiest to read
+// in the (motivation, strain) plane. The expected drift averages the motivation
+// and strain flows over the challenge and hindrance stressors at a given state.
+
+const STRESSOR_NODES = 24;
+
+// Quadrature for a stressor N(0, A) on [0, A], as { z: fraction of A, weight }.
+// The paper streams clip the normal (atoms at 0 and A); the modern ones truncate it.
+const stressorQuadrature = (mode) => {
+  const nodes = Array.from({ length: STRESSOR_NODES }, (_, k) => {
+    const z = (k + 0.5) / STRESSOR_NODES;
+    return { z, weight: Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI) / STRESSOR_NODES };
+  });
+  const inside = nodes.reduce((sum, node) => sum + node.weight, 0);
+  if (mode === 'modern') return nodes.map(node => ({ z: node.z, weight: node.weight / inside }));
+  return [{ z: 0, weight: 0.5 }, ...nodes, { z: 1, weight: 0.5 - inside }];
+};
+
+/**
+ * Expected rates of change of motivation and strain at a state.
+ * @param {object} params - model parameters, with any edited equations; interventions apply at state.period
+ * @param {{ motivation, strain, resources, performance?, cumulativeEffort?, period? }} state - resources
+ *   (which depends on performance and time rather than on motivation or strain) is held as given;
+ *   the other stocks default to 0 and the other random inputs are 0
+ * @param {number} [dt=1] - time step, which caps the decrease flows at stock / dt
+ * @returns {{ motivation: number, strain: number }} expected change per period
+ */
+export const expectedDrift = (params, { motivation, strain, resources, performance = 0, cumulativeEffort = 0, period = 0 }, dt = 1) => {
+  const current = parametersAt(params, period);
+  const model = compileModel(params.equations);
+  const { slots } = model;
+  const values = modelValues(model, DEFAULT_TIMING.finalTime, dt);
+  setParameters(model, values, current);
+  Object.entries({ Motivation: motivation, Strain: strain, Performance: performance, Cumulative_effort: cumulativeEffort, Resources: resources, TIME: period })
+    .forEach(([symbol, value]) => { values[slots[symbol]] = value; });
+  const held = new Set([slots.Resources]);
+  const netFlow = (symbol) => {
+    const stock = model.definition.stocks.find(s => s.symbol === symbol);
+    return stock.inflows.reduce((sum, flow) => sum + values[slots[flow]], 0) - stock.outflows.reduce((sum, flow) => sum + values[slots[flow]], 0);
+  };
+  const quadrature = stressorQuadrature(params.randomMode);
+  const drift = { motivation: 0, strain: 0 };
+  quadrature.forEach(c => quadrature.forEach(h => {
+    values[slots.Challenge_stressors] = current.ambition * c.z;
+    values[slots.Hindrance_stressors] = current.ambition * h.z;
+    model.evaluate(values, held);
+    drift.motivation += c.weight * h.weight * netFlow('Motivation');
+    drift.strain += c.weight * h.weight * netFlow('Strain');
+  }));
+  return drift;
+};
+
+// ============================================
+// BATCH STEPS
+// ============================================
+// Batch analyses are written as generators that yield
+// { done, total, partial } after each unit of work and return their result.
+// The synchronous run* wrappers drain them; the Web Worker drives them
+// incrementally so it can stream progress and honour cancellation.
+
+// Drive a step generator to completion and return its result
+export const drainSteps = (steps) => {
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+// Re-base the progress of a nested step generator within a larger job
+// (its partial results are not forwarded)
+function* offsetSteps(steps, offset, total) {
+  let step = steps.next();
+  while (!step.done) {
+    yield { done: offset + step.value.done, total };
+    step = steps.next();
+  }
+  return step.value;
+}
+
+// Random base seed for a run
+export const randomSeed = () => 1 + Math.floor(Math.random() * 999999);
+
+// Seed of replication r derived from a base seed; the stride keeps the
+// per-stream offsets used inside runSimulation from overlapping across runs
+export const replicationSeed = (seed, r) => seed + r * 7919;
+
+// Final state of one replicated run; with exit rules also its exit time and
+// reason (null for runs that reached finalTime)
+const runResult = (run, seed, params, trajectory) => {
+  const final = trajectory[trajectory.length - 1];
+  const exit = exitOf(trajectory);
+  return {
+    run,
+    seed,
+    performance: final.performance,
+    wellbeing: final.wellbeing,
+    finalEffort: final.effort,
+    ...(params.exitRules?.length > 0 && { exitTime: exit?.time ?? null, exitReason: exit?.reason ?? null }),
+  };
+};
+
+// Run multiple simulations for distribution analysis. With a seed, run i uses
+// replicationSeed(seed, i) so the whole batch is reproducible.
+export function* multipleSimulationSteps(params, numRuns = 50, finalTime = 500, seed = null) {
+  const results = [];
+  for (let i = 0; i < numRuns; i++) {
+    const runSeed = seed !== null ? replicationSeed(seed, i) : randomSeed();
+    const result = runResult(i, runSeed, params, runSimulation(params, finalTime, runSeed));
+    results.push(result);
+    yield { done: i + 1, total: numRuns, partial: result };
+  }
+  return results;
+}
+
+/**
+ * Replicate runSimulation and keep each run's final state.
+ * @param {object} params - model parameters
+ * @param {number} [numRuns=50]
+ * @param {number|object} [finalTime=500] - horizon or timing object (see resolveTiming)
+ * @param {number|null} [seed] - base seed; runs are random when omitted
+ * @returns {{ run, seed, performance, wellbeing, finalEffort }[]}
+ */
+export const runMultipleSimulations = (params, numRuns = 50, finalTime = 500, seed = null) =>
+  drainSteps(multipleSimulationSteps(params, numRuns, finalTime, seed));
+
+// ============================================
+// ENSEMBLE BANDS
+// ============================================
+// Per-period percentiles across replicated runs (a fan chart). Values are
+// collected in one typed array per output and period, on a grid of at most
+// maxPoints recorded periods, so memory stays bounded for long or
+// fine-grained runs.
+export const ENSEMBLE_OUTPUTS = ['performance', 'wellbeing', 'motivation', 'strain'];
+export const BAND_QUANTILES = [0.05, 0.25, 0.5, 0.75, 0.95];
+
+// Quantile of an ascending array with linear interpolation between order statistics
+export const quantile = (sorted, q) => {
+  if (sorted.length === 0) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// Column name of a band quantile, e.g. 0.05 -> 'p5'
+export const quantileKey = (q) => `p${Math.round(q * 100)}`;
+
+// Periods runSimulation records for a run that reaches finalTime
+const recordedPeriods = (timing) => {
+  const { finalTime, dt, recordEvery } = resolveTiming(timing);
+  const steps = Math.round(finalTime / dt);
+  const stride = recordEvery === 0 ? 1 : Math.max(1, Math.round(recordEvery / dt));
+  const periods = [];
+  for (let step = 0; step <= steps; step += stride) periods.push(+(step * dt).toFixed(4));
+  if (steps % stride !== 0) periods.push(+(steps * dt).toFixed(4));
+  return periods;
+};
+
+// Indices of the recorded points kept on the ensemble grid (always including the last)
+const gridIndices = (length, maxPoints) => {
+  const stride = Math.max(1, Math.ceil(length / maxPoints));
+  const indices = [];
+  for (let i = 0; i < length; i += stride) indices.push(i);
+  if (indices[indices.length - 1] !== length - 1) indices.push(length - 1);
+  return indices;
+};
+
+/**
+ * Replicated runs that keep their final states (as multipleSimulationSteps)
+ * and per-period percentile bands.
+ * @param {object} params
+ * @param {number} [numRuns=50]
+ * @param {number|object} [finalTime=500] - horizon or timing object
+ * @param {number|null} [seed]
+ * @param {{ samples?: number, maxPoints?: number }} [options] - sample trajectories kept, grid size
+ * @returns generator returning { results, ensemble: { numRuns, bands, samples } } where
+ *   bands[output] is [{ period, p5, p25, p50, p75, p95 }] and samples are thinned trajectories;
+ *   runs ended by an exit rule hold their exit state in the bands, and their samples stop
+ */
+export function* ensembleSteps(params, numRuns = 50, finalTime = 500, seed = null, { samples = 5, maxPoints = 200 } = {}) {
+  const results = [];
+  const sampleRuns = [];
+  const allPeriods = recordedPeriods(finalTime);
+  const indices = gridIndices(allPeriods.length, maxPoints);
+  const periods = indices.map(t => allPeriods[t]);
+  const columns = Object.fromEntries(ENSEMBLE_OUTPUTS.map(key => [key, indices.map(() => new Float32Array(numRuns))]));
+  for (let i = 0; i < numRuns; i++) {
+    const runSeed = seed !== null ? replicationSeed(seed, i) : randomSeed();
+    const trajectory = runSimulation(params, finalTime, runSeed);
+    const at = (t) => trajectory[Math.min(t, trajectory.length - 1)];
+    indices.forEach((t, p) => {
+      ENSEMBLE_OUTPUTS.forEach(key => { columns[key][p][i] = at(t)[key]; });
+    });
+    if (i < samples) {
+      sampleRuns.push({
+        run: i,
+        seed: runSeed,
+        trajectory: indices.filter(t => t < trajectory.length).map(t => Object.fromEntries(['period', ...ENSEMBLE_OUTPUTS].map(key => [key, trajectory[t][key]]))),
+      });
+    }
+
+    const result = runResult(i, runSeed, params, trajectory);
+    results.push(result);
+    yield { done: i + 1, total: numRuns, partial: result };
+  }
+
+  const bands = Object.fromEntries(ENSEMBLE_OUTPUTS.map(key => [key, periods.map((period, p) => {
+    const sorted = columns[key][p].sort();
+    return { period, ...Object.fromEntries(BAND_QUANTILES.map(q => [quantileKey(q), +quantile(sorted, q).toFixed(3)])) };
+  })]));
+  return { results, ensemble: { numRuns, bands, samples: sampleRuns } };
+}
+
+export const runEnsemble = (params, numRuns = 50, finalTime = 500, seed = null, options) =>
+  drainSteps(ensembleSteps(params, numRuns, finalTime, seed, options));
+
+// ============================================
+// MODEL FACTORS (main parameters + Var coefficients)
+// ============================================
+// min/max give the plausible range used when sampling a factor
+export const MODEL_FACTORS = [
+  { key: 'ambition', label: 'Ambition', min: 0.05, max: 1 },
+  { key: 'skill', label: 'Skill', min: 0, max: 1 },
+  { key: 'selfRegulation', label: 'Self-Regulation', min: 0, max: 1 },
+  { key: 'dynamism', label: 'Dynamism', min: 0, max: 1 },
+  { key: 'var1', label: 'V1 (M↑)', min: 0, max: 1 },
+  { key: 'var2', label: 'V2 (C→Rec)', min: 0, max: 1 },
+  { key: 'var3', label: 'V3 (H→Rec)', min: 0, max: 1 },
+  { key: 'var4', label: 'V4 (C→S↑)', min: 0, max: 1 },
+  { key: 'var5', label: 'V5 (H→S↑)', min: 0, max: 1 },
+  { key: 'var6', label: 'V6 (S↓)', min: 0, max: 1 },
+  { key: 'var7', label: 'V7 (M↓)', min: 0, max: 1 },
+  { key: 'var8', label: 'V8 (Effort)', min: 0, max: 1 },
+  { key: 'var9', label: 'V9 (M→WB)', min: 0, max: 1 },
+  { key: 'var10', label: 'V10 (S→WB)', min: 0, max: 1 },
+];
+
+// Returns a copy of params with one main parameter or Var coefficient replaced
+export const withParameter = (params, key, value) => (
+  key.startsWith('var')
+    ? { ...params, coefficients: { ...params.coefficients, [key]: value } }
+    : { ...params, [key]: value }
+);
+
+// Reads a main parameter or Var coefficient from params
+export const getParameter = (params, key) => (
+  key.startsWith('var') ? (params.coefficients?.[key] ?? 1) : params[key]
+);
+
+// ============================================
+// PARAMETER SWEEP
+// ============================================
+
+// Evenly spaced grid values from min to max (inclusive)
+export const gridValues = (min, max, steps) => {
+  if (steps <= 1) return [min];
+  return Array.from({ length: steps }, (_, i) => +(min + (max - min) * i / (steps - 1)).toFixed(3));
+};
+
+/**
+ * Summary statistics over the final states returned by runMultipleSimulations.
+ * @returns {{ meanPerformance, meanWellbeing, successRate, burnoutRate }}
+ *   success is performance > 10, burnout is well-being < -20
+ */
+export const summarizeRuns = (results) => {
+  const n = results.length;
+  if (n === 0) return { meanPerformance: 0, meanWellbeing: 0, successRate: 0, burnoutRate: 0 };
+  return {
+    meanPerformance: results.reduce((a, b) => a + b.performance, 0) / n,
+    meanWellbeing: results.reduce((a, b) => a + b.wellbeing, 0) / n,
+    successRate: results.filter(r => r.performance > 10).length / n,
+    burnoutRate: results.filter(r => r.wellbeing < -20).length / n,
+  };
+};
+
+// Run replicated simulations over a two-parameter grid, one step per cell
+// xAxis / yAxis: { key, min, max, steps }. Every cell runs on the same seeds
+// (common random numbers), so differences between cells come from the grid.
+export function* parameterSweepSteps(params, xAxis, yAxis, replications = 20, finalTime = 500, seed = 1) {
+  const xs = gridValues(xAxis.min, xAxis.max, xAxis.steps);
+  const ys = gridValues(yAxis.min, yAxis.max, yAxis.steps);
+  const total = xs.length * ys.length;
+  const cells = [];
+  for (let j = 0; j < ys.length; j++) {
+    for (let i = 0; i < xs.length; i++) {
+      const cellParams = withParameter(withParameter(params, xAxis.key, xs[i]), yAxis.key, ys[j]);
+      const results = runMultipleSimulations(cellParams, replications, finalTime, seed);
+      const cell = { i, j, x: xs[i], y: ys[j], ...summarizeRuns(results) };
+      cells.push(cell);
+      yield { done: cells.length, total, partial: cell };
+    }
+  }
+  return { xKey: xAxis.key, yKey: yAxis.key, xs, ys, replications, cells };
+}
+
+/**
+ * Replicated runs over a two-parameter grid.
+ * @param {object} params - base parameters
+ * @param {{ key, min, max, steps }} xAxis - factor key from MODEL_FACTORS and its grid
+ * @param {{ key, min, max, steps }} yAxis
+ * @param {number} [replications=20]
+ * @param {number|object} [finalTime=500] - horizon or timing object (see resolveTiming)
+ * @param {number} [seed=1] - replication r of every cell uses replicationSeed(seed, r)
+ * @returns {{ xKey, yKey, xs, ys, replications, cells: object[] }} one cell per grid
+ *   point with the summarizeRuns statistics
+ */
+export const runParameterSweep = (params, xAxis, yAxis, replications = 20, finalTime = 500, seed = 1) =>
+  drainSteps(parameterSweepSteps(params, xAxis, yAxis, replications, finalTime, seed));
+
+// ============================================
+// SENSITIVITY ANALYSIS
+// ============================================
+export const SENSITIVITY_OUTPUTS = [
+  { key: 'performance', label: 'Final Performance', color: '#8b5cf6' },
+  { key: 'wellbeing', label: 'Final Well-being', color: '#10b981' },
+];
+
+// Mean final performance and well-being over a fixed list of seeds
+const meanFinalOutputs = (params, seeds, finalTime) => {
+  let performance = 0;
+  let wellbeing = 0;
+  seeds.forEach(seed => {
+    const trajectory = runSimulation(params, finalTime, seed);
+    const final = trajectory[trajectory.length - 1];
+    performance += final.performance;
+    wellbeing += final.wellbeing;
+  });
+  return { performance: performance / seeds.length, wellbeing: wellbeing / seeds.length };
+};
+
+// One-at-a-time analysis: perturb each factor by ±relativeStep around the
+// current point. The same seeds are reused for every evaluation (common
+// random numbers), so differences reflect the factor rather than noise.
+export function* oneAtATimeSteps(params, { relativeStep = 0.1, replications = 20, finalTime = 500, seed = 1 } = {}) {
+  const total = MODEL_FACTORS.length + 1;
+  const seeds = Array.from({ length: replications }, (_, r) => replicationSeed(seed, r));
+  const base = meanFinalOutputs(params, seeds, finalTime);
+  yield { done: 1, total };
+
+  const factors = [];
+  for (const factor of MODEL_FACTORS) {
+    const value = getParameter(params, factor.key);
+    const delta = value === 0 ? relativeStep : Math.abs(value) * relativeStep;
+    const lowValue = Math.max(0, value - delta);
+    const highValue = value + delta;
+    const low = meanFinalOutputs(withParameter(params, factor.key, lowValue), seeds, finalTime);
+    const high = meanFinalOutputs(withParameter(params, factor.key, highValue), seeds, finalTime);
+
+    const result = { key: factor.key, label: factor.label, value, lowValue, highValue };
+    SENSITIVITY_OUTPUTS.forEach(({ key }) => {
+      // Elasticity = (ΔY / Y) / (ΔX / X); undefined when Y or X is 0
+      const dy = high[key] - low[key];
+      const dx = highValue - lowValue;
+      result[key] = {
+        low: low[key],
+        high: high[key],
+        elasticity: base[key] === 0 || value === 0 ? null : (dy / base[key]) / (dx / value),
+      };
+    });
+    factors.push(result);
+    yield { done: factors.length + 1, total };
+  }
+
+  return { base, replications, relativeStep, factors };
+}
+
+/**
+ * One-at-a-time sensitivity of mean final performance and well-being.
+ * @param {object} params
+ * @param {{ relativeStep?, replications?, finalTime?, seed? }} [options]
+ * @returns {{ base, replications, relativeStep, factors: object[] }}
+ */
+export const runOneAtATime = (params, options) => drainSteps(oneAtATimeSteps(params, options));
+
+// Variance-based (Sobol) indices using Saltelli sampling with the Jansen
+// estimators. Each factor is sampled uniformly over its MODEL_FACTORS range.
+// Row j of A, B and every AB_i shares one seed, so simulation noise is held
+// fixed within a row and the indices describe the factors' contribution.
+export function* sobolSteps(params, { samples = 128, finalTime = 500, seed = 1 } = {}) {
+  const rng = createRandomStream(seed, params.randomMode);
+  const k = MODEL_FACTORS.length;
+  const total = samples * (k + 2);
+  const draw = () => MODEL_FACTORS.map(f => f.min + (f.max - f.min) * rng.next());
+  const A = Array.from({ length: samples }, draw);
+  const B = Array.from({ length: samples }, draw);
+  const rowSeeds = Array.from({ length: samples }, (_, j) => replicationSeed(seed + 1, j));
+
+  const evaluate = (row, j) => {
+    const rowParams = MODEL_FACTORS.reduce((acc, f, i) => withParameter(acc, f.key, row[i]), params);
+    const trajectory = runSimulation(rowParams, finalTime, rowSeeds[j]);
+    return trajectory[trajectory.length - 1];
+  };
+
+  let done = 0;
+  const fA = [];
+  const fB = [];
+  for (let j = 0; j < samples; j++) {
+    fA.push(evaluate(A[j], j));
+    fB.push(evaluate(B[j], j));
+    done += 2;
+    yield { done, total };
+  }
+  const fAB = [];
+  for (let i = 0; i < k; i++) {
+    const column = [];
+    for (let j = 0; j < samples; j++) {
+      column.push(evaluate(A[j].map((v, c) => (c === i ? B[j][i] : v)), j));
+    }
+    fAB.push(column);
+    done += samples;
+    yield { done, total };
+  }
+
+  const indices = {};
+  SENSITIVITY_OUTPUTS.forEach(({ key }) => {
+    const yA = fA.map(f => f[key]);
+    const yB = fB.map(f => f[key]);
+    const all = yA.concat(yB);
+    const mean = all.reduce((a, b) => a + b, 0) / all.length;
+    const variance = all.reduce((a, b) => a + (b - mean) ** 2, 0) / (all.length - 1);
+
+    indices[key] = MODEL_FACTORS.map((factor, i) => {
+      const yAB = fAB[i].map(f => f[key]);
+      let first = 0;
+      let totalEffect = 0;
+      for (let j = 0; j < samples; j++) {
+        first += yB[j] * (yAB[j] - yA[j]);
+        totalEffect += (yA[j] - yAB[j]) ** 2;
+      }
+      return {
+        key: factor.key,
+        label: factor.label,
+        firstOrder: variance === 0 ? 0 : first / samples / variance,
+        totalOrder: variance === 0 ? 0 : totalEffect / (2 * samples) / variance,
+      };
+    });
+  });
+
+  return { samples, evaluations: total, indices };
+}
+
+/**
+ * First-order and total Sobol indices of final performance and well-being.
+ * @param {object} params - values for factors not being sampled (none by default)
+ * @param {{ samples?, finalTime?, seed? }} [options]
+ * @returns {{ samples, evaluations, indices: { performance, wellbeing } }}
+ */
+export const runSobolAnalysis = (params, options) => drainSteps(sobolSteps(params, options));
+
+// Full sensitivity analysis: one-at-a-time elasticities followed by Sobol indices
+export function* sensitivitySteps(params, { replications = 20, samples = 128, finalTime = 500, seed = 1 } = {}) {
+  const oatTotal = MODEL_FACTORS.length + 1;
+  const total = oatTotal + samples * (MODEL_FACTORS.length + 2);
+  const oat = yield* offsetSteps(oneAtATimeSteps(params, { replications, finalTime, seed }), 0, total);
+  const sobol = yield* offsetSteps(sobolSteps(params, { samples, finalTime, seed }), oatTotal, total);
+  return { params, seed, oat, sobol };
+}
+
+// Flat rows for CSV export of a sensitivity analysis
+export const sensitivityRows = (oat, sobol) => {
+  const rows = [];
+  SENSITIVITY_OUTPUTS.forEach(({ key }) => {
+    MODEL_FACTORS.forEach((factor, i) => {
+      const o = oat.factors[i][key];
+      const sb = sobol.indices[key][i];
+      rows.push({
+        output: key, factor: factor.key, value: oat.factors[i].value,
+        lowValue: oat.factors[i].lowValue, highValue: oat.factors[i].highValue,
+        low: o.low, high: o.high, elasticity: o.elasticity,
+        firstOrder: sb.firstOrder, totalOrder: sb.totalOrder,
+      });
+    });
+  });
+  return rows;
+};
+
+// ============================================
+// SERIALIZATION
+// ============================================
+// CSV text from an array of flat objects; columns follow the first row's keys
+export const toCSV = (rows) => {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  const escape = (v) => (v === null || v === undefined ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\n');
+};
+
+export const PARAMETER_KEYS = ['ambition', 'skill', 'selfRegulation', 'dynamism'];
+export const COEFFICIENT_KEYS = Array.from({ length: 10 }, (_, i) => `var${i + 1}`);
+
+// Copy of params with every coefficient present (missing ones default to 1), only
+// valid interventions, exit rules and edited equations, and randomMode only when it is not 'paper'
+export const normalizeParams = (params) => {
+  const interventions = normalizeInterventions(params.interventions);
+  const exitRules = normalizeExitRules(params.exitRules);
+  const randomMode = RANDOM_MODES.includes(params.randomMode) ? params.randomMode : 'paper';
+  const equations = normalizeEquations(params.equations);
+  return {
+    ...Object.fromEntries(PARAMETER_KEYS.map(key => [key, params[key]])),
+    coefficients: Object.fromEntries(COEFFICIENT_KEYS.map(key => [key, params.coefficients?.[key] ?? 1])),
+    ...(interventions.length > 0 && { interventions }),
+    ...(exitRules.length > 0 && { exitRules }),
+    ...(randomMode !== 'paper' && { randomMode }),
+    ...(Object.keys(equations).length > 0 && { equations }),
+  };
+};
+
+export const RUN_FILE_FORMAT = 'entrepreneurial-wellbeing-run';
+export const RUN_FILE_VERSION = 1;
+
+/**
+ * Self-describing JSON record of a run with everything needed to reproduce it.
+ * @param {'trajectory'|'distribution'|'metadata'} kind
+ * @param {{ params, seed, timing, numRuns? }} run - timing as accepted by resolveTiming
+ * @param {object} [data] - e.g. { trajectory } or { results }
+ */
+export const createRunRecord = (kind, { params, seed, timing, numRuns }, data = {}) => ({
+  format: RUN_FILE_FORMAT,
+  version: RUN_FILE_VERSION,
+  kind,
+  exportedAt: new Date().toISOString(),
+  params: normalizeParams(params),
+  seed,
+  ...resolveTiming(timing),
+  ...(numRuns !== undefined && { numRuns }),
+  ...data,
+});
+
+/**
+ * Parse and validate a record written by createRunRecord.
+ * @param {string} text - JSON file contents
+ * @returns {object} the record with normalized params and its resolved timing;
+ *   files without dt, recordEvery, method or substeps use the defaults
+ * @throws {Error} when the file is not a valid run record
+ */
+export const parseRunRecord = (text) => {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+  if (record?.format !== RUN_FILE_FORMAT) throw new Error('Not a well-being simulator run file');
+  if (record.version > RUN_FILE_VERSION) throw new Error(`Unsupported run file version ${record.version}`);
+
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+  const params = normalizeParams(record.params ?? {});
+  PARAMETER_KEYS.forEach(key => {
+    if (!isNumber(params[key])) throw new Error(`Missing or invalid parameter "${key}"`);
+  });
+  COEFFICIENT_KEYS.forEach(key => {
+    if (!isNumber(params.coefficients[key])) throw new Error(`Invalid coefficient "${key}"`);
+  });
+  if (!Number.isInteger(record.seed) || record.seed < 0) throw new Error('Missing or invalid seed');
+  if (!isNumber(record.finalTime) || record.finalTime <= 0) throw new Error('Missing or invalid finalTime');
+  if (record.dt !== undefined && (!isNumber(record.dt) || record.dt <= 0 || record.dt > record.finalTime)) throw new Error('Invalid dt');
+  if (record.recordEvery !== undefined && (!isNumber(record.recordEvery) || record.recordEvery < 0)) throw new Error('Invalid recordEvery');
+  if (record.method !== undefined && !INTEGRATION_METHODS.includes(record.method)) throw new Error(`Unknown integration method "${record.method}"`);
+  if (record.substeps !== undefined && (!Number.isInteger(record.substeps) || record.substeps < 1)) throw new Error('Invalid substeps');
+
+  const timing = resolveTiming({
+    finalTime: record.finalTime, dt: record.dt, recordEvery: record.recordEvery, method: record.method, substeps: record.substeps,
+  });
+  return { ...record, params, timing };
+};
+
+// ============================================
+// OUTCOME CLASSIFICATION
+// ============================================
+export const OUTCOME_TYPES = ['burnout', 'struggling', 'resilient', 'thriving', 'strained', 'moderate'];
+
+/**
+ * Outcome category of a final state, checked in the order of OUTCOME_TYPES.
+ * @param {{ performance: number, wellbeing: number }} state
+ * @returns {string} one of OUTCOME_TYPES
+ */
+export const classifyOutcome = ({ performance: p, wellbeing: wb }) => {
+  if (p < 2 && wb < -20) return 'burnout';
+  if (p < 5 && wb < -10) return 'struggling';
+  if (p < 5 && wb > 10) return 'resilient';
+  if (p > 20 && wb > 30) return 'thriving';
+  if (p > 15 && wb < 0) return 'strained';
+  return 'moderate';
+};
+
+// ============================================
+// DISTRIBUTION STATISTICS
+// ============================================
+// Summary statistics of final states with percentile-bootstrap confidence
+// intervals, plus histogram and kernel density helpers for the marginals.
+const STAT_QUANTILES = [
+  { key: 'p5', label: '5th percentile', q: 0.05 },
+  { key: 'p25', label: 'Lower quartile', q: 0.25 },
+  { key: 'p50', label: 'Median', q: 0.5 },
+  { key: 'p75', label: 'Upper quartile', q: 0.75 },
+  { key: 'p95', label: '95th percentile', q: 0.95 },
+];
+
+// Every statistic as { group, key, label }, in display order
+export const DISTRIBUTION_STATISTICS = [
+  ...[['performance', 'Performance'], ['wellbeing', 'Well-being']].flatMap(([output, group]) => [
+    { group, key: `${output}.mean`, label: 'Mean' },
+    { group, key: `${output}.sd`, label: 'SD' },
+    ...STAT_QUANTILES.map(({ key, label }) => ({ group, key: `${output}.${key}`, label })),
+  ]),
+  { group: 'Rates', key: 'successRate', label: 'Success (performance > 10)' },
+  { group: 'Rates', key: 'burnoutRate', label: 'Burnout (well-being < −20)' },
+  ...OUTCOME_TYPES.map(type => ({ group: 'Outcomes', key: `outcome.${type}`, label: type })),
+];
+
+// All statistics of one (re)sample as a flat { key: value } object
+const sampleStatistics = (performance, wellbeing, outcomes) => {
+  const n = performance.length;
+  const stats = {};
+  [['performance', performance], ['wellbeing', wellbeing]].forEach(([output, values]) => {
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const sorted = Float64Array.from(values).sort();
+    stats[`${output}.mean`] = mean;
+    stats[`${output}.sd`] = n > 1 ? Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1)) : 0;
+    STAT_QUANTILES.forEach(({ key, q }) => { stats[`${output}.${key}`] = quantile(sorted, q); });
+  });
+  // Same cut-offs as summarizeRuns
+  stats.successRate = performance.filter(p => p > 10).length / n;
+  stats.burnoutRate = wellbeing.filter(wb => wb < -20).length / n;
+  OUTCOME_TYPES.forEach((type, t) => { stats[`outcome.${type}`] = outcomes.filter(o => o === t).length / n; });
+  return stats;
+};
+
+/**
+ * Statistics of final states with percentile-bootstrap confidence intervals.
+ * @param {{ performance: number, wellbeing: number }[]} results
+ * @param {{ resamples?: number, level?: number, seed?: number }} [options]
+ * @returns {{ n, resamples, level, counts: object, rows: { group, key, label, value, low, high }[] }}
+ *   counts holds the number of runs in each outcome category
+ */
+export const distributionStatistics = (results, { resamples = 500, level = 0.95, seed = 1 } = {}) => {
+  const n = results.length;
+  const performance = Float64Array.from(results, r => r.performance);
+  const wellbeing = Float64Array.from(results, r => r.wellbeing);
+  const outcomes = Int8Array.from(results, r => OUTCOME_TYPES.indexOf(classifyOutcome(r)));
+  const counts = Object.fromEntries(OUTCOME_TYPES.map((type, t) => [type, outcomes.filter(o => o === t).length]));
+  if (n === 0) return { n, resamples: 0, level, counts, rows: [] };
+
+  const estimate = sampleStatistics(performance, wellbeing, outcomes);
+  const rng = createRandomStream(seed, 'modern');
+  const replicates = Object.fromEntries(Object.keys(estimate).map(key => [key, new Float64Array(resamples)]));
+  const bootPerformance = new Float64Array(n);
+  const bootWellbeing = new Float64Array(n);
+  const bootOutcomes = new Int8Array(n);
+  for (let b = 0; b < resamples; b++) {
+    for (let i = 0; i < n; i++) {
+      const j = Math.floor(rng.next() * n);
+      bootPerformance[i] = performance[j];
+      bootWellbeing[i] = wellbeing[j];
+      bootOutcomes[i] = outcomes[j];
+    }
+    const stats = sampleStatistics(bootPerformance, bootWellbeing, bootOutcomes);
+    Object.keys(stats).forEach(key => { replicates[key][b] = stats[key]; });
+  }
+
+  const alpha = (1 - level) / 2;
+  const rows = DISTRIBUTION_STATISTICS.map(stat => {
+    const sorted = replicates[stat.key].sort();
+    return { ...stat, value: estimate[stat.key], low: quantile(sorted, alpha), high: quantile(sorted, 1 - alpha) };
+  });
+  return { n, resamples, level, counts, rows };
+};
+
+/**
+ * Equal-width histogram.
+ * @param {number[]} values
+ * @param {number} [bins=30]
+ * @returns {{ x0, x1, mid, count, density }[]} density integrates to 1
+ */
+export const histogram = (values, bins = 30) => {
+  if (values.length === 0) return [];
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(v => { min = Math.min(min, v); max = Math.max(max, v); });
+  const width = max > min ? (max - min) / bins : 1;
+  const counts = new Array(bins).fill(0);
+  values.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - min) / width))]++; });
+  return counts.map((count, b) => ({
+    x0: min + b * width,
+    x1: min + (b + 1) * width,
+    mid: min + (b + 0.5) * width,
+    count,
+    density: count / (values.length * width),
+  }));
+};
+
+/**
+ * Gaussian kernel density estimate with Silverman's rule-of-thumb bandwidth.
+ * @param {number[]} values
+ * @param {number[]} points - where to evaluate the density
+ * @returns {number[]}
+ */
+export const kernelDensity = (values, points) => {
+  const n = values.length;
+  if (n < 2) return points.map(() => 0);
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1));
+  const sorted = Float64Array.from(values).sort();
+  const spread = Math.min(sd, (quantile(sorted, 0.75) - quantile(sorted, 0.25)) / 1.34) || sd || 1;
+  const bandwidth = 0.9 * spread * n ** -0.2;
+  const norm = 1 / (n * bandwidth * Math.sqrt(2 * Math.PI));
+  return points.map(x => values.reduce((sum, v) => sum + Math.exp(-0.5 * ((x - v) / bandwidth) ** 2), 0) * norm);
+};
+
+// Distribution job: replicated runs with bands, then statistics of the final states
+export function* distributionSteps(params, numRuns = 50, finalTime = 500, seed = null) {
+  const { results, ensemble } = yield* ensembleSteps(params, numRuns, finalTime, seed);
+  return {
+    results,
+    ensemble,
+    statistics: distributionStatistics(results),
+    ...(params.exitRules?.length > 0 && { survival: survivalAnalysis(results, finalTime) }),
+  };
+}
+
+// ============================================
+// SURVIVAL ANALYSIS
+// ============================================
+// Time to exit across replicated runs with exit rules. Runs that reach the
+// horizon are right-censored there.
+
+/**
+ * Kaplan–Meier survival curve and interval hazard of time to exit.
+ * @param {object[]} results - final states with exitTime / exitReason (see multipleSimulationSteps)
+ * @param {number|object} finalTime - horizon (the censoring time) or timing object
+ * @param {{ bins?: number }} [options] - number of hazard intervals
+ * @returns {{ n, exits, reasons, median, curve, hazard }} reasons counts exits by rule type;
+ *   median is the median time to exit (null when survival stays above 50%); curve is the
+ *   survival step function [{ time, survival, low, high, atRisk, exits }] from (0, 1) to the
+ *   horizon with 95% log-log limits; hazard is [{ start, end, atRisk, exits, hazard }] in
+ *   exits per founder-period at risk
+ */
+export const survivalAnalysis = (results, finalTime, { bins = 20 } = {}) => {
+  const horizon = resolveTiming(finalTime).finalTime;
+  const n = results.length;
+  const exitTimes = results.filter(r => r.exitTime !== null && r.exitTime !== undefined).map(r => r.exitTime).sort((a, b) => a - b);
+  const reasons = {};
+  results.forEach(r => { if (r.exitReason) reasons[r.exitReason] = (reasons[r.exitReason] ?? 0) + 1; });
+
+  const curve = [{ time: 0, survival: 1, low: 1, high: 1, atRisk: n, exits: 0 }];
+  let atRisk = n;
+  let survival = 1;
+  let greenwood = 0;
+  for (let i = 0; i < exitTimes.length;) {
+    const time = exitTimes[i];
+    let exits = 0;
+    while (i < exitTimes.length && exitTimes[i] === time) { exits++; i++; }
+    survival *= 1 - exits / atRisk;
+    if (atRisk > exits) greenwood += exits / (atRisk * (atRisk - exits));
+    let low = survival;
+    let high = survival;
+    if (survival > 0 && survival < 1) {
+      const se = Math.sqrt(greenwood) / Math.abs(Math.log(survival));
+      low = survival ** Math.exp(1.96 * se);
+      high = survival ** Math.exp(-1.96 * se);
+    }
+    curve.push({ time, survival, low, high, atRisk, exits });
+    atRisk -= exits;
+  }
+  const last = curve[curve.length - 1];
+  if (last.time < horizon) curve.push({ ...last, time: horizon, atRisk, exits: 0 });
+
+  const durations = results.map(r => r.exitTime ?? horizon);
+  const width = horizon / bins;
+  const hazard = Array.from({ length: bins }, (_, b) => {
+    const start = b * width;
+    const end = b === bins - 1 ? horizon : (b + 1) * width;
+    const exits = exitTimes.filter(t => t >= start && (t < end || (b === bins - 1 && t === end))).length;
+    const exposure = durations.reduce((a, d) => a + Math.max(0, Math.min(d, end) - start), 0);
+    return {
+      start: +start.toFixed(4),
+      end: +end.toFixed(4),
+      atRisk: durations.filter(d => d >= start).length,
+      exits,
+      hazard: exposure > 0 ? exits / exposure : 0,
+    };
+  });
+
+  return {
+    n,
+    exits: exitTimes.length,
+    reasons,
+    median: curve.find(point => point.survival <= 0.5)?.time ?? null,
+    curve,
+    hazard,
+  };
+};
+
+// ============================================
+// COUNTERFACTUAL (A/B) COMPARISON
+// ============================================
+// Baseline and variant share each run's seed, so both face identical market
+// draws (common random numbers) and the paired difference isolates the change.
+
+// Two-sided 97.5% quantile of Student's t (Cornish-Fisher expansion around z)
+const tQuantile975 = (df) => {
+  const z = 1.959964;
+  if (!Number.isFinite(df)) return z;
+  return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2);
+};
+
+/**
+ * Mean with a 95% t confidence interval.
+ * @param {number[]} values
+ * @returns {{ n, mean, sd, low, high }}
+ */
+export const meanWithCI = (values) => {
+  const n = values.length;
+  if (n === 0) return { n: 0, mean: 0, sd: 0, low: 0, high: 0 };
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  if (n === 1) return { n, mean, sd: 0, low: mean, high: mean };
+  const sd = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1));
+  const half = tQuantile975(n - 1) * sd / Math.sqrt(n);
+  return { n, mean, sd, low: mean - half, high: mean + half };
+};
+
+const finalSummary = (trajectory) => {
+  const final = trajectory[trajectory.length - 1];
+  return { performance: final.performance, wellbeing: final.wellbeing, finalEffort: final.effort };
+};
+
+// Paired runs of baseline and variant, run i on replicationSeed(seed, i)
+export function* pairedSimulationSteps(baseline, variant, numRuns = 50, finalTime = 500, seed = null) {
+  const baseSeed = seed ?? randomSeed();
+  const results = [];
+  for (let i = 0; i < numRuns; i++) {
+    const runSeed = replicationSeed(baseSeed, i);
+    const a = finalSummary(runSimulation(baseline, finalTime, runSeed));
+    const b = finalSummary(runSimulation(variant, finalTime, runSeed));
+    const result = {
+      run: i,
+      seed: runSeed,
+      baseline: a,
+      variant: b,
+      diffPerformance: b.performance - a.performance,
+      diffWellbeing: b.wellbeing - a.wellbeing,
+    };
+    results.push(result);
+    yield { done: i + 1, total: numRuns, partial: result };
+  }
+  return results;
+}
+
+/**
+ * Paired runs of a baseline and a variant under common random numbers.
+ * @returns {{ run, seed, baseline, variant, diffPerformance, diffWellbeing }[]}
+ */
+export const runPairedSimulations = (baseline, variant, numRuns = 50, finalTime = 500, seed = null) =>
+  drainSteps(pairedSimulationSteps(baseline, variant, numRuns, finalTime, seed));
+
+/**
+ * Paired treatment effects (variant − baseline) with 95% confidence intervals.
+ * @param {object[]} results - from runPairedSimulations
+ */
+export const pairedTreatmentEffect = (results) => ({
+  performance: meanWithCI(results.map(r => r.diffPerformance)),
+  wellbeing: meanWithCI(results.map(r => r.diffWellbeing)),
+  baseline: summarizeRuns(results.map(r => r.baseline)),
+  variant: summarizeRuns(results.map(r => r.variant)),
+});
+
+// ============================================
+// THRESHOLD FINDER
+// ============================================
+// Bisection on one factor for the value where the burnout probability (share
+// of runs ending with well-being < -20, as in summarizeRuns) crosses a chosen
+// level. Within a batch every evaluation reuses the same run seeds (common
+// random numbers), which keeps the estimated probability close to monotone in
+// the factor; independent seed batches give the uncertainty of the estimate.
+
+const burnoutProbability = (params, seeds, finalTime) =>
+  summarizeRuns(seeds.map(seed => finalSummary(runSimulation(params, finalTime, seed)))).burnoutRate;
+
+// Evaluations per batch: both ends of the range plus one per bisection step
+const thresholdWork = (iterations, batches) => batches * (iterations + 2);
+
+/**
+ * Critical value of a factor where the burnout probability crosses level.
+ * @param {object} params - values of the other factors
+ * @param {{ factor?, level?, replications?, iterations?, batches?, finalTime?, seed? }} [options]
+ * @returns generator yielding each evaluation { batch, value, probability } as partial and
+ *   returning { factor, level, replications, batches, range, evaluations, critical, foundBatches, direction, side }
+ *   critical is meanWithCI over the batches that bracket the level (null if none);
+ *   direction is 'decreasing' when burnout gets less likely as the factor grows;
+ *   side is 'above' or 'below' when the probability never crosses the level on average
+ */
+export function* thresholdSteps(params, {
+  factor = 'selfRegulation', level = 0.1, replications = 100, iterations = 8, batches = 5, finalTime = 500, seed = 1,
+} = {}) {
+  const { min, max } = MODEL_FACTORS.find(f => f.key === factor);
+  const total = thresholdWork(iterations, batches);
+  const evaluations = [];
+  const criticals = [];
+  let done = 0;
+  for (let b = 0; b < batches; b++) {
+    const seeds = Array.from({ length: replications }, (_, r) => replicationSeed(seed, b * replications + r));
+    const evaluate = (value) => {
+      const evaluation = { batch: b, value, probability: burnoutProbability(withParameter(params, factor, value), seeds, finalTime) };
+      evaluations.push(evaluation);
+      done++;
+      return evaluation;
+    };
+
+    let lo = min;
+    let hi = max;
+    let low = evaluate(lo);
+    yield { done, total, partial: low };
+    let high = evaluate(hi);
+    yield { done, total, partial: high };
+    if ((low.probability - level) * (high.probability - level) > 0) {
+      done += iterations;
+      yield { done, total };
+      continue;
+    }
+
+    for (let i = 0; i < iterations; i++) {
+      const mid = evaluate((lo + hi) / 2);
+      if ((low.probability - level) * (mid.probability - level) <= 0) {
+        hi = mid.value;
+        high = mid;
+      } else {
+        lo = mid.value;
+        low = mid;
+      }
+      yield { done, total, partial: mid };
+    }
+    // Interpolate linearly within the final bracket
+    const dp = high.probability - low.probability;
+    criticals.push(dp === 0 ? (lo + hi) / 2 : lo + (hi - lo) * (level - low.probability) / dp);
+  }
+
+  const meanAt = (value) => meanWithCI(evaluations.filter(e => e.value === value).map(e => e.probability)).mean;
+  const endpoints = [meanAt(min), meanAt(max)];
+  return {
+    factor,
+    level,
+    replications,
+    batches,
+    range: { min, max },
+    evaluations,
+    critical: criticals.length > 0 ? meanWithCI(criticals) : null,
+    foundBatches: criticals.length,
+    direction: endpoints[1] <= endpoints[0] ? 'decreasing' : 'increasing',
+    side: endpoints.every(p => p > level) ? 'above' : endpoints.every(p => p < level) ? 'below' : null,
+  };
+}
+
+export const runThresholdSearch = (params, options) => drainSteps(thresholdSteps(params, options));
+
+/**
+ * Critical value of a factor traced across values of another (a phase boundary).
+ * @param {object} params
+ * @param {{ across?, values?, iterations?, batches? } & object} [options] - plus thresholdSteps options
+ * @returns generator yielding each point as partial and returning
+ *   { factor, across, level, points: { x, critical, foundBatches, direction, side }[] }
+ */
+export function* phaseBoundarySteps(params, { across = 'ambition', values = gridValues(0.1, 1, 10), ...options } = {}) {
+  const { factor = 'selfRegulation', level = 0.1, iterations = 8, batches = 5 } = options;
+  const perPoint = thresholdWork(iterations, batches);
+  const total = values.length * perPoint;
+  const points = [];
+  for (let i = 0; i < values.length; i++) {
+    const result = yield* offsetSteps(thresholdSteps(withParameter(params, across, values[i]), options), i * perPoint, total);
+    const { critical, foundBatches, direction, side } = result;
+    const point = { x: values[i], critical, foundBatches, direction, side };
+    points.push(point);
+    yield { done: (i + 1) * perPoint, total, partial: point };
+  }
+  return { factor, across, level, points };
+}
+
+export const runPhaseBoundary = (params, options) => drainSteps(phaseBoundarySteps(params, options));
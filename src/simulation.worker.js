@@ -0,0 +1,90 @@
+// ============================================
+// SIMULATION WORKER
+// ============================================
+// Runs batch jobs off the main thread.
+//
+// Incoming messages:
+//   { type: 'run', jobId, kind, payload }   start a job (kind: see JOBS)
+//   { type: 'cancel', jobId }              stop a running job
+//
+// Payload timing may be a horizon or a { finalTime, dt, recordEvery, method, substeps }
+// object (see resolveTiming).
+//
+// Outgoing messages:
+//   { type: 'partial', jobId, results }     newly completed units of work
+//   { type: 'progress', jobId, done, total }
+//   { type: 'done', jobId, result }
+//   { type: 'cancelled', jobId }
+//   { type: 'error', jobId, message }
+import { distributionSteps, parameterSweepSteps, sensitivitySteps, pairedSimulationSteps, thresholdSteps, phaseBoundarySteps } from './simulation.js';
+import { calibrationSteps } from './calibration';
+import { cohortSteps } from './cohort';
+import { earlyWarningSteps } from './earlyWarning';
+
+const JOBS = {
+  distribution: ({ params, numRuns, timing, seed }) => distributionSteps(params, numRuns, timing, seed),
+  sweep: ({ params, xAxis, yAxis, replications, timing, seed }) => parameterSweepSteps(params, xAxis, yAxis, replications, timing, seed),
+  sensitivity: ({ params, options }) => sensitivitySteps(params, options),
+  paired: ({ baseline, variant, numRuns, timing, seed }) => pairedSimulationSteps(baseline, variant, numRuns, timing, seed),
+  threshold: ({ params, options }) => thresholdSteps(params, options),
+  phaseBoundary: ({ params, options }) => phaseBoundarySteps(params, options),
+  calibration: ({ params, observations, options }) => calibrationSteps(params, observations, options),
+  cohort: ({ params, cohort, options }) => cohortSteps(params, cohort, options),
+  earlyWarning: ({ params, options }) => earlyWarningSteps(params, options),
+};
+
+// Minimum time between progress messages; also how often the worker yields
+// to its event loop so that cancel messages can arrive
+const REPORT_INTERVAL_MS = 60;
+
+const cancelled = new Set();
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const runJob = async ({ jobId, kind, payload }) => {
+  try {
+    const steps = JOBS[kind](payload);
+    let partials = [];
+    let lastReport = Date.now();
+    let step = steps.next();
+
+    const report = ({ done, total }) => {
+      if (partials.length > 0) {
+        self.postMessage({ type: 'partial', jobId, results: partials });
+        partials = [];
+      }
+      self.postMessage({ type: 'progress', jobId, done, total });
+    };
+
+    while (!step.done) {
+      if (step.value.partial !== undefined) partials.push(step.value.partial);
+      if (Date.now() - lastReport >= REPORT_INTERVAL_MS) {
+        report(step.value);
+        await yieldToEventLoop();
+        if (cancelled.delete(jobId)) {
+          self.postMessage({ type: 'cancelled', jobId });
+          return;
+        }
+        lastReport = Date.now();
+      }
+      step = steps.next();
+    }
+
+    report({ done: 1, total: 1 });
+    self.postMessage({ type: 'done', jobId, result: step.value });
+  } catch (err) {
+    self.postMessage({ type: 'error', jobId, message: err.message });
+  }
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'run') {
+    if (!JOBS[data.kind]) {
+      self.postMessage({ type: 'error', jobId: data.jobId, message: `Unknown job kind: ${data.kind}` });
+      return;
+    }
+    runJob(data);
+  } else if (data.type === 'cancel') {
+    cancelled.add(data.jobId);
+  }
+};
@@ -0,0 +1,62 @@
+// ============================================
+// SIMULATION WORKER CLIENT
+// ============================================
+// Promise-based wrapper around simulation.worker.js.
+//
+//   const client = createSimulationClient();
+//   const job = client.submit('distribution', { params, numRuns, timing }, { onPartial, onProgress });
+//   job.cancel();
+//   const { result, cancelled } = await job.promise;
+export const createSimulationClient = () => {
+  const worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+  const jobs = new Map();
+  let nextJobId = 1;
+
+  worker.onmessage = ({ data }) => {
+    const job = jobs.get(data.jobId);
+    if (!job) return;
+    switch (data.type) {
+      case 'partial':
+        job.onPartial?.(data.results);
+        break;
+      case 'progress':
+        job.onProgress?.(data.done, data.total);
+        break;
+      case 'done':
+        jobs.delete(data.jobId);
+        job.resolve({ result: data.result, cancelled: false });
+        break;
+      case 'cancelled':
+        jobs.delete(data.jobId);
+        job.resolve({ result: null, cancelled: true });
+        break;
+      case 'error':
+        jobs.delete(data.jobId);
+        job.reject(new Error(data.message));
+        break;
+      default:
+        break;
+    }
+  };
+
+  const submit = (kind, payload, { onPartial, onProgress } = {}) => {
+    const jobId = nextJobId++;
+    const promise = new Promise((resolve, reject) => {
+      jobs.set(jobId, { resolve, reject, onPartial, onProgress });
+    });
+    worker.postMessage({ type: 'run', jobId, kind, payload });
+    return {
+      jobId,
+      promise,
+      cancel: () => worker.postMessage({ type: 'cancel', jobId }),
+    };
+  };
+
+  const terminate = () => {
+    worker.terminate();
+    jobs.forEach(job => job.resolve({ result: null, cancelled: true }));
+    jobs.clear();
+  };
+
+  return { submit, terminate };
+};
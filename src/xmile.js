@@ -0,0 +1,282 @@
+// ============================================
+// XMILE
+// ============================================
+// Export of the model to XMILE 1.0 (OASIS), the exchange format of Stella and
+// Vensim, and import of XMILE files with the same structure. Variables, stocks
+// and equations come from MODEL_DEFINITION, whose symbols are valid XMILE names,
+// and stocks integrate with the run's method at its dt as in runSimulation.
+//
+// runSimulation records each period after that period's update, so its value at
+// period t is the XMILE model's value at TIME = t + DT. The export therefore runs
+// to finalTime + DT and keeps finalTime in the Final_time constant.
+import {
+  PARAMETER_KEYS, COEFFICIENT_KEYS, RANDOM_MODES, MODEL_FACTORS, DT_OPTIONS, MODEL_DEFINITION,
+  INTEGRATION_METHODS, parametersAt, getParameter, randomInputSeries, resolveTiming, modelDefinition, normalizeEquations,
+} from './simulation.js';
+
+const XMILE_NAMESPACE = 'http://docs.oasis-open.org/xmile/ns/XMILE/v1.0';
+const RUN_NAMESPACE = 'urn:entrepreneurial-wellbeing-simulator';
+
+// Model symbols are XMILE names, so constants and equations carry over as they are
+const CONSTANTS = [...MODEL_DEFINITION.parameters, ...MODEL_DEFINITION.coefficients];
+
+// sim_specs method of each integrator. XMILE has no sub-steps within a DT, so the
+// run's substeps travel in the ews:run header only.
+const XMILE_METHODS = { euler: 'Euler', heun: 'RK2', rk4: 'RK4' };
+
+// Random inputs as XMILE builtins. The stressors and noises are N(0, Ambition) on
+// [0, Ambition]; XMILE has no truncated normal, so they are clipped as in the paper.
+const CLIPPED_NORMAL = 'MIN(MAX(NORMAL(0, Ambition), 0), Ambition)';
+const RANDOM_INPUT_EQUATIONS = {
+  Challenge_stressors: { eqn: `IF Ambition = 0 THEN 0 ELSE ${CLIPPED_NORMAL}` },
+  Hindrance_stressors: { eqn: `IF Ambition = 0 THEN 0 ELSE ${CLIPPED_NORMAL}` },
+  Advance_noise: { eqn: CLIPPED_NORMAL },
+  // The paper draws at most one setback per step
+  Setback_count: { eqn: 'IF RANDOM(0, 1) < Dynamism * DT THEN 1 ELSE 0', modern: 'POISSON(Dynamism * DT)' },
+  Setback_size: { eqn: CLIPPED_NORMAL },
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Value per integration step as a discrete graphical function of TIME. Sampling at
+// mid-step keeps rounding in TIME from selecting a neighbouring step.
+const stepFunction = (values, finalTime) => [
+  '<eqn>TIME + DT / 2</eqn>',
+  '<gf type="discrete">',
+  `  <xscale min="0" max="${finalTime}"/>`,
+  `  <ypts>${values.join(',')}</ypts>`,
+  '</gf>',
+];
+
+const variable = (kind, name, body, doc) => [
+  `<${kind} name="${name}">`,
+  ...body.map(line => `  ${line}`),
+  ...(doc ? [`  <doc>${escapeXml(doc)}</doc>`] : []),
+  `</${kind}>`,
+];
+
+/**
+ * XMILE document of the model with its parameters, Var coefficients and any edited equations.
+ * @param {object} params - model parameters; a parameter changed by interventions is
+ *   exported as a step-wise graphical function of TIME (exit rules are not exported)
+ * @param {number|object} timing - finalTime or a timing object; its method sets sim_specs
+ * @param {{ seed?: number|null }} [options] - with a seed the random inputs are that run's
+ *   draws as graphical functions, so the exported model replays the run deterministically
+ *   (exactly with Euler and one sub-step); without one they are XMILE random builtins
+ * @returns {string}
+ */
+export const modelToXmile = (params, timing, { seed = null } = {}) => {
+  const { finalTime, dt, method, substeps } = resolveTiming(timing);
+  const steps = Math.round(finalTime / dt);
+  const stepTimes = Array.from({ length: steps + 1 }, (_, step) => step * dt);
+  const intervened = new Set((params.interventions ?? []).map(iv => iv.key));
+  const mode = params.randomMode ?? 'paper';
+  const definition = modelDefinition(params.equations);
+
+  const constants = CONSTANTS.flatMap(({ symbol, key }) => (intervened.has(key)
+    ? variable('aux', symbol, stepFunction(stepTimes.map(t => getParameter(parametersAt(params, t), key)), finalTime),
+      'Scheduled by interventions')
+    : variable('aux', symbol, [`<eqn>${getParameter(params, key)}</eqn>`])));
+
+  const inputs = seed === null ? null : randomInputSeries(params, { finalTime, dt }, seed);
+  const randomInputs = definition.randomInputs.flatMap(({ symbol, input }) => {
+    const { eqn, modern } = RANDOM_INPUT_EQUATIONS[symbol];
+    return inputs
+      ? variable('aux', symbol, stepFunction(inputs.map(step => step[input]), finalTime), `Draws of run seed ${seed} (${mode} streams)`)
+      : variable('aux', symbol, [`<eqn>${escapeXml(mode === 'modern' && modern ? modern : eqn)}</eqn>`]);
+  });
+  const equation = (kind) => (v) => variable(kind, v.symbol, [`<eqn>${escapeXml(v.equation)}</eqn>`], v.edited && 'Edited equation');
+
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<xmile version="1.0" xmlns="${XMILE_NAMESPACE}" xmlns:ews="${RUN_NAMESPACE}">`,
+    '  <header>',
+    '    <vendor>Entrepreneurial Well-being Simulator</vendor>',
+    '    <product version="1.0" lang="en">Entrepreneurial Well-being Simulator</product>',
+    '    <name>Dynamics of entrepreneurial well-being (Dimov &amp; Pistrui, 2024)</name>',
+    `    <ews:run final_time="${finalTime}" random_mode="${mode}" method="${method}" substeps="${substeps}"${seed === null ? '' : ` seed="${seed}"`}/>`,
+    '  </header>',
+    `  <sim_specs method="${XMILE_METHODS[method]}" time_units="Periods">`,
+    '    <start>0</start>',
+    `    <stop>${+(finalTime + dt).toFixed(6)}</stop>`,
+    `    <dt>${dt}</dt>`,
+    '  </sim_specs>',
+    '  <model>',
+    '    <variables>',
+    ...[
+      ...definition.stocks.flatMap(stock => variable('stock', stock.symbol, [
+        `<eqn>${stock.initial}</eqn>`,
+        ...stock.inflows.map(flow => `<inflow>${flow}</inflow>`),
+        ...stock.outflows.map(flow => `<outflow>${flow}</outflow>`),
+        ...(stock.nonNegative ? ['<non_negative/>'] : []),
+      ])),
+      ...definition.flows.flatMap(equation('flow')),
+      ...[...definition.auxiliaries, ...definition.outputs].flatMap(equation('aux')),
+      ...randomInputs,
+      ...constants,
+      ...variable('aux', 'Final_time', [`<eqn>${finalTime}</eqn>`]),
+    ].map(line => `      ${line}`),
+    '    </variables>',
+    '  </model>',
+    '</xmile>',
+  ];
+  return `${lines.join('\n')}\n`;
+};
+
+// ============================================
+// IMPORT
+// ============================================
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#(x?)([0-9a-f]+);/gi, (_, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+  .replace(/&amp;/g, '&');
+
+// Minimal XML reader: elements, attributes and text. The prolog, comments,
+// processing instructions and doctype are skipped.
+const parseXml = (text) => {
+  const root = { prefix: '', local: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [token, cdata, closing, name, attributes, selfClosing, chars] = match;
+    const top = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      top.text += cdata;
+    } else if (chars !== undefined) {
+      top.text += decodeXml(chars);
+    } else if (name && closing) {
+      if (`${top.prefix ? `${top.prefix}:` : ''}${top.local}` !== name) throw new Error(`Malformed XML: unexpected </${name}>`);
+      stack.pop();
+    } else if (name) {
+      const [prefix, local] = name.includes(':') ? name.split(':') : ['', name];
+      const element = { prefix, local, attributes: {}, children: [], text: '' };
+      for (const [, key, double, single] of attributes.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        element.attributes[key] = decodeXml(double ?? single);
+      }
+      top.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (token === '<') {
+      throw new Error('Malformed XML: stray <');
+    }
+  }
+  if (stack.length > 1) throw new Error(`Malformed XML: <${stack[stack.length - 1].local}> is not closed`);
+  return root;
+};
+
+// First XMILE (unprefixed) child with the given name
+const child = (element, local) => element?.children.find(c => !c.prefix && c.local === local);
+
+// XMILE names ignore case and treat spaces and underscores alike
+const canonicalName = (name) => name.replace(/\\n/g, ' ').replace(/["\s]+/g, '_').toLowerCase();
+const canonicalEquation = (eqn) => eqn.replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Read parameters, coefficients, edited equations and timing from an XMILE file with this
+ * model's structure. Parameters scheduled as graphical functions are read at their initial
+ * value, and equations outside the supported expression language are reported rather than used.
+ * @param {string} text - XMILE document
+ * @returns {{ params: object, timing: { finalTime, dt, method, substeps }, seed: number|null, warnings: string[] }}
+ * @throws {Error} when the file is not XMILE, lacks one of the stocks or a parameter is invalid
+ */
+export const parseXmile = (text) => {
+  const xmile = child(parseXml(text), 'xmile');
+  if (!xmile) throw new Error('Not an XMILE file: no <xmile> element');
+  const model = child(xmile, 'model');
+  if (!model) throw new Error('The XMILE file has no <model>');
+
+  const variables = new Map();
+  const collect = (element) => element.children.forEach(c => {
+    if (!c.prefix && ['stock', 'flow', 'aux'].includes(c.local) && c.attributes.name) {
+      variables.set(canonicalName(c.attributes.name), { kind: c.local, name: c.attributes.name, element: c });
+    } else {
+      collect(c);
+    }
+  });
+  collect(model);
+
+  const missing = MODEL_DEFINITION.stocks.map(stock => stock.symbol).filter(symbol => variables.get(canonicalName(symbol))?.kind !== 'stock');
+  if (missing.length > 0) throw new Error(`Not this model's structure: no stock ${missing.join(', ')}`);
+
+  const warnings = [];
+  const equationOf = (v) => child(v.element, 'eqn')?.text.trim() ?? '';
+
+  const constantValue = (key, name) => {
+    const v = variables.get(canonicalName(name));
+    if (!v) {
+      if (PARAMETER_KEYS.includes(key)) throw new Error(`The XMILE file has no ${name}`);
+      return 1;
+    }
+    const gf = child(v.element, 'gf');
+    let value = Number(equationOf(v));
+    if (gf) {
+      value = Number(child(gf, 'ypts')?.text.split(',')[0]);
+      warnings.push(`${name} changes over time in the file; imported its initial value ${value}`);
+    }
+    // Ambition 0 is a valid (inactive) setting although sampling starts above it
+    const { max } = MODEL_FACTORS.find(f => f.key === key);
+    if (equationOf(v) === '' || !Number.isFinite(value) || value < 0 || value > max) {
+      throw new Error(`${name} must be a number between 0 and ${max}`);
+    }
+    return value;
+  };
+  const values = Object.fromEntries(CONSTANTS.map(({ symbol, key }) => [key, constantValue(key, symbol)]));
+
+  // Equations that differ from the paper's become edited equations when this simulator can run them
+  const edited = {};
+  [...MODEL_DEFINITION.auxiliaries, ...MODEL_DEFINITION.flows, ...MODEL_DEFINITION.outputs].forEach(({ symbol, equation }) => {
+    const v = variables.get(canonicalName(symbol));
+    if (!v) warnings.push(`${symbol} is missing; the paper's equation is used`);
+    else if (canonicalEquation(equationOf(v)) !== canonicalEquation(equation)) edited[symbol] = equationOf(v);
+  });
+  const equations = normalizeEquations(edited);
+  Object.keys(edited).forEach(symbol => warnings.push(equations[symbol] !== undefined
+    ? `${symbol} uses the file's edited equation`
+    : `${symbol} has an equation this simulator cannot run; the paper's is used`));
+
+  const run = xmile.children.find(c => c.local === 'header')?.children.find(c => c.prefix && c.local === 'run');
+  const seed = run?.attributes.seed !== undefined ? Number(run.attributes.seed) : null;
+  const randomMode = RANDOM_MODES.includes(run?.attributes.random_mode) ? run.attributes.random_mode : 'paper';
+  const recorded = MODEL_DEFINITION.randomInputs.filter(({ symbol }) => {
+    const v = variables.get(canonicalName(symbol));
+    return v && child(v.element, 'gf');
+  });
+  if (recorded.length > 0 && !Number.isInteger(seed)) {
+    warnings.push('The file holds recorded random draws without a seed; runs use fresh draws');
+  }
+
+  const specs = child(xmile, 'sim_specs');
+  const dtElement = child(specs, 'dt');
+  const dtValue = Number(dtElement?.text);
+  const dt = dtElement?.attributes.reciprocal === 'true' ? 1 / dtValue : dtValue;
+  if (!(dt > 0)) throw new Error('The XMILE file needs a positive <dt>');
+  if (!DT_OPTIONS.includes(dt)) warnings.push(`Time step ${dt} is not one of the app's options (${DT_OPTIONS.join(', ')})`);
+  if (Number(child(specs, 'start')?.text ?? 0) !== 0) warnings.push('The simulation starts at 0 here, not at the file\'s start time');
+  // The header's integrator, else the one of sim_specs; other XMILE methods fall back to Euler
+  const specsMethod = specs?.attributes.method ?? 'Euler';
+  let method = INTEGRATION_METHODS.includes(run?.attributes.method) ? run.attributes.method
+    : Object.keys(XMILE_METHODS).find(key => XMILE_METHODS[key].toLowerCase() === specsMethod.toLowerCase());
+  if (!method) {
+    warnings.push(`Integration method ${specsMethod} is not supported; Euler is used`);
+    method = 'euler';
+  }
+  const substeps = Number(run?.attributes.substeps ?? 1);
+  const finalTimeVariable = variables.get(canonicalName('Final_time'));
+  const finalTime = Number(run?.attributes.final_time ?? (finalTimeVariable ? equationOf(finalTimeVariable) : child(specs, 'stop')?.text));
+  if (!(finalTime > 0)) throw new Error('The XMILE file needs a positive Final_time or <stop>');
+
+  return {
+    params: {
+      ...Object.fromEntries(PARAMETER_KEYS.map(key => [key, values[key]])),
+      coefficients: Object.fromEntries(COEFFICIENT_KEYS.map(key => [key, values[key]])),
+      interventions: [],
+      exitRules: [],
+      randomMode,
+      ...(Object.keys(equations).length > 0 && { equations }),
+    },
+    timing: { finalTime, dt, method, substeps: Number.isInteger(substeps) && substeps >= 1 ? substeps : 1 },
+    seed: Number.isInteger(seed) ? seed : null,
+    warnings,
+  };
+};
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseObservations, nelderMeadSteps, calibrationSteps, simulateAtObservations } from '../src/calibration.js';
+import { drainSteps, MODEL_FACTORS, resolveTiming, replicationSeed } from '../src/simulation.js';
+
+const params = { ambition: 0.5, skill: 0.5, selfRegulation: 0.5, dynamism: 0.2, coefficients: {} };
+const observations = parseObservations('period,wellbeing\n10,1\n50,5\n50,6\n100,10\n');
+
+test('parseObservations pools the rows of a period', () => {
+  assert.deepEqual(observations.outputs, ['wellbeing']);
+  assert.deepEqual(observations.points.map(p => [p.period, p.n, p.wellbeing]), [[10, 1, 1], [50, 2, 5.5], [100, 1, 10]]);
+  assert.ok(observations.points[1].wellbeingSD > 0);
+  assert.throws(() => parseObservations('time,effort\n1,2\n'), /"wellbeing" and\/or "performance"/);
+  assert.throws(() => parseObservations('period,wellbeing\n-1,2\n'), /Row 2: invalid period/);
+});
+
+test('nelderMeadSteps finds the minimum of a quadratic', () => {
+  const f = ([a, b]) => (a - 1) ** 2 + (b + 2) ** 2;
+  const { x, converged } = drainSteps(nelderMeadSteps(f, [0, 0], { maxIterations: 500, tolerance: 1e-12 }));
+  assert.ok(converged);
+  assert.ok(Math.abs(x[0] - 1) < 1e-3 && Math.abs(x[1] + 2) < 1e-3);
+});
+
+test('calibrationSteps keeps the fitted factors within their bounds', () => {
+  const result = drainSteps(calibrationSteps(params, observations, {
+    factors: ['ambition', 'var1'], replications: 2, maxIterations: 5, finalTime: 100, seed: 1,
+  }));
+  ['ambition', 'var1'].forEach(key => {
+    const { min, max } = MODEL_FACTORS.find(f => f.key === key);
+    assert.ok(result.fitted[key] >= min && result.fitted[key] <= max);
+  });
+  assert.equal(result.comparison.length, 3);
+  assert.ok(Number.isFinite(result.loss));
+});
+
+// Well-being starts below 1000, so every run would exit at period 0
+const exiting = { ...params, exitRules: [{ type: 'wellbeing', threshold: 1000, periods: 0 }] };
+
+test('simulateAtObservations reaches every observed period despite exit rules', () => {
+  const seeds = [0, 1, 2].map(r => replicationSeed(1, r));
+  const rows = simulateAtObservations(exiting, observations.points, seeds, resolveTiming(100));
+  assert.deepEqual(rows.map(row => row.period), [10, 50, 100]);
+  rows.forEach(row => assert.ok(Number.isFinite(row.wellbeing)));
+});
+
+test('calibrationSteps fits with exit rules and keeps them in the fitted params', () => {
+  const result = drainSteps(calibrationSteps(exiting, observations, {
+    factors: ['ambition'], replications: 3, maxIterations: 5, finalTime: 100, seed: 1,
+  }));
+  assert.ok(Number.isFinite(result.loss));
+  assert.equal(result.comparison.length, 3);
+  assert.deepEqual(result.params.exitRules, exiting.exitRules);
+});
+
+test('calibrationSteps reports the given start values, even at a bound', () => {
+  const start = { ...params, ambition: 1, selfRegulation: 0 };
+  const result = drainSteps(calibrationSteps(start, observations, {
+    factors: ['ambition', 'selfRegulation'], replications: 2, maxIterations: 3, finalTime: 100, seed: 1,
+  }));
+  assert.deepEqual(result.start, { ambition: 1, selfRegulation: 0 });
+  // The search itself runs on the same logistic map for every point, inside the bounds
+  assert.ok(result.fitted.ambition < 1 && result.fitted.selfRegulation > 0);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../bin/wellbeing-sim.js', import.meta.url));
+const run = (...args) => execFileSync(process.execPath, [cli, ...args], { encoding: 'utf8', stdio: 'pipe' });
+
+test('wellbeing-sim run replays a seeded batch', () => {
+  const args = ['run', '--runs', '3', '--seed', '42', '--final-time', '50', '--format', 'json'];
+  const { results } = JSON.parse(run(...args));
+  assert.deepEqual(results.map(r => r.seed), [42, 42 + 7919, 42 + 2 * 7919]);
+  assert.deepEqual(JSON.parse(run(...args)).results, results);
+});
+
+test('wellbeing-sim run writes a CSV header and one row per run', () => {
+  const lines = run('run', '--runs', '2', '--seed', '1', '--final-time', '20').trim().split('\n');
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].split(',').includes('wellbeing'));
+});
+
+test('wellbeing-sim rejects invalid options', () => {
+  assert.throws(() => run('run', '--runs', '0'), /invalid value for --runs/);
+  assert.throws(() => run('run', '--format', 'xml'), /unknown format: xml/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sampleCohort, cohortSteps } from '../src/cohort.js';
+import { drainSteps, MODEL_FACTORS } from '../src/simulation.js';
+
+const params = { ambition: 0.5, skill: 0.5, selfRegulation: 0.5, dynamism: 0.2, coefficients: {} };
+
+test('sampleCohort draws every trait within its bounds', () => {
+  const traits = {
+    ambition: { type: 'uniform', min: 0.2, max: 0.4 },
+    skill: { type: 'normal', mean: 0.9, sd: 0.3 },
+    selfRegulation: { type: 'beta', alpha: 2, beta: 5 },
+  };
+  const cohort = sampleCohort(params, { size: 50, traits }, 1);
+  assert.equal(cohort.length, 50);
+  cohort.forEach(member => {
+    assert.ok(member.ambition >= 0.2 && member.ambition <= 0.4);
+    ['skill', 'selfRegulation'].forEach(key => {
+      const { min, max } = MODEL_FACTORS.find(f => f.key === key);
+      assert.ok(member[key] >= min && member[key] <= max);
+    });
+    assert.equal(member.dynamism, params.dynamism);
+  });
+  assert.deepEqual(sampleCohort(params, { size: 50, traits }, 1), cohort);
+});
+
+test('sampleCohort rejects Beta shapes that are not positive', () => {
+  assert.throws(() => sampleCohort(params, { size: 5, traits: { skill: { type: 'beta', alpha: 0, beta: 2 } } }, 1), /skill: Beta shapes must be positive/);
+  const cohort = sampleCohort(params, { size: 5, traits: { skill: { type: 'beta', alpha: 0.5, beta: 2 } } }, 1);
+  cohort.forEach(member => assert.ok(Number.isFinite(member.skill)));
+});
+
+test('cohortSteps draws the traits from a different stream than the first run', () => {
+  const cohort = { size: 3, traits: { ambition: { type: 'uniform', min: 0, max: 1 } } };
+  const { members } = drainSteps(cohortSteps(params, cohort, { finalTime: 20, seed: 1 }));
+  assert.notDeepEqual(members.map(m => m.ambition), sampleCohort(params, cohort, 1).map(m => m.ambition));
+});
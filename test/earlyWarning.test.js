@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { kendallTau, rocCurve, earlyWarningSignals, earlyWarningSteps, EWS_VARIABLES, EWS_INDICATORS } from '../src/earlyWarning.js';
+import { drainSteps } from '../src/simulation.js';
+
+test('kendallTau is ±1 for monotone series and null without a trend', () => {
+  assert.equal(kendallTau([1, 2, 3, 5]), 1);
+  assert.equal(kendallTau([4, 3, null, 1]), -1);
+  assert.equal(kendallTau([2, 2, 2]), null);
+  assert.equal(kendallTau([1, 2]), null);
+});
+
+test('kendallTau matches the pairwise count, ties included', () => {
+  const values = Array.from({ length: 60 }, (_, i) => Math.round(10 * Math.sin(i * 1.7) + i / 10));
+  let score = 0;
+  let ties = 0;
+  for (let i = 0; i < values.length; i++) {
+    for (let j = i + 1; j < values.length; j++) {
+      score += Math.sign(values[j] - values[i]);
+      if (values[j] === values[i]) ties++;
+    }
+  }
+  const pairs = values.length * (values.length - 1) / 2;
+  assert.ok(Math.abs(kendallTau(values) - score / Math.sqrt(pairs * (pairs - ties))) < 1e-12);
+});
+
+test('rocCurve scores a perfect predictor at 1 and ties at chance', () => {
+  const roc = rocCurve([
+    { score: 0.9, positive: true }, { score: 0.8, positive: true },
+    { score: 0.1, positive: false }, { score: null, positive: false },
+  ]);
+  assert.equal(roc.auc, 1);
+  assert.equal(roc.n, 3);
+  assert.equal(rocCurve([{ score: 1, positive: true }, { score: 1, positive: false }]).auc, 0.5);
+  assert.equal(rocCurve([{ score: 1, positive: true }]).auc, null);
+});
+
+test('earlyWarningSignals picks up rising variance in rolling windows', () => {
+  // Alternating fluctuations that grow over time around a flat trend
+  const trajectory = Array.from({ length: 200 }, (_, period) => ({
+    period, wellbeing: (period % 2 ? 1 : -1) * period / 100, motivation: Math.sin(period), strain: 0,
+  }));
+  const { periods, series, tau } = earlyWarningSignals(trajectory, { window: 0.25, bandwidth: 0 });
+  assert.equal(periods[0], 49);
+  assert.equal(periods.length, 151);
+  assert.equal(tau.wellbeing.variance, 1);
+  assert.ok(series.wellbeing.autocorrelation.every(v => v < -0.9));
+  assert.equal(tau.strain.variance, null);
+  assert.ok(series.strain.skewness.every(v => v === null));
+});
+
+test('earlyWarningSignals rolling moments match each window computed directly', () => {
+  const trajectory = Array.from({ length: 120 }, (_, period) => ({
+    period, wellbeing: 50 + 3 * Math.sin(period * 0.9) + (period % 7), motivation: 1, strain: period % 3,
+  }));
+  const { series } = earlyWarningSignals(trajectory, { window: 0.3, bandwidth: 0 });
+  const size = 36;
+  series.wellbeing.variance.forEach((variance, w) => {
+    const values = trajectory.slice(w, w + size).map(p => p.wellbeing);
+    const mean = values.reduce((a, b) => a + b, 0) / size;
+    const d = values.map(v => v - mean);
+    const m2 = d.reduce((a, b) => a + b * b, 0);
+    const lagged = d.slice(1).reduce((a, b, i) => a + d[i] * b, 0);
+    const m3 = d.reduce((a, b) => a + b ** 3, 0);
+    assert.ok(Math.abs(variance - m2 / size) < 1e-9);
+    assert.ok(Math.abs(series.wellbeing.autocorrelation[w] - lagged / m2) < 1e-9);
+    assert.ok(Math.abs(series.wellbeing.skewness[w] - (m3 / size) / (m2 / size) ** 1.5) < 1e-9);
+  });
+  assert.ok(series.motivation.autocorrelation.every(v => v === null));
+  assert.ok(series.strain.variance.every(v => Math.abs(v - 2 / 3) < 0.05));
+});
+
+test('earlyWarningSteps scores every indicator across runs', () => {
+  const result = drainSteps(earlyWarningSteps({ ambition: 0.5, skill: 0.5, selfRegulation: 0.5, dynamism: 0.2, coefficients: {} }, {
+    runs: 4, finalTime: 100, seed: 1,
+  }));
+  assert.equal(result.runs.length, 4);
+  assert.equal(result.cutoff, 50);
+  EWS_VARIABLES.forEach(variable => EWS_INDICATORS.forEach(indicator => {
+    assert.ok('auc' in result.roc[variable][indicator]);
+  }));
+});
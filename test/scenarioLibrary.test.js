@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScenario, scenariosToFile, scenariosFromFile } from '../src/scenarioLibrary.js';
+import { DEFAULT_TIMING, MAX_FINAL_TIME } from '../src/simulation.js';
+
+const params = { ambition: 0.7, skill: 0.45, selfRegulation: 0.3, dynamism: 0.2, coefficients: {} };
+
+test('scenarios keep their timing through a library file', () => {
+  const timing = { finalTime: 800, dt: 0.25, recordEvery: 1, method: 'rk4', substeps: 2 };
+  const [scenario] = scenariosFromFile(scenariosToFile([createScenario('Long horizon', params, 42, timing)]));
+  assert.deepEqual(scenario.timing, timing);
+  assert.equal(scenario.seed, 42);
+});
+
+test('scenariosFromFile holds imported timing to the app\'s settings', () => {
+  const file = (timing) => JSON.stringify({
+    format: 'entrepreneurial-wellbeing-scenarios', version: 1, scenarios: [{ name: 'x', params, seed: 1, timing }],
+  });
+  assert.deepEqual(scenariosFromFile(file(undefined))[0].timing, DEFAULT_TIMING);
+  const [held] = scenariosFromFile(file({ finalTime: 1e9, dt: 1e-9, recordEvery: 0, substeps: 1000 }));
+  assert.deepEqual(held.timing, { ...DEFAULT_TIMING, finalTime: MAX_FINAL_TIME, recordEvery: 0 });
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeScenarioQuery, decodeScenarioQuery } from '../src/shareLink.js';
+import { MAX_FINAL_TIME } from '../src/simulation.js';
+
+test('decodeScenarioQuery reads back what encodeScenarioQuery writes', () => {
+  const params = { ambition: 0.7, skill: 0.45, selfRegulation: 0.3, dynamism: 0.2, coefficients: { var1: 1, var4: 0.5 } };
+  const query = encodeScenarioQuery({ params, seed: 4242, viewMode: 'distribution', numRuns: 200 });
+  assert.deepEqual(decodeScenarioQuery(`?${query}`), {
+    params: { ambition: 0.7, skill: 0.45, selfRegulation: 0.3, dynamism: 0.2 },
+    coefficients: { var4: 0.5 },
+    seed: 4242,
+    viewMode: 'distribution',
+    numRuns: 200,
+  });
+});
+
+test('decodeScenarioQuery leaves out invalid values', () => {
+  assert.deepEqual(decodeScenarioQuery('?ambition=2&skill=x&var3=-1&seed=1.5&view=sweep&runs=0'), {});
+});
+
+test('decodeScenarioQuery holds linked timing to the app\'s settings', () => {
+  assert.deepEqual(decodeScenarioQuery('?finalTime=1e9&dt=0.25&substeps=4').timing, { finalTime: MAX_FINAL_TIME, dt: 0.25, substeps: 4 });
+  assert.deepEqual(decodeScenarioQuery('?finalTime=300&dt=1e-9&substeps=1000').timing, { finalTime: 300 });
+});
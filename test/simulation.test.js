@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMultipleSimulations, runParameterSweep, summarizeRuns, runOneAtATime, runSobolAnalysis, replicationSeed, MODEL_FACTORS, SENSITIVITY_OUTPUTS, runPairedSimulations, pairedTreatmentEffect, runSimulation, withParameter, runThresholdSearch, exitOf, survivalAnalysis } from '../src/simulation.js';
+
+const params = { ambition: 0.5, skill: 0.5, selfRegulation: 0.5, dynamism: 0.2, coefficients: {} };
+
+test('runMultipleSimulations replays a seeded batch', () => {
+  const results = runMultipleSimulations(params, 3, 50, 42);
+  assert.deepEqual(results.map(r => r.seed), [0, 1, 2].map(r => replicationSeed(42, r)));
+  assert.deepEqual(runMultipleSimulations(params, 3, 50, 42), results);
+});
+
+test('runParameterSweep runs every cell on the same seeds', () => {
+  const axis = (key) => ({ key, min: 0.4, max: 0.6, steps: 2 });
+  const sweep = runParameterSweep(params, axis('ambition'), axis('skill'), 4, 50, 7);
+  assert.deepEqual(runParameterSweep(params, axis('ambition'), axis('skill'), 4, 50, 7), sweep);
+  const cell = sweep.cells.find(c => c.i === 1 && c.j === 0);
+  const expected = summarizeRuns(runMultipleSimulations({ ...params, ambition: 0.6, skill: 0.4 }, 4, 50, 7));
+  assert.equal(cell.meanPerformance, expected.meanPerformance);
+});
+
+test('runOneAtATime perturbs every factor around the current point', () => {
+  const oat = runOneAtATime(params, { replications: 3, finalTime: 50, seed: 3 });
+  assert.deepEqual(oat.factors.map(f => f.key), MODEL_FACTORS.map(f => f.key));
+  oat.factors.forEach(f => assert.ok(f.lowValue < f.value + 1e-12 && f.value < f.highValue));
+  assert.deepEqual(runOneAtATime(params, { replications: 3, finalTime: 50, seed: 3 }), oat);
+});
+
+test('runSobolAnalysis gives first-order and total indices for every factor', () => {
+  const samples = 8;
+  const sobol = runSobolAnalysis(params, { samples, finalTime: 30, seed: 3 });
+  assert.equal(sobol.evaluations, samples * (MODEL_FACTORS.length + 2));
+  SENSITIVITY_OUTPUTS.forEach(({ key }) => {
+    assert.deepEqual(sobol.indices[key].map(i => i.key), MODEL_FACTORS.map(f => f.key));
+    sobol.indices[key].forEach(i => assert.ok(Number.isFinite(i.firstOrder) && i.totalOrder >= 0));
+  });
+});
+
+test('runPairedSimulations gives identical arms a zero treatment effect', () => {
+  const results = runPairedSimulations(params, { ...params }, 5, 50, 11);
+  results.forEach(r => assert.deepEqual([r.diffPerformance, r.diffWellbeing], [0, 0]));
+  const effect = pairedTreatmentEffect(results);
+  assert.deepEqual([effect.performance.mean, effect.wellbeing.mean], [0, 0]);
+});
+
+test('runPairedSimulations runs both arms on the same seeds', () => {
+  const variant = withParameter(params, 'selfRegulation', 0.9);
+  runPairedSimulations(params, variant, 3, 50, 11).forEach((r, i) => {
+    assert.equal(r.seed, replicationSeed(11, i));
+    const trajectory = runSimulation(variant, 50, r.seed);
+    assert.equal(r.variant.wellbeing, trajectory[trajectory.length - 1].wellbeing);
+  });
+});
+
+test('runThresholdSearch interpolates the crossing in every batch that brackets it', () => {
+  const options = { factor: 'selfRegulation', level: 0.2, replications: 20, iterations: 5, batches: 2, finalTime: 200, seed: 3 };
+  const result = runThresholdSearch(params, options);
+  assert.equal(result.evaluations.length, 2 * (5 + 2));
+  assert.equal(result.foundBatches, 2);
+  assert.equal(result.direction, 'decreasing');
+  assert.ok(result.critical.mean > 0 && result.critical.mean < 1);
+  assert.deepEqual(runThresholdSearch(params, options), result);
+});
+
+test('runThresholdSearch reports the side when the level is never crossed', () => {
+  const result = runThresholdSearch({ ...params, ambition: 1 }, { level: 0.2, replications: 20, iterations: 5, batches: 2, finalTime: 200, seed: 3 });
+  assert.equal(result.critical, null);
+  assert.equal(result.side, 'below');
+  assert.equal(result.evaluations.length, 2 * 2);
+});
+
+test('an exit rule ends the run and exitOf reports when and why', () => {
+  // Well-being stays below 1000, so the rule fires after 10 periods
+  const exiting = { ...params, exitRules: [{ type: 'wellbeing', threshold: 1000, periods: 10 }] };
+  const trajectory = runSimulation(exiting, 100, 1);
+  assert.deepEqual(exitOf(trajectory), { time: 9, reason: 'wellbeing' });
+  assert.equal(trajectory[trajectory.length - 1].period, 9);
+  assert.equal(exitOf(runSimulation(params, 100, 1)), null);
+  runMultipleSimulations(exiting, 3, 100, 1).forEach(r => assert.deepEqual([r.exitTime, r.exitReason], [9, 'wellbeing']));
+});
+
+test('survivalAnalysis censors runs that reach the horizon', () => {
+  const results = [
+    { exitTime: 10, exitReason: 'wellbeing' },
+    { exitTime: 30, exitReason: 'motivation' },
+    { exitTime: null, exitReason: null },
+    { exitTime: null, exitReason: null },
+  ];
+  const survival = survivalAnalysis(results, 100, { bins: 4 });
+  assert.equal(survival.exits, 2);
+  assert.deepEqual(survival.reasons, { wellbeing: 1, motivation: 1 });
+  assert.deepEqual(survival.curve.map(p => [p.time, p.survival]), [[0, 1], [10, 0.75], [30, 0.5], [100, 0.5]]);
+  assert.equal(survival.median, 30);
+  // One exit over 10 + 3 × 25 founder-periods at risk in the first interval
+  assert.equal(survival.hazard[0].hazard, 1 / 85);
+  assert.equal(survival.hazard[3].exits, 0);
+});
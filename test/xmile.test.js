@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { modelToXmile, parseXmile } from '../src/xmile.js';
+import { PARAMETER_KEYS, COEFFICIENT_KEYS } from '../src/simulation.js';
+
+const params = { ambition: 0.7, skill: 0.45, selfRegulation: 0.3, dynamism: 0.2, coefficients: { var4: 0.5 } };
+
+test('parseXmile reads back the parameters and timing modelToXmile writes', () => {
+  const read = parseXmile(modelToXmile(params, { finalTime: 200, dt: 0.5 }));
+  PARAMETER_KEYS.forEach(key => assert.equal(read.params[key], params[key]));
+  COEFFICIENT_KEYS.forEach(key => assert.equal(read.params.coefficients[key], key === 'var4' ? 0.5 : 1));
+  assert.equal(read.timing.finalTime, 200);
+  assert.equal(read.timing.dt, 0.5);
+  assert.deepEqual(read.warnings, []);
+});
+
+test('parseXmile rejects files without this model', () => {
+  assert.throws(() => parseXmile('<root/>'), /Not an XMILE file/);
+});
+
+test('parseXmile reads back edited equations', () => {
+  const equations = { Resources: 'Ambition * (1 - Progress_sensitivity)' };
+  const read = parseXmile(modelToXmile({ ...params, equations }, 100));
+  assert.deepEqual(read.params.equations, equations);
+});